@@ -0,0 +1,146 @@
+import { Note } from "tonal";
+
+const DEFAULT_TEMPO = 90;
+const DEFAULT_BEATS_PER_CHORD = 4;
+const MASTER_VOLUME = 0.25;
+const ATTACK_TIME = 0.02;
+const RELEASE_TIME = 0.25;
+
+const getAudioContextClass = () => window.AudioContext || window.webkitAudioContext;
+
+// Seconds per beat for a tempo in BPM, falling back to the default tempo
+const beatDuration = (tempo) => 60 / (Number(tempo) > 0 ? Number(tempo) : DEFAULT_TEMPO);
+
+// Convert notes like "E4" to frequencies, dropping anything tonal cannot parse
+const notesToFrequencies = (notesWithOctave) =>
+	notesWithOctave.map((note) => Note.freq(note)).filter((freq) => typeof freq === "number" && freq > 0);
+
+// Web Audio oscillator player: no soundfont download, so it works offline in the web and Tauri builds.
+// AudioContextClass replaces the browser's AudioContext (tests pass a stand-in).
+const createAudioPlayer = ({ AudioContextClass: ContextClass } = {}) => {
+	let context = null;
+	let master = null;
+	let voices = [];
+	let timers = [];
+	// A previewed chord also rings through voices, so the progression keeps its own flag
+	let progressionPlaying = false;
+
+	const ensureContext = () => {
+		if (!context) {
+			const AudioContextClass = ContextClass ?? getAudioContextClass();
+			if (!AudioContextClass) {
+				return null;
+			}
+			context = new AudioContextClass();
+			master = context.createGain();
+			master.gain.value = MASTER_VOLUME;
+			master.connect(context.destination);
+		}
+		if (context.state === "suspended") {
+			context.resume();
+		}
+		return context;
+	};
+
+	const scheduleChord = (notesWithOctave, startTime, duration) => {
+		const frequencies = notesToFrequencies(notesWithOctave);
+		if (!frequencies.length) {
+			return;
+		}
+
+		// Keep the summed level constant regardless of the number of voices
+		const level = 1 / frequencies.length;
+		const releaseStart = startTime + Math.max(duration - RELEASE_TIME, ATTACK_TIME);
+
+		frequencies.forEach((frequency) => {
+			const oscillator = context.createOscillator();
+			const gain = context.createGain();
+			oscillator.type = "triangle";
+			oscillator.frequency.value = frequency;
+
+			gain.gain.setValueAtTime(0, startTime);
+			gain.gain.linearRampToValueAtTime(level, startTime + ATTACK_TIME);
+			gain.gain.setValueAtTime(level, releaseStart);
+			gain.gain.linearRampToValueAtTime(0, startTime + duration);
+
+			oscillator.connect(gain);
+			gain.connect(master);
+			oscillator.start(startTime);
+			oscillator.stop(startTime + duration + 0.05);
+
+			const voice = { oscillator, gain };
+			voices.push(voice);
+			oscillator.onended = () => {
+				gain.disconnect();
+				voices = voices.filter((item) => item !== voice);
+			};
+		});
+	};
+
+	const stop = () => {
+		timers.forEach((timer) => clearTimeout(timer));
+		timers = [];
+		progressionPlaying = false;
+		voices.forEach(({ oscillator, gain }) => {
+			try {
+				oscillator.stop();
+			} catch {
+				// Already stopped
+			}
+			gain.disconnect();
+		});
+		voices = [];
+	};
+
+	const playChord = (notesWithOctave, { tempo = DEFAULT_TEMPO, beats = DEFAULT_BEATS_PER_CHORD } = {}) => {
+		if (!ensureContext()) {
+			return false;
+		}
+		stop();
+		scheduleChord(notesWithOctave, context.currentTime + 0.02, beats * beatDuration(tempo));
+		return true;
+	};
+
+	// chords: [{ notes: ["C4", "E4", "G4"], beats?: number }]
+	const playProgression = (chords, { tempo = DEFAULT_TEMPO, beatsPerChord = DEFAULT_BEATS_PER_CHORD, onStep, onEnd } = {}) => {
+		if (!chords.length || !ensureContext()) {
+			return false;
+		}
+		stop();
+
+		const secondsPerBeat = beatDuration(tempo);
+		const startTime = context.currentTime + 0.05;
+		let offset = 0;
+
+		chords.forEach((chord, index) => {
+			const duration = (chord.beats ?? beatsPerChord) * secondsPerBeat;
+			scheduleChord(chord.notes ?? [], startTime + offset, duration);
+			if (onStep) {
+				timers.push(setTimeout(() => onStep(index), (offset + 0.05) * 1000));
+			}
+			offset += duration;
+		});
+
+		timers.push(
+			setTimeout(() => {
+				timers = [];
+				progressionPlaying = false;
+				onEnd?.();
+			}, (offset + 0.05) * 1000),
+		);
+		progressionPlaying = true;
+		return true;
+	};
+
+	return {
+		playChord,
+		playProgression,
+		stop,
+		// True only while a progression plays; a single previewed chord does not count
+		get isPlaying() {
+			return progressionPlaying;
+		},
+	};
+};
+
+export { DEFAULT_BEATS_PER_CHORD, DEFAULT_TEMPO, createAudioPlayer };
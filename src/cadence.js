@@ -0,0 +1,167 @@
+import { Chord, Note } from "tonal";
+import { parseSlashChord, sanitizeChordInput } from "./chord-utils.js";
+import { analyzeChordFunction } from "./chord-function.js";
+
+const CADENCE_LABELS = {
+	"perfect-authentic": "完全正格終止",
+	"imperfect-authentic": "不完全正格終止",
+	plagal: "變格終止",
+	half: "半終止",
+	deceptive: "阻礙終止",
+};
+
+// Progressions named by scale degree, matched on diatonic chords of either quality
+const DEGREE_PATTERNS = [
+	{ id: "doo-wop", degrees: [1, 6, 4, 5], label: "I–vi–IV–V" },
+	{ id: "turnaround", degrees: [1, 6, 2, 5], label: "I–vi–ii–V" },
+	{ id: "axis", degrees: [1, 5, 6, 4], label: "I–V–vi–IV" },
+];
+
+// Chords falling by fifth in a row before the run counts as a circle-of-fifths sequence
+const MIN_CIRCLE_LENGTH = 4;
+
+const FOURTH_UP = 5;
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+const readChord = (symbol) => {
+	const data = Chord.get(parseSlashChord(sanitizeChordInput(symbol ?? "")).chord);
+	if (data.empty || !data.tonic) {
+		return null;
+	}
+	return {
+		rootChroma: chromaOf(data.tonic),
+		isDominant: data.intervals.includes("3M") && data.intervals.includes("7m"),
+		isMinor: data.intervals.includes("3m"),
+	};
+};
+
+const isDegree = (analysis, degree, functions) => analysis?.scaleDegree === degree && functions.includes(analysis.function);
+
+const isDominantChord = (analysis) => isDegree(analysis, 5, ["dominant"]) || isDegree(analysis, 7, ["dominant"]);
+
+const isTonicChord = (analysis) => isDegree(analysis, 1, ["tonic"]);
+
+const rootMotion = (from, to) => (to.rootChroma - from.rootChroma + 12) % 12;
+
+// Cadences between neighbouring chords: { type, kind, label, start, end }
+const findCadences = (analyses) => {
+	const cadences = [];
+	const add = (type, start, end) => cadences.push({ type, kind: "cadence", label: CADENCE_LABELS[type], start, end });
+
+	analyses.forEach((analysis, index) => {
+		const next = analyses[index + 1];
+		if (isDominantChord(analysis) && isTonicChord(next)) {
+			// Root-position V to root-position I; a leading-tone chord or an inversion makes it imperfect
+			const isPerfect = analysis.scaleDegree === 5 && !analysis.inversion && !next.inversion;
+			add(isPerfect ? "perfect-authentic" : "imperfect-authentic", index, index + 1);
+		} else if (isDegree(analysis, 4, ["subdominant", "borrowed"]) && isTonicChord(next)) {
+			add("plagal", index, index + 1);
+		} else if (isDegree(analysis, 5, ["dominant"]) && isDegree(next, 6, ["tonic", "borrowed"])) {
+			add("deceptive", index, index + 1);
+		}
+	});
+
+	// A phrase that stops on V
+	const last = analyses.length - 1;
+	if (last > 0 && isDegree(analyses[last], 5, ["dominant"])) {
+		add("half", last - 1, last);
+	}
+	return cadences;
+};
+
+// ii–V–I by root motion, so secondary ii–Vs into other degrees are found too
+const findTwoFiveOnes = (chords, analyses) => {
+	const patterns = [];
+	chords.forEach((two, index) => {
+		const five = chords[index + 1];
+		const one = chords[index + 2];
+		if (!two || !five || !one || !two.isMinor || !five.isDominant || one.isDominant) {
+			return;
+		}
+		if (rootMotion(two, five) !== FOURTH_UP || rootMotion(five, one) !== FOURTH_UP) {
+			return;
+		}
+		const target = analyses[index + 2];
+		const label = isTonicChord(target) || !target?.roman ? "ii–V–I" : `ii–V → ${target.roman}`;
+		patterns.push({ type: "two-five-one", kind: "pattern", label, start: index, end: index + 2 });
+	});
+	return patterns;
+};
+
+const findDegreePatterns = (analyses) => {
+	const patterns = [];
+	const diatonic = (analysis) => analysis && !analysis.altered && ["tonic", "subdominant", "dominant"].includes(analysis.function);
+	DEGREE_PATTERNS.forEach(({ id, degrees, label }) => {
+		for (let start = 0; start + degrees.length <= analyses.length; start += 1) {
+			const window = analyses.slice(start, start + degrees.length);
+			if (window.every((analysis, offset) => diatonic(analysis) && analysis.scaleDegree === degrees[offset])) {
+				patterns.push({ type: id, kind: "pattern", label, start, end: start + degrees.length - 1 });
+			}
+		}
+	});
+	return patterns;
+};
+
+// Longest runs of roots rising a fourth (falling a fifth)
+const findCircleRuns = (chords) => {
+	const runs = [];
+	let start = 0;
+	chords.forEach((chord, index) => {
+		const next = chords[index + 1];
+		if (chord && next && rootMotion(chord, next) === FOURTH_UP) {
+			return;
+		}
+		if (index - start + 1 >= MIN_CIRCLE_LENGTH) {
+			runs.push({ type: "circle-of-fifths", kind: "pattern", label: "五度圈進行", start, end: index });
+		}
+		start = index + 1;
+	});
+	return runs;
+};
+
+// Put each annotation on the first lane where it does not overlap another
+const assignLanes = (annotations) => {
+	const laneEnds = [];
+	return annotations.map((annotation) => {
+		let lane = laneEnds.findIndex((end) => end < annotation.start);
+		if (lane === -1) {
+			lane = laneEnds.length;
+		}
+		laneEnds[lane] = annotation.end;
+		return { ...annotation, lane };
+	});
+};
+
+/**
+ * Cadences and named patterns in a progression, each spanning the chords from start to end (inclusive).
+ * Cadences: perfect and imperfect authentic, plagal, deceptive, and a half cadence when the progression stops on V.
+ * Patterns: ii–V–I (also into other degrees), I–vi–IV–V, I–vi–ii–V, I–V–vi–IV and circle-of-fifths runs.
+ * keys gives each chord's local key (from analyzeKeyAreas); chords without one use keyDefinition.
+ * Returns [{ type, kind, label, start, end, lane }] ordered by start; overlapping annotations get different lanes.
+ */
+const analyzeCadences = (progression, keyDefinition, { keys = [] } = {}) => {
+	if (!progression?.length || !keyDefinition) {
+		return [];
+	}
+	const chords = progression.map(readChord);
+	const analyses = progression.map((symbol, index) =>
+		analyzeChordFunction(symbol, keys[index] ?? keyDefinition, {
+			previous: progression[index - 1] ?? null,
+			next: progression[index + 1] ?? null,
+		}),
+	);
+	const annotations = [
+		...findTwoFiveOnes(chords, analyses),
+		...findDegreePatterns(analyses),
+		...findCircleRuns(chords),
+		...findCadences(analyses),
+	].sort((a, b) => a.start - b.start || b.end - a.end);
+	return assignLanes(annotations);
+};
+
+// One line for list text: "ii–V–I (1–3)・完全正格終止 (2–3)", positions counted from 1
+const formatCadences = (annotations) =>
+	annotations.map(({ label, start, end }) => `${label} (${start + 1}–${end + 1})`).join("・");
+
+export { CADENCE_LABELS, analyzeCadences, formatCadences };
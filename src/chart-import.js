@@ -0,0 +1,220 @@
+import { Chord, Note } from "tonal";
+import { getKeyDefinition, parseSlashChord, sanitizeChordInput } from "./chord-utils.js";
+import { isNashvilleNumber, readRhythmMarks, realizeNashvilleNumber } from "./nashville.js";
+
+const CHART_FORMATS = {
+	chordpro: "ChordPro",
+	bars: "小節記譜",
+	text: "和弦譜",
+	nashville: "Nashville 數字譜",
+};
+
+// Chart tokens that carry no chord: bar lines, repeat signs, beat slashes, no-chord marks
+const BAR_TOKEN = /^(\|\||\|:|:\||\|\]|\|)$/;
+const IGNORED_TOKEN = /^(\/|-|\.|N\.?C\.?|x\d+|\d+x|\(|\))$/i;
+const REPEAT_BAR_TOKEN = "%";
+const SECTION_LABEL = /^\s*(\[[^\]]*\]|[A-Za-z][\w\s-]*:)\s*$/;
+const DIRECTIVE = /^\s*\{([^:}]+)(?::\s*([^}]*))?\}\s*$/;
+const CHORDPRO_CHORD = /\[([^\]]+)\]/g;
+
+// A chord line needs at least this share of chord tokens, so lyric lines like "A day in the life" are skipped
+const CHORD_LINE_RATIO = 0.5;
+
+// Returns the cleaned chord symbol, or null when tonal cannot read it
+const readChordSymbol = (token) => {
+	const cleaned = sanitizeChordInput(token);
+	if (!cleaned) {
+		return null;
+	}
+	const { chord, bass } = parseSlashChord(cleaned);
+	if (Chord.get(chord).empty || (bass && Note.get(bass).empty)) {
+		return null;
+	}
+	return cleaned;
+};
+
+// Put bar lines around their own tokens so "|C|Am|" splits like "| C | Am |"
+const tokenizeChordLine = (line) =>
+	line
+		.replace(/(\|\||\|:|:\||\|\]|\|)/g, " $1 ")
+		.split(/\s+/)
+		.filter(Boolean);
+
+// Chord tokens may carry a diamond (<C>, ◇1), a push (^G) or the parentheses of a split bar ("(1 4)")
+const stripSplitBar = (token) => token.replace(/^\(/, "").replace(/^([^(]*)\)$/, "$1");
+
+const isChordLine = (tokens, readSymbol) => {
+	const candidates = tokens.filter((token) => !BAR_TOKEN.test(token) && !IGNORED_TOKEN.test(token) && token !== REPEAT_BAR_TOKEN);
+	if (!candidates.length) {
+		return tokens.some((token) => BAR_TOKEN.test(token));
+	}
+	const chords = candidates.filter((token) => readSymbol(readRhythmMarks(stripSplitBar(token)).token));
+	return chords.length / candidates.length >= CHORD_LINE_RATIO;
+};
+
+const pushChord = (result, bars, entry) => {
+	bars.current.push(entry);
+	result.chords.push(entry.symbol);
+	result.marks.push({ ...entry.mark, bar: bars.count });
+};
+
+const closeBar = (bars) => {
+	if (bars.current.length) {
+		bars.previous = bars.current;
+		bars.current = [];
+		bars.count += 1;
+	}
+};
+
+// Read one line of chords; "%" repeats the chords of the previous bar.
+// With oneChordPerBar (Nashville lines without bar lines) every number is a bar of its own unless it sits in a split bar.
+const readChordTokens = (tokens, result, bars, readSymbol, { oneChordPerBar = false } = {}) => {
+	tokens.forEach((token) => {
+		if (BAR_TOKEN.test(token)) {
+			closeBar(bars);
+			bars.barLines = true;
+			bars.split = false;
+			return;
+		}
+		if (token === "(" || token === ")") {
+			bars.split = token === "(";
+			if (oneChordPerBar && !bars.split) {
+				closeBar(bars);
+			}
+			return;
+		}
+		if (IGNORED_TOKEN.test(token)) {
+			return;
+		}
+		if (token === REPEAT_BAR_TOKEN) {
+			bars.previous.forEach((entry) => pushChord(result, bars, entry));
+			if (oneChordPerBar) {
+				closeBar(bars);
+			}
+			return;
+		}
+		const opensSplit = token.startsWith("(");
+		const unwrapped = stripSplitBar(token);
+		const closesSplit = unwrapped !== token.replace(/^\(/, "");
+		const { token: chordToken, diamond, push } = readRhythmMarks(unwrapped);
+		const symbol = readSymbol(chordToken);
+		if (opensSplit) {
+			bars.split = true;
+		}
+		if (symbol) {
+			pushChord(result, bars, { symbol, mark: { diamond, push, split: bars.split } });
+		} else {
+			result.unparsed.push(token);
+		}
+		if (closesSplit) {
+			bars.split = false;
+		}
+		if (oneChordPerBar && !bars.split) {
+			closeBar(bars);
+		}
+	});
+};
+
+// Numbers outnumber chord symbols on the chord lines: "| 1 | 4 | 5 | 6m |"
+const isNashvilleChart = (text) => {
+	const tokens = text
+		.split(/\r?\n/)
+		.filter((line) => !SECTION_LABEL.test(line))
+		.flatMap(tokenizeChordLine)
+		.map((token) => readRhythmMarks(stripSplitBar(token)).token);
+	const numbers = tokens.filter(isNashvilleNumber).length;
+	return numbers > 0 && numbers > tokens.filter((token) => readChordSymbol(token)).length;
+};
+
+const detectChartFormat = (text) => {
+	const bracketed = [...text.matchAll(CHORDPRO_CHORD)].some((match) => readChordSymbol(match[1].trim()));
+	if (bracketed || /^\s*\{[^}]+\}\s*$/m.test(text)) {
+		return "chordpro";
+	}
+	if (isNashvilleChart(text)) {
+		return "nashville";
+	}
+	if (/^\s*\|/m.test(text)) {
+		return "bars";
+	}
+	return "text";
+};
+
+// count numbers the bars read so far; barLines records whether the chart drew any
+const createBars = () => ({ current: [], previous: [], split: false, count: 0, barLines: false });
+
+const readChordPro = (lines, result) => {
+	const bars = createBars();
+	lines.forEach((line) => {
+		const directive = line.match(DIRECTIVE);
+		if (directive) {
+			const name = directive[1].trim().toLowerCase();
+			if ((name === "title" || name === "t") && directive[2]) {
+				result.title = directive[2].trim();
+			}
+			return;
+		}
+		if (SECTION_LABEL.test(line) && !readChordSymbol(line.trim().slice(1, -1))) {
+			return;
+		}
+		// Bar-notation lines are allowed inside ChordPro files as well
+		if (/^\s*\|/.test(line)) {
+			readChordTokens(tokenizeChordLine(line), result, bars, readChordSymbol);
+			return;
+		}
+		const tokens = [...line.matchAll(CHORDPRO_CHORD)].map((match) => match[1].trim());
+		readChordTokens(tokens, result, bars, readChordSymbol);
+	});
+	return bars;
+};
+
+const readPlainChart = (lines, result, readSymbol, { oneChordPerBar = false } = {}) => {
+	const bars = createBars();
+	lines.forEach((line) => {
+		if (!line.trim() || SECTION_LABEL.test(line)) {
+			return;
+		}
+		const tokens = tokenizeChordLine(line);
+		if (isChordLine(tokens, readSymbol)) {
+			// Bar lines drawn on a Nashville line group its numbers themselves
+			const barred = tokens.some((token) => BAR_TOKEN.test(token));
+			readChordTokens(tokens, result, bars, readSymbol, { oneChordPerBar: oneChordPerBar && !barred });
+		}
+	});
+	return bars;
+};
+
+/**
+ * Pull chord symbols out of a ChordPro file, a chord-over-lyrics sheet, bar notation (| C | Am7 | Dm7 G7 |)
+ * or a Nashville number chart (| 1 | 4 | <5> | ^6m |), whose numbers are realized in keyDefinition (C major by default).
+ * Every token is checked with Chord.get after sanitizeChordInput.
+ * Returns { format, title, chords, marks, unparsed } — chords are cleaned symbols in order,
+ * marks holds { diamond, push, split, bar } for each chord (split: inside a "(1 4)" split bar; bar: the
+ * chord's bar number from 0, or null when the chart draws no bar lines and is not a Nashville chart),
+ * unparsed lists the chord-line tokens that could not be read, without duplicates.
+ */
+const parseChordChart = (text, { keyDefinition = getKeyDefinition("C", "major") } = {}) => {
+	const source = typeof text === "string" ? text : "";
+	const format = detectChartFormat(source);
+	const result = { format, title: null, chords: [], marks: [], unparsed: [] };
+	const lines = source.split(/\r?\n/);
+
+	let bars;
+	if (format === "chordpro") {
+		bars = readChordPro(lines, result);
+	} else if (format === "nashville") {
+		bars = readPlainChart(lines, result, (token) => realizeNashvilleNumber(token, keyDefinition)?.symbol ?? null, {
+			oneChordPerBar: true,
+		});
+	} else {
+		bars = readPlainChart(lines, result, readChordSymbol);
+	}
+	if (!bars.barLines && format !== "nashville") {
+		result.marks = result.marks.map((mark) => ({ ...mark, bar: null }));
+	}
+
+	result.unparsed = [...new Set(result.unparsed)];
+	return result;
+};
+
+export { CHART_FORMATS, parseChordChart };
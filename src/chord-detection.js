@@ -0,0 +1,259 @@
+import { Chord, ChordType, Interval, Note } from "tonal";
+import { getInversion, parseSlashChord } from "./chord-utils.js";
+import { getKeyChromas } from "./key-detection.js";
+
+// Score weights for one candidate; higher is more plausible
+const WEIGHTS = {
+	base: 10,
+	extraNote: -2,
+	omittedFifth: -0.5,
+	rootPosition: 1.5,
+	inversion: 0.5,
+	foreignBass: -1,
+	diatonicTones: 1,
+	diatonicRoot: 0.5,
+	size: -0.15,
+	uncommonType: -1.5,
+};
+
+// Chord types a player would name first (tonal's first alias); other types are still offered, ranked lower
+const COMMON_TYPES = new Set([
+	"M", "m", "dim", "aug", "5", "sus4", "sus2",
+	"7", "maj7", "m7", "m7b5", "dim7", "6", "m6", "7sus4", "m/ma7",
+	"9", "maj9", "m9", "Madd9", "madd9", "11", "m11", "13", "maj13", "m13",
+	"7b9", "7#9", "7#11", "maj#4", "7b5", "7#5", "9sus4", "m69",
+]);
+
+// Candidates with more notes than this outside the chord are not offered
+const MAX_EXTRA_NOTES = 1;
+
+// Higher values make the confidence spread sharper between close scores
+const CONFIDENCE_SHARPNESS = 1;
+
+// Readable suffixes where tonal's first alias is terse or unusual
+const SUFFIX_OVERRIDES = {
+	M: "",
+	"m/ma7": "mMaj7",
+	"maj#4": "maj7#11",
+	Madd9: "add9",
+};
+
+const NOTE_EVENT = /^([A-Ga-g])([#b]*)(-?\d+)?$/;
+
+const ROLE_LABELS = {
+	root: "根音",
+	third: "三音",
+	fifth: "五音",
+	seventh: "七音",
+	sus: "掛留音",
+	sixth: "六音",
+	tension: "延伸音",
+};
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+// Each note above the one before it, starting at octave 4: "E G C" → E4 G4 C5
+const stackUpward = (notes) => {
+	let previous = -Infinity;
+	return notes.map(({ pitchClass }) => {
+		let octave = 4;
+		while (Note.midi(`${pitchClass}${octave}`) <= previous) {
+			octave += 1;
+		}
+		previous = Note.midi(`${pitchClass}${octave}`);
+		return `${pitchClass}${octave}`;
+	});
+};
+
+/**
+ * Read typed notes and keep their octaves: "E3 G3 C4" → [{ name, pitchClass, octave, midi }].
+ * The bass is the lowest note when octaves are given (notes without one count as octave 4),
+ * otherwise the first note typed.
+ * Returns { notes, bass, voicing } with notes in typed order and voicing the notes low to high with octaves;
+ * without octaves the notes are stacked upward from octave 4 in the order typed. Invalid tokens are skipped.
+ */
+const parseNoteEvents = (input) => {
+	const tokens = typeof input === "string" ? input.split(/[,\s]+/).filter(Boolean) : [];
+	const notes = tokens
+		.map((token) => token.match(NOTE_EVENT))
+		.filter(Boolean)
+		.map(([, letter, accidental, octave]) => {
+			const pitchClass = `${letter.toUpperCase()}${accidental}`;
+			const parsedOctave = octave === undefined ? null : Number(octave);
+			return { name: `${pitchClass}${octave ?? ""}`, pitchClass, octave: parsedOctave, midi: Note.midi(`${pitchClass}${parsedOctave ?? 4}`) };
+		})
+		.filter(({ midi }) => midi !== null);
+
+	if (!notes.length) {
+		return { notes, bass: null, voicing: [] };
+	}
+	const hasOctaves = notes.some(({ octave }) => octave !== null);
+	if (hasOctaves) {
+		const bass = notes.reduce((lowest, note) => (note.midi < lowest.midi ? note : lowest));
+		const voicing = [...notes].sort((a, b) => a.midi - b.midi).map(({ pitchClass, octave }) => `${pitchClass}${octave ?? 4}`);
+		return { notes, bass, voicing };
+	}
+	return { notes, bass: notes[0], voicing: stackUpward(notes) };
+};
+
+// Role of an interval in a chord type: 3 → third, 7 → seventh, 9/11/13 → tension
+const getRole = (interval, intervals) => {
+	const number = Interval.get(interval).num;
+	if (number === 1) return "root";
+	if (number === 3) return "third";
+	if (number === 5) return "fifth";
+	if (number === 7) return "seventh";
+	if (number === 4 && !intervals.some((item) => Interval.get(item).num === 3)) return "sus";
+	if (number === 2 && !intervals.some((item) => Interval.get(item).num === 3)) return "sus";
+	if (number === 6) return "sixth";
+	return "tension";
+};
+
+const getSuffix = (type) => SUFFIX_OVERRIDES[type.aliases[0]] ?? type.aliases[0];
+
+// Match one chord type on one root against the played pitch classes, or null when it does not fit
+const matchTemplate = (type, root, pitchClasses) => {
+	const tones = type.intervals.map((interval) => ({
+		interval,
+		role: getRole(interval, type.intervals),
+		note: Note.transpose(root, interval),
+		chroma: (chromaOf(root) + Interval.get(interval).semitones) % 12,
+	}));
+	const missing = tones.filter(({ chroma }) => !pitchClasses.has(chroma));
+	// Only a perfect fifth may be left out
+	if (missing.some(({ interval }) => interval !== "5P")) {
+		return null;
+	}
+	const chordChromas = new Set(tones.map(({ chroma }) => chroma));
+	const extra = [...pitchClasses].filter((chroma) => !chordChromas.has(chroma));
+	return { tones, missing, extra };
+};
+
+const describeBass = (inversion, bass, isRoot) => {
+	if (isRoot) {
+		return "原位（低音為根音）";
+	}
+	if (!inversion.isChordTone) {
+		return `低音 ${bass} 不在和弦內`;
+	}
+	return `${inversion.label}（低音為 ${bass}）`;
+};
+
+const scoreCandidate = (type, root, bass, pitchClasses, keyChromas) => {
+	const match = matchTemplate(type, root.pitchClass, pitchClasses);
+	if (!match) {
+		return null;
+	}
+	// A bass outside the chord is read as a slash chord, not as an extra note
+	const bassChroma = chromaOf(bass.pitchClass);
+	const extra = match.extra.filter((chroma) => chroma !== bassChroma);
+	if (extra.length > MAX_EXTRA_NOTES || match.tones.length - match.missing.length < 2) {
+		return null;
+	}
+
+	const chordNotes = match.tones.map(({ note }) => note);
+	const isRoot = bassChroma === chromaOf(root.pitchClass);
+	const inversion = getInversion(chordNotes, bass.pitchClass);
+	const reasons = [describeBass(inversion, bass.pitchClass, isRoot)];
+	let score = WEIGHTS.base + extra.length * WEIGHTS.extraNote + match.tones.length * WEIGHTS.size;
+
+	if (isRoot) {
+		score += WEIGHTS.rootPosition;
+	} else if (inversion.isChordTone) {
+		score += WEIGHTS.inversion;
+	} else {
+		score += WEIGHTS.foreignBass;
+	}
+	if (match.missing.length) {
+		score += WEIGHTS.omittedFifth;
+		reasons.push("省略五音");
+	}
+	if (!COMMON_TYPES.has(type.aliases[0])) {
+		score += WEIGHTS.uncommonType;
+	}
+
+	const played = match.tones.filter(({ chroma }) => pitchClasses.has(chroma));
+	const inKey = played.filter(({ chroma }) => keyChromas.has(chroma)).length;
+	score += (WEIGHTS.diatonicTones * inKey) / played.length;
+	if (keyChromas.has(chromaOf(root.pitchClass))) {
+		score += WEIGHTS.diatonicRoot;
+	}
+	reasons.push(inKey === played.length ? "和弦音都在調內" : `${played.length - inKey} 個調外音`);
+	if (extra.length) {
+		reasons.push(`多出 ${extra.length} 個音`);
+	}
+
+	const chord = `${root.pitchClass}${getSuffix(type)}`;
+	return { chord, isRoot, inversion, match, extra, score, reasons };
+};
+
+// The typed spelling of a pitch class, so tones and extras read as the user wrote them
+const spellingOf = (notes, chroma, fallback) => notes.find(({ pitchClass }) => chromaOf(pitchClass) === chroma)?.pitchClass ?? fallback;
+
+/**
+ * Rank chord readings of typed notes in the key.
+ * Every played pitch class is tried as the root against tonal's chord types; a reading may omit only the
+ * perfect fifth and leave at most one note unexplained. Scores favour root position, tones in the key
+ * and simpler chords; a bass outside the chord becomes a slash chord.
+ * Returns [{ symbol, root, bass, inversion, tones, missing, extra, reasons, score, confidence }], best first:
+ * tones are the played chord tones with their role (root, third, fifth, seventh, sus, sixth, tension),
+ * missing the chord tones not played, extra the played notes outside the chord.
+ */
+const detectChordsFromNotes = (input, keyDefinition, { limit = 5 } = {}) => {
+	const { notes, bass } = parseNoteEvents(input);
+	const pitchClasses = new Set(notes.map(({ pitchClass }) => chromaOf(pitchClass)));
+	if (pitchClasses.size < 2) {
+		return [];
+	}
+	const keyChromas = keyDefinition?.scale ? getKeyChromas(keyDefinition) : new Set();
+	const roots = [...new Map(notes.map((note) => [chromaOf(note.pitchClass), note])).values()];
+
+	const candidates = roots
+		.flatMap((root) =>
+			ChordType.all()
+				.filter((type) => type.aliases.length)
+				.map((type) => scoreCandidate(type, root, bass, pitchClasses, keyChromas))
+				.filter(Boolean),
+		)
+		.sort((a, b) => b.score - a.score);
+
+	// The same symbol can come from alias types; keep the best
+	const seen = new Set();
+	const ranked = candidates.filter(({ chord }) => !seen.has(chord) && seen.add(chord));
+	if (!ranked.length) {
+		return [];
+	}
+
+	const best = ranked[0].score;
+	const weights = ranked.map(({ score }) => Math.exp((score - best) * CONFIDENCE_SHARPNESS));
+	const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+	return ranked.slice(0, limit).map(({ chord, isRoot, inversion, match, extra, score, reasons }, index) => ({
+		symbol: isRoot ? chord : `${chord}/${bass.pitchClass}`,
+		root: match.tones[0].note,
+		bass: bass.pitchClass,
+		inversion,
+		tones: match.tones
+			.filter(({ chroma }) => pitchClasses.has(chroma))
+			.map(({ chroma, note, interval, role }) => ({ note: spellingOf(notes, chroma, note), interval, role, label: ROLE_LABELS[role] })),
+		missing: match.missing.map(({ note, interval, role }) => ({ note, interval, role, label: ROLE_LABELS[role] })),
+		extra: extra.map((chroma) => spellingOf(notes, chroma, null)),
+		reasons,
+		score,
+		confidence: weights[index] / total,
+	}));
+};
+
+// Roles of the tones of a chord symbol, for coloring: "G7/B" → G root, B third, D fifth, F seventh
+const describeChordTones = (symbol) => {
+	const data = Chord.get(parseSlashChord(symbol ?? "").chord);
+	if (data.empty) {
+		return [];
+	}
+	return data.notes.map((note, index) => {
+		const role = getRole(data.intervals[index], data.intervals);
+		return { note, interval: data.intervals[index], role, label: ROLE_LABELS[role] };
+	});
+};
+
+export { describeChordTones, detectChordsFromNotes, parseNoteEvents };
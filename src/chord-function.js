@@ -1,12 +1,25 @@
-import { Note, Interval, Chord } from "tonal";
-import { getKeyDefinition } from "./chord-utils.js";
+import { Note, Interval, Chord, Scale } from "tonal";
+import { KEY_MODES, getInversion, getKeyDefinition, parseSlashChord } from "./chord-utils.js";
 
 /**
  * 分析和弦功能
  * 支援調內和弦和借用和弦（Borrowed Chords）分析
- * 借用和弦：從平行調借用的和弦，如 C Major 中借用 C minor 的 iv、bVI、bIII
+ * 借用和弦：從平行調式借用的和弦，如 C Major 中借用 C minor 的 iv、bVI、bIII，或 A 小調借用 A Dorian 的 IV
+ * 轉位和弦（如 C/E、G7/F）會在羅馬數字後加上轉位數字，如 I6、V4/2
+ * 羅馬數字依實際和弦性質標示，如 Imaj7、ii7、iiø7、V7(b9)、vii°7、III+
+ * 半音化和弦：拿坡里 bII6、義／法／德增六、三全音代理 subV/x、副導七和弦 vii°7/x、共同音減七和弦
+ * context：{ previous, next } 前後和弦代號，用來判斷三全音代理與共同音減七的解決方向
  */
-export const analyzeChordFunction = (chordSymbol, keyDefinition) => {
+export const analyzeChordFunction = (chordSymbol, keyDefinition, context = {}) => {
+  const analysis = analyzeRootPositionFunction(chordSymbol, keyDefinition, context);
+  if (!analysis) {
+    return null;
+  }
+
+  return applyInversionFigure(analysis, chordSymbol);
+};
+
+const analyzeRootPositionFunction = (chordSymbol, keyDefinition, context) => {
   if (!chordSymbol || !keyDefinition) {
     return null;
   }
@@ -16,97 +29,376 @@ export const analyzeChordFunction = (chordSymbol, keyDefinition) => {
     return null;
   }
 
-  const scaleDegree = getScaleDegree(chordRoot, keyDefinition);
+  const { chord: chordName } = parseSlashChord(chordSymbol.replace(/[(),\s]/g, ''));
+  const intervals = Chord.get(chordName).intervals;
+  const scaleDegree = getDiatonicDegree(chordRoot, intervals, keyDefinition);
+
+  // 增六和弦與減七類和弦以音高集合判斷，需在副屬與調內分析之前（如 A 小調的 F7 為德增六）
+  const chromaticChord = detectAugmentedSixth(chordSymbol, keyDefinition) ||
+                         detectCommonToneDiminished(chordSymbol, chordRoot, context) ||
+                         detectSecondaryLeadingTone(chordSymbol, chordRoot, keyDefinition);
+  if (chromaticChord) {
+    return { ...chromaticChord, chordRoot };
+  }
 
   // 如果是屬七和弦且不是 V 級，檢測是否為副屬和弦
   const chordData = Chord.get(chordSymbol);
   const isDominant7th = chordData.type === 'dominant' ||
                         (chordSymbol.includes('7') && !chordSymbol.match(/maj7|m7|dim7|ø/i));
   
-  if (isDominant7th && scaleDegree !== 5) {
-    const secondaryDominant = detectSecondaryDominant(chordSymbol, chordRoot, keyDefinition);
+  // 非調內性質的大三和弦，下一個和弦正是其解決目標時也視為副屬和弦（如 C 大調 D → G 為 V/V）
+  const resolvesAsTriad = !isDominant7th && scaleDegree !== 5 &&
+                          isMajorTriad(intervals) && resolvesDownAFifth(chordRoot, context) &&
+                          !(scaleDegree !== null && matchesDiatonicQuality(scaleDegree, intervals, keyDefinition, chordRoot));
+
+  // 調內本來就是屬七性質的和弦（如 G Mixolydian 的 I7、D Dorian 的 IV7）不算副屬和弦
+  const isDiatonicChord = scaleDegree !== null && matchesDiatonicQuality(scaleDegree, intervals, keyDefinition, chordRoot);
+  if ((isDominant7th || resolvesAsTriad) && scaleDegree !== 5 && !isDiatonicChord) {
+    const secondaryDominant = detectSecondaryDominant(chordSymbol, chordRoot, keyDefinition, resolvesAsTriad);
     if (secondaryDominant) {
       return secondaryDominant;
     }
   }
 
-  // 調內和弦：正常分析
+  // 調內音級：依實際和弦性質標示，性質與調內和弦不同時標記為變化和弦
   if (scaleDegree !== null) {
-    const romanNumeral = generateRomanNumeral(scaleDegree, keyDefinition.mode);
-    const { function: harmonicFunction, color } = getHarmonicFunction(scaleDegree, keyDefinition.mode);
+    const romanNumeral = buildQualityRoman(scaleDegree, intervals);
+    const { function: harmonicFunction, color } = getHarmonicFunction(scaleDegree);
+    const altered = !matchesDiatonicQuality(scaleDegree, intervals, keyDefinition, chordRoot);
+    const borrowedChord = altered ? detectBorrowedChord(chordRoot, intervals, keyDefinition) : null;
+    if (borrowedChord) {
+      return { function: 'borrowed', ...borrowedChord, chordRoot };
+    }
+    // 小調的 vii° 與 viiø 指升高的導音，本位七級上的減和弦（A 小調的 G°7）沒有能讀回來的羅馬數字
+    if (altered && keyDefinition.mode === 'minor' && scaleDegree === 7 && isDiminishedChord(intervals)) {
+      return null;
+    }
 
     return {
       function: harmonicFunction,
       roman: romanNumeral,
       color: color,
       scaleDegree: scaleDegree,
-      chordRoot: chordRoot
+      chordRoot: chordRoot,
+      altered,
+      ...(altered && {
+        description: `變化和弦 - 調內為 ${generateRomanNumeral(scaleDegree, keyDefinition)}，此處性質不同`
+      })
     };
   }
 
+  const neapolitan = detectNeapolitan(chordRoot, intervals, keyDefinition);
+  if (neapolitan) {
+    return { ...neapolitan, chordRoot };
+  }
+
+  // 下一個和弦確實半音下行解決時，三全音代理優先於借用（如 C 大調 Bb7 → A）
+  const tritoneSubstitute = detectTritoneSubstitute(chordRoot, intervals, keyDefinition, context);
+  if (tritoneSubstitute && context?.next) {
+    return { ...tritoneSubstitute, chordRoot };
+  }
+
   // 非調內和弦：檢測是否為借用和弦
-  const borrowedChord = detectBorrowedChord(chordRoot, keyDefinition);
+  const borrowedChord = detectBorrowedChord(chordRoot, intervals, keyDefinition);
   if (borrowedChord) {
-    return {
-      function: 'borrowed',
-      roman: borrowedChord.roman,
-      color: borrowedChord.color,
-      scaleDegree: borrowedChord.scaleDegree,
-      chordRoot: chordRoot,
-      borrowedFrom: borrowedChord.borrowedFrom,
-      description: borrowedChord.description
-    };
+    return { function: 'borrowed', ...borrowedChord, chordRoot };
+  }
+
+  if (tritoneSubstitute) {
+    return { ...tritoneSubstitute, chordRoot };
   }
 
   return null;
 };
 
+const romanNumerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// 借用來源的檢查順序：大調先看自然小調，小調先看 Dorian（大 IV）再看大調（Picardy I）
+const BORROWING_ORDER = {
+  major: ['minor', 'mixolydian', 'dorian', 'phrygian', 'lydian', 'harmonic-minor', 'melodic-minor'],
+  minor: ['dorian', 'major', 'phrygian', 'mixolydian', 'lydian', 'harmonic-minor', 'melodic-minor'],
+  default: ['major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'harmonic-minor', 'melodic-minor']
+};
+
+const chromaAbove = (tonic, semitones) => (Note.get(tonic).chroma + semitones) % 12;
+
+// 和弦的音高集合（含斜線低音）與最低音
+const getPitchClassSet = (chordSymbol) => {
+  const { chord, bass } = parseSlashChord(chordSymbol.replace(/[(),\s]/g, ''));
+  const chordData = Chord.get(chord);
+  if (chordData.empty) {
+    return null;
+  }
+  const chromas = new Set(chordData.notes.map(note => Note.get(note).chroma));
+  const lowest = bass ?? chordData.tonic;
+  if (bass) {
+    chromas.add(Note.get(bass).chroma);
+  }
+  return { chromas, lowestChroma: Note.get(lowest).chroma, intervals: chordData.intervals };
+};
+
+const isDiminishedChord = (intervals) => intervals.includes('3m') && intervals.includes('5d');
+
+const isDominantSeventh = (intervals) => intervals.includes('3M') && intervals.includes('7m');
+
+const isMajorTriad = (intervals) => intervals.length === 3 && intervals.includes('3M') && intervals.includes('5P');
+
+// 下一個和弦的根音是否在純四度之上（屬到主的解決）
+const resolvesDownAFifth = (chordRoot, context) => {
+  const nextRoot = context?.next ? extractChordRoot(context.next) : null;
+  return Boolean(nextRoot) && Note.get(nextRoot).chroma === chromaAbove(chordRoot, 5);
+};
+
+// 目標音級的調內羅馬數字；主音回傳 'I' 或 'i'
+const getTargetRoman = (targetRoot, keyDefinition) => {
+  const targetScaleDegree = getScaleDegree(targetRoot, keyDefinition);
+  return targetScaleDegree ? generateRomanNumeral(targetScaleDegree, keyDefinition) : null;
+};
+
 /**
- * 檢測借用和弦
- * 目前支援從平行小調借用（Major Mode Borrowing）
+ * 增六和弦：以降六級為低音、含升四級的和弦
+ * 義大利 It+6：b6、1、#4；法國 Fr+6：b6、1、2、#4；德國 Ger+6：b6、1、b3、#4
+ * 例如 C 大調的 Ab7（Ab C Eb Gb）即德增六，與 subV/V 同音異名
  */
-const detectBorrowedChord = (chordRoot, keyDefinition) => {
-  if (keyDefinition.mode !== 'major') {
+const detectAugmentedSixth = (chordSymbol, keyDefinition) => {
+  const pitchClasses = getPitchClassSet(chordSymbol);
+  const tonic = keyDefinition.scale?.[0];
+  if (!pitchClasses || !tonic || pitchClasses.lowestChroma !== chromaAbove(tonic, 8)) {
+    return null;
+  }
+  // 降六級本來就是調內和弦時（如 B Locrian 的 G7 為 VI7）不算增六和弦
+  const chordRoot = extractChordRoot(chordSymbol);
+  const scaleDegree = chordRoot ? getScaleDegree(chordRoot, keyDefinition) : null;
+  if (scaleDegree !== null && matchesDiatonicQuality(scaleDegree, pitchClasses.intervals, keyDefinition, chordRoot)) {
     return null;
   }
 
-  const tonic = keyDefinition.tonic || keyDefinition.id;
-  if (!tonic) {
+  const sixths = [
+    { roman: 'It+6', name: '義大利增六和弦', semitones: [8, 0, 6] },
+    { roman: 'Fr+6', name: '法國增六和弦', semitones: [8, 0, 2, 6] },
+    { roman: 'Ger+6', name: '德國增六和弦', semitones: [8, 0, 3, 6] }
+  ];
+  const match = sixths.find(({ semitones }) =>
+    semitones.length === pitchClasses.chromas.size &&
+    semitones.every(semitone => pitchClasses.chromas.has(chromaAbove(tonic, semitone)))
+  );
+  if (!match) {
     return null;
   }
 
-  // 取得平行小調音階（以根音為基準的小調）
-  // C Major 的平行小調是 C minor: C, D, Eb, F, G, Ab, Bb
-  const parallelMinorScale = buildParallelMinorScale(tonic);
+  return {
+    function: 'augmented-sixth',
+    roman: match.roman,
+    color: 'blue',
+    scaleDegree: 6,
+    description: `${match.name} - 降六級與升四級向外解決到屬和弦的根音`
+  };
+};
+
+/**
+ * 共同音減七和弦：與下一個大或小三和弦共用根音的減七和弦，如 C 大調 D#°7 → C
+ * 需要 context.next 才能判斷
+ */
+const detectCommonToneDiminished = (chordSymbol, chordRoot, context) => {
+  const pitchClasses = getPitchClassSet(chordSymbol);
+  const next = context?.next ? Chord.get(parseSlashChord(context.next.replace(/[(),\s]/g, '')).chord) : null;
+  // 小調裡也會裝飾小三和弦（如 A 小調 B#°7 → Am）
+  const isTriadTarget = next && !next.empty && (next.intervals.includes('3M') || next.intervals.includes('3m'));
+  if (!pitchClasses || !pitchClasses.intervals.includes('7d') || !isTriadTarget) {
+    return null;
+  }
 
-  // 檢查和弦根音是否在平行小調音階中
-  const rootInfo = Note.get(chordRoot);
-  if (rootInfo.empty) {
+  const nextRootChroma = Note.get(next.tonic).chroma;
+  const resolvesAsLeadingTone = (Note.get(chordRoot).chroma + 1) % 12 === nextRootChroma;
+  if (!pitchClasses.chromas.has(nextRootChroma) || resolvesAsLeadingTone) {
     return null;
   }
 
-  const degreeIndex = parallelMinorScale.findIndex(scaleNote => {
-    const scaleNoteInfo = Note.get(scaleNote);
-    return scaleNoteInfo.pc === rootInfo.pc;
-  });
+  return {
+    function: 'common-tone-diminished',
+    roman: 'ct°7',
+    color: 'green',
+    scaleDegree: null,
+    description: `共同音減七和弦 - 保留 ${next.tonic} 並裝飾下一個和弦`
+  };
+};
 
-  if (degreeIndex === -1) {
+/**
+ * 副導七和弦：根音在目標音級下方半音的減三、減七或半減七和弦，如 C 大調 F#°7 → vii°7/V
+ * 目標為主音時即調內 vii°，調內本來就是減和弦的音級（如 Dorian 的 vi°）也不在此處理
+ */
+const detectSecondaryLeadingTone = (chordSymbol, chordRoot, keyDefinition) => {
+  const pitchClasses = getPitchClassSet(chordSymbol);
+  if (!pitchClasses || !isDiminishedChord(pitchClasses.intervals)) {
+    return null;
+  }
+
+  const scaleDegree = getDiatonicDegree(chordRoot, pitchClasses.intervals, keyDefinition);
+  if (scaleDegree && matchesDiatonicQuality(scaleDegree, pitchClasses.intervals, keyDefinition, chordRoot)) {
+    return null;
+  }
+
+  const targetRoot = Note.transpose(chordRoot, '2m');
+  const targetScaleDegree = getScaleDegree(targetRoot, keyDefinition);
+  if (!targetScaleDegree || targetScaleDegree === 1) {
+    return null;
+  }
+
+  const targetQuality = getDiatonicTriadQuality(targetScaleDegree, keyDefinition);
+  if (targetQuality === 'diminished') {
+    return null;
+  }
+
+  const targetRoman = generateRomanNumeral(targetScaleDegree, keyDefinition);
+  const { chord } = parseSlashChord(chordSymbol.replace(/[(),\s]/g, ''));
+  const leadingToneRoman = buildQualityRoman(7, Chord.get(chord).intervals);
+
+  return {
+    function: 'secondary-leading-tone',
+    roman: `${leadingToneRoman}/${targetRoman}`,
+    color: 'red',
+    scaleDegree: null,
+    targetsDegree: targetScaleDegree,
+    description: `副導和弦 - 以導音和弦解決到 ${targetRoman} 級`
+  };
+};
+
+/**
+ * 拿坡里和弦：降二級大三和弦，通常為第一轉位（bII6）
+ */
+const detectNeapolitan = (chordRoot, intervals, keyDefinition) => {
+  const tonic = keyDefinition.scale?.[0];
+  if (!tonic || Note.get(chordRoot).chroma !== chromaAbove(tonic, 1)) {
     return null;
   }
+  // 只認大三和弦；加六度或七度的和弦（如 Db6）寫成 bII 會讀不回來
+  if (!isMajorTriad(intervals)) {
+    return null;
+  }
+
+  return {
+    function: 'neapolitan',
+    roman: 'bII',
+    color: 'blue',
+    scaleDegree: 2,
+    description: '拿坡里和弦 - 降二級大三和弦，常以第一轉位進行到屬和弦'
+  };
+};
 
-  const scaleDegree = degreeIndex + 1;
+/**
+ * 三全音代理：根音在目標音級上方半音的屬七和弦，如 C 大調 Db7 → C 為 subV7、Eb7 → Dm 為 subV7/ii
+ * 有 context.next 時，下一個和弦的根音必須是目標音
+ */
+const detectTritoneSubstitute = (chordRoot, intervals, keyDefinition, context) => {
+  if (!isDominantSeventh(intervals)) {
+    return null;
+  }
 
-  // 檢查這個音級在平行小調中是否與大調不同
-  // 平行小調與大調不同的音級：b3 (III), b6 (VI), b7 (VII)
-  const majorScale = keyDefinition.scale;
-  const isDifferentInMinor = isNoteDifferentInParallelMinor(chordRoot, majorScale, parallelMinorScale);
+  const targetRoot = Note.transpose(chordRoot, '-2m');
+  const targetRoman = getTargetRoman(targetRoot, keyDefinition);
+  if (!targetRoman) {
+    return null;
+  }
 
-  if (!isDifferentInMinor) {
+  const next = context?.next ? Chord.get(parseSlashChord(context.next.replace(/[(),\s]/g, '')).chord) : null;
+  if (next && !next.empty && Note.get(next.tonic).chroma !== Note.get(targetRoot).chroma) {
     return null;
   }
 
-  // 生成借用和弦的羅馬數字標記
-  return generateBorrowedRomanNumeral(scaleDegree);
+  const substituteRoman = `sub${buildQualityRoman(5, intervals)}`;
+  const isTonicTarget = getScaleDegree(targetRoot, keyDefinition) === 1;
+
+  return {
+    function: 'tritone-substitute',
+    roman: isTonicTarget ? substituteRoman : `${substituteRoman}/${targetRoman}`,
+    color: 'red',
+    scaleDegree: null,
+    description: `三全音代理 - 代替 ${isTonicTarget ? 'V' : `V/${targetRoman}`}，根音半音下行解決`
+  };
+};
+
+/**
+ * 加上轉位數字（Figured Bass）
+ * 三和弦：6（第一轉位）、6/4（第二轉位）
+ * 七和弦：6/5、4/3、4/2
+ * 副屬和弦的數字標在 V 後面，如 V6/5/V
+ */
+const applyInversionFigure = (analysis, chordSymbol) => {
+  const { chord, bass } = parseSlashChord(chordSymbol.replace(/[(),\s]/g, ''));
+  // 增六和弦以名稱標示，不加轉位數字
+  if (!bass || analysis.function === 'augmented-sixth') {
+    return { ...analysis, inversion: 0, figure: '', bass: bass ?? null };
+  }
+
+  const chordData = Chord.get(chord);
+  const inversion = getInversion(chordData.notes, bass);
+  const hasSeventh = chordData.intervals.some(interval => /^7/.test(interval));
+  const figure = getInversionFigure(inversion.index, hasSeventh);
+
+  if (!figure) {
+    return { ...analysis, inversion: inversion.index, figure: '', bass };
+  }
+
+  // 七和弦的轉位數字取代 7，如 V7 → V6/5、viiø7 → viiø4/3
+  const [head, ...targets] = analysis.roman.split('/');
+  const figuredHead = hasSeventh && head.includes('7') ? head.replace('7', figure) : `${head}${figure}`;
+  const roman = [figuredHead, ...targets].join('/');
+
+  return {
+    ...analysis,
+    roman,
+    inversion: inversion.index,
+    figure,
+    bass
+  };
+};
+
+const getInversionFigure = (inversionIndex, hasSeventh) => {
+  const triadFigures = { 1: '6', 2: '6/4' };
+  const seventhFigures = { 1: '6/5', 2: '4/3', 3: '4/2' };
+  const figures = hasSeventh ? seventhFigures : triadFigures;
+  return figures[inversionIndex] ?? '';
+};
+
+/**
+ * 調式互換（Modal Interchange）
+ * 依序比對平行調式中同音級的調內和弦，根音與性質都相符才算借用
+ * 例如 C 大調的 Fm 借自 C Aeolian（iv），A 小調的 D 借自 A Dorian（IV），A 小調的 A 為 Picardy 的 I
+ * 羅馬數字的升降記號以所選調式自己的音階為準，如 C 大調的 bVI、bVII7，D Dorian 的 #iii（F#m）、C Lydian 的 bIV（F）
+ */
+const detectBorrowedChord = (chordRoot, intervals, keyDefinition) => {
+  const tonic = keyDefinition.scale?.[0];
+  const chordStack = getChordStack(intervals);
+  if (!tonic || chordStack.third === null) {
+    return null;
+  }
+
+  const rootChroma = Note.get(chordRoot).chroma;
+  const order = BORROWING_ORDER[keyDefinition.mode] ?? BORROWING_ORDER.default;
+
+  for (const modeId of order.filter(id => id !== keyDefinition.mode)) {
+    const mode = KEY_MODES.find(item => item.id === modeId);
+    const scale = Scale.get(`${tonic} ${mode.scale}`).notes;
+    const degreeIndex = scale.findIndex(note => Note.get(note).chroma === rootChroma);
+    if (degreeIndex === -1 || !stackMatches(getDiatonicStack(scale, degreeIndex + 1), chordStack)) {
+      continue;
+    }
+
+    const offset = (rootChroma - Note.get(keyDefinition.scale[degreeIndex]).chroma + 12) % 12;
+    const accidental = offset === 11 ? 'b' : offset === 1 ? '#' : '';
+    const roman = `${accidental}${buildQualityRoman(degreeIndex + 1, intervals)}`;
+    const { color } = getHarmonicFunction(degreeIndex + 1);
+
+    return {
+      roman,
+      color,
+      scaleDegree: degreeIndex + 1,
+      borrowedFrom: mode.id,
+      description: `調式互換 - 從平行調 ${tonic} ${mode.label} 借用的 ${roman}`
+    };
+  }
+
+  return null;
 };
 
 /**
@@ -114,13 +406,13 @@ const detectBorrowedChord = (chordRoot, keyDefinition) => {
  * 副屬和弦是臨時以其他音級為屬和弦的和弦，標記為 V/x
  * 例如：V/V 是「屬和弦的屬和弦」，指向 V 級
  */
-const detectSecondaryDominant = (chordSymbol, chordRoot, keyDefinition) => {
-  // 1. 檢測是否為屬七和弦（dominant 7th）
+const detectSecondaryDominant = (chordSymbol, chordRoot, keyDefinition, resolvesAsTriad = false) => {
+  // 1. 檢測是否為屬七和弦（dominant 7th），或已確認解決到目標的大三和弦
   const chordData = Chord.get(chordSymbol);
   const isDominant7th = chordData.type === 'dominant' || 
                         (chordSymbol.includes('7') && !chordSymbol.match(/maj7|m7|dim7|ø/i));
   
-  if (!isDominant7th) {
+  if (!isDominant7th && !resolvesAsTriad) {
     return null;
   }
 
@@ -139,14 +431,17 @@ const detectSecondaryDominant = (chordSymbol, chordRoot, keyDefinition) => {
   }
 
   // 4. 生成目標音級的羅馬數字標記
-  const targetRoman = generateRomanNumeral(targetScaleDegree, keyDefinition.mode);
+  const targetRoman = generateRomanNumeral(targetScaleDegree, keyDefinition);
   
   // 5. 計算副屬和弦所在的音級
   const secondaryDegree = getScaleDegree(chordRoot, keyDefinition);
 
+  const { chord: chordName } = parseSlashChord(chordSymbol.replace(/[(),\s]/g, ''));
+  const dominantRoman = buildQualityRoman(5, Chord.get(chordName).intervals);
+
   return {
     function: 'secondary-dominant',
-    roman: `V/${targetRoman}`,
+    roman: `${dominantRoman}/${targetRoman}`,
     color: 'red',
     scaleDegree: secondaryDegree || null,
     chordRoot: chordRoot,
@@ -155,63 +450,6 @@ const detectSecondaryDominant = (chordSymbol, chordRoot, keyDefinition) => {
   };
 };
 
-/**
- * 建立平行小調音階（自然小調）
- */
-const buildParallelMinorScale = (tonic) => {
-  // 自然小調音程：根音, 大二度, 小三度, 純四度, 純五度, 小六度, 小七度
-  const minorIntervals = ['1P', '2M', '3m', '4P', '5P', '6m', '7m'];
-
-  return minorIntervals.map(interval => {
-    const note = Note.transpose(tonic, interval);
-    return Note.enharmonic(note);
-  });
-};
-
-/**
- * 檢查音符在平行小調中是否與大調不同
- * 大調與平行小調的差異音級：3, 6, 7
- */
-const isNoteDifferentInParallelMinor = (note, majorScale, minorScale) => {
-  const noteChroma = Note.get(note).chroma;
-
-  // 檢查這個音是否在大調音階中
-  const inMajor = majorScale.some(scaleNote => Note.get(scaleNote).chroma === noteChroma);
-
-  // 檢查這個音是否在小調音階中
-  const inMinor = minorScale.some(scaleNote => Note.get(scaleNote).chroma === noteChroma);
-
-  // 借用和弦的條件：在小調中但不在大調中
-  return !inMajor && inMinor;
-};
-
-/**
- * 生成借用和弦的羅馬數字標記
- * 平行小調借用：bIII, bVI, bVII, iv
- */
-const generateBorrowedRomanNumeral = (scaleDegree) => {
-  // 借用和弦的映射表
-  const borrowedMap = {
-    3: { roman: 'bIII', color: 'green', description: '平行小調借用 - 降三級大和弦' },
-    6: { roman: 'bVI', color: 'blue', description: '平行小調借用 - 降六級大和弦' },
-    7: { roman: 'bVII', color: 'red', description: '平行小調借用 - 降七級大和弦' },
-    4: { roman: 'iv', color: 'blue', description: '平行小調借用 - 四級小和弦' }
-  };
-
-  const mapping = borrowedMap[scaleDegree];
-  if (!mapping) {
-    return null;
-  }
-
-  return {
-    roman: mapping.roman,
-    color: mapping.color,
-    scaleDegree: scaleDegree,
-    borrowedFrom: 'minor',
-    description: mapping.description
-  };
-};
-
 const extractChordRoot = (chordSymbol) => {
   if (!chordSymbol || typeof chordSymbol !== 'string') {
     return null;
@@ -223,13 +461,14 @@ const extractChordRoot = (chordSymbol) => {
     return null;
   }
 
-  const root = rootMatch[1];
+  // 只把音名字母轉大寫，保留降記號的小寫 b（Bb 不可變成 BB）
+  const root = rootMatch[1].charAt(0).toUpperCase() + rootMatch[1].slice(1);
   const noteInfo = Note.get(root);
   if (noteInfo.empty) {
     return null;
   }
 
-  return root.toUpperCase();
+  return root;
 };
 
 const getScaleDegree = (note, keyDefinition) => {
@@ -255,61 +494,213 @@ const getScaleDegree = (note, keyDefinition) => {
   return degreeIndex + 1;
 };
 
-const generateRomanNumeral = (scaleDegree, mode) => {
-  const romanNumerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
-  
-  if (scaleDegree < 1 || scaleDegree > 7) {
+/**
+ * 調內三和弦性質：依調式音階疊三度判斷
+ * 例如 D Dorian 的 VI 級（B D F）為減三和弦，A 和聲小調的 III 級（C E G#）為增三和弦
+ */
+export const getDiatonicTriadQuality = (scaleDegree, keyDefinition) => {
+  const scale = keyDefinition?.scale;
+  if (!scale || scale.length !== 7 || scaleDegree < 1 || scaleDegree > 7) {
+    return null;
+  }
+
+  const chroma = (offset) => Note.get(scale[(scaleDegree - 1 + offset) % 7]).chroma;
+  const third = (chroma(2) - chroma(0) + 12) % 12;
+  const fifth = (chroma(4) - chroma(0) + 12) % 12;
+
+  if (third === 4 && fifth === 7) return 'major';
+  if (third === 3 && fifth === 7) return 'minor';
+  if (third === 3 && fifth === 6) return 'diminished';
+  if (third === 4 && fifth === 8) return 'augmented';
+  return null;
+};
+
+/**
+ * 依和弦音程組出性質記號
+ * 回傳 { upper, suffix }：upper 表示羅馬數字大寫（大三、增三、掛留、強力和弦）
+ * suffix 如 maj7、7、ø7、°7、+、(maj7)、9、7sus4，變化延伸音放在括號內，如 7(b9,#11)
+ */
+export const buildQualitySuffix = (intervals) => {
+  const has = (interval) => intervals.includes(interval);
+  const third = has('3M') ? 'major' : has('3m') ? 'minor' : null;
+  const fifth = has('5d') ? 'diminished' : has('5A') ? 'augmented' : 'perfect';
+  const seventh = has('7M') ? 'major' : has('7m') ? 'minor' : has('7d') ? 'diminished' : null;
+  const seventhText = { major: 'maj7', minor: '7', diminished: '7' }[seventh] ?? '';
+
+  let upper = true;
+  let core;
+  if (third === 'minor' && fifth === 'diminished') {
+    upper = false;
+    core = seventh === 'minor' ? 'ø7' : seventh === 'diminished' ? '°7' : seventh === 'major' ? '°(maj7)' : '°';
+  } else if (third === 'minor') {
+    upper = false;
+    core = seventh === 'major' ? '(maj7)' : seventhText;
+  } else if (third === 'major' && fifth === 'augmented') {
+    core = `+${seventhText}`;
+  } else if (third === 'major') {
+    core = fifth === 'diminished' ? `${seventhText}(b5)` : seventhText;
+  } else if (has('4P') || has('2M')) {
+    core = `${seventhText}${has('4P') ? 'sus4' : 'sus2'}`;
+  } else {
+    core = has('5P') && intervals.length === 2 ? '5' : seventhText;
+  }
+
+  // 自然延伸音取代 7（如 9、maj9、13），無七音時寫成 add
+  const extension = ['13M', '11P', '9M'].find(has);
+  const extensionNumber = extension ? extension.slice(0, -1) : null;
+  if (seventh && extensionNumber && core.includes('7')) {
+    core = core.replace('7', extensionNumber);
+  } else if (!seventh && has('6M')) {
+    core = `${core}add6${has('9M') ? '/9' : ''}`;
+  } else if (!seventh && extensionNumber) {
+    core = `${core}add${extensionNumber}`;
+  }
+
+  const alterations = [
+    ['9m', 'b9'],
+    ['9A', '#9'],
+    ['11A', '#11'],
+    ['13m', 'b13']
+  ]
+    .filter(([interval]) => has(interval))
+    .map(([, label]) => label);
+  const altered = alterations.length ? `(${alterations.join(',')})` : '';
+
+  return { upper, suffix: `${core}${altered}` };
+};
+
+/**
+ * 依實際和弦組出羅馬數字，如 C 大調的 Cmaj7 → Imaj7、Dm7b5 → iiø7、G7b9 → V7(b9)
+ */
+const buildQualityRoman = (scaleDegree, intervals) => {
+  const roman = romanNumerals[scaleDegree - 1];
+  if (!roman) {
     return 'N/A';
   }
 
-  let roman = romanNumerals[scaleDegree - 1];
-  
-  if (mode === 'major') {
-    if (scaleDegree === 2 || scaleDegree === 3 || scaleDegree === 6) {
-      roman = roman.toLowerCase();
-    } else if (scaleDegree === 7) {
-      roman = roman.toLowerCase() + '°';
-    }
-  } else if (mode === 'minor') {
-    if (scaleDegree === 1 || scaleDegree === 4 || scaleDegree === 5) {
-      roman = roman.toLowerCase();
-    } else if (scaleDegree === 2) {
-      roman = roman.toLowerCase() + '°';
-    }
+  const { upper, suffix } = buildQualitySuffix(intervals ?? []);
+  return `${upper ? roman : roman.toLowerCase()}${suffix}`;
+};
+
+const semitonesAbove = (root, note) => (Note.get(note).chroma - Note.get(root).chroma + 12) % 12;
+
+// 音階上某級的三度、五度與七度（半音數）
+const getDiatonicStack = (scale, scaleDegree) => {
+  const note = (offset) => scale[(scaleDegree - 1 + offset) % 7];
+  return {
+    third: semitonesAbove(note(0), note(2)),
+    fifth: semitonesAbove(note(0), note(4)),
+    seventh: semitonesAbove(note(0), note(6))
+  };
+};
+
+/**
+ * 和弦性質是否符合調內和弦
+ * 小調同時接受和聲小調與旋律小調（V、vii°7 等），大調接受 vii°7
+ * 根音必須是該音階在此音級的音：A 小調的 G#°7 是 vii°7，G°7 不是
+ * 掛留與強力和弦沒有三度，不判斷為變化和弦
+ */
+const matchesDiatonicQuality = (scaleDegree, intervals, keyDefinition, chordRoot) => {
+  if (!keyDefinition?.scale || keyDefinition.scale.length !== 7) {
+    return true;
   }
 
-  return roman;
+  const tonic = keyDefinition.scale[0];
+  const scales = [keyDefinition.scale];
+  // 升高導音只用在屬和弦、導音和弦與含導音的 III+，其他音級的旋律小調和弦算調式互換（如 Dorian 的大 IV）
+  if (keyDefinition.mode === 'minor' && [3, 5, 7].includes(scaleDegree)) {
+    scales.push(Scale.get(`${tonic} harmonic minor`).notes, Scale.get(`${tonic} melodic minor`).notes);
+  }
+  const rootChroma = Note.get(chordRoot).chroma;
+  const stacks = scales
+    .filter(scale => scale.length === 7 && Note.get(scale[scaleDegree - 1]).chroma === rootChroma)
+    .map(scale => getDiatonicStack(scale, scaleDegree));
+  if (keyDefinition.mode === 'major' && scaleDegree === 7 && stacks.length) {
+    stacks.push({ third: 3, fifth: 6, seventh: 9 });
+  }
+
+  const chordStack = getChordStack(intervals);
+  return stacks.length > 0 && (chordStack.third === null || stacks.some(stack => stackMatches(stack, chordStack)));
 };
 
-const getHarmonicFunction = (scaleDegree, mode) => {
-  let harmonicFunction = 'tonic';
-  let color = 'green';
-
-  if (mode === 'major') {
-    if (scaleDegree === 1 || scaleDegree === 3 || scaleDegree === 6) {
-      harmonicFunction = 'tonic';
-      color = 'green';
-    } else if (scaleDegree === 4 || scaleDegree === 2) {
-      harmonicFunction = 'subdominant';
-      color = 'blue';
-    } else if (scaleDegree === 5 || scaleDegree === 7) {
-      harmonicFunction = 'dominant';
-      color = 'red';
-    }
-  } else if (mode === 'minor') {
-    if (scaleDegree === 1 || scaleDegree === 3 || scaleDegree === 6) {
-      harmonicFunction = 'tonic';
-      color = 'green';
-    } else if (scaleDegree === 4 || scaleDegree === 2) {
-      harmonicFunction = 'subdominant';
-      color = 'blue';
-    } else if (scaleDegree === 5 || scaleDegree === 7) {
-      harmonicFunction = 'dominant';
-      color = 'red';
-    }
+// 和弦的三度、五度與七度（半音數），沒有的音為 null
+const getChordStack = (intervals) => {
+  const semitones = (candidates) => {
+    const match = intervals.find(interval => candidates.includes(interval));
+    return match ? Interval.semitones(match) : null;
+  };
+  return {
+    third: semitones(['3m', '3M']),
+    fifth: semitones(['5d', '5P', '5A']),
+    seventh: semitones(['7d', '7m', '7M'])
+  };
+};
+
+const stackMatches = (stack, chordStack) =>
+  stack.third === chordStack.third &&
+  (chordStack.fifth === null || stack.fifth === chordStack.fifth) &&
+  (chordStack.seventh === null || stack.seventh === chordStack.seventh);
+
+/**
+ * 小調的升高六、七級（旋律小調），如 A 小調的 G#、F#
+ */
+const getRaisedMinorDegree = (note, keyDefinition) => {
+  if (keyDefinition?.mode !== 'minor') {
+    return null;
+  }
+
+  const melodicMinor = Scale.get(`${keyDefinition.scale[0]} melodic minor`).notes;
+  const chroma = Note.get(note).chroma;
+  const degreeIndex = melodicMinor.findIndex((scaleNote, index) => index >= 5 && Note.get(scaleNote).chroma === chroma);
+  return degreeIndex === -1 ? null : degreeIndex + 1;
+};
+
+// 和弦根音的調內音級；升高的六、七級只在和弦正是和聲或旋律小調的調內和弦時才算（A 小調的 G#°7，而非 G# 大三）
+const getDiatonicDegree = (chordRoot, intervals, keyDefinition) => {
+  const scaleDegree = getScaleDegree(chordRoot, keyDefinition);
+  if (scaleDegree !== null) {
+    return scaleDegree;
   }
+  const raisedDegree = getRaisedMinorDegree(chordRoot, keyDefinition);
+  const hasThird = getChordStack(intervals).third !== null;
+  return raisedDegree !== null && hasThird && matchesDiatonicQuality(raisedDegree, intervals, keyDefinition, chordRoot) ? raisedDegree : null;
+};
 
-  return { function: harmonicFunction, color };
+/**
+ * 調內三和弦的羅馬數字，大小寫與符號取自調式：大寫為大三、小寫為小三、° 為減三、+ 為增三
+ */
+const generateRomanNumeral = (scaleDegree, keyDefinition) => {
+  if (scaleDegree < 1 || scaleDegree > 7) {
+    return 'N/A';
+  }
+
+  const roman = romanNumerals[scaleDegree - 1];
+  const quality = getDiatonicTriadQuality(scaleDegree, keyDefinition);
+
+  if (quality === 'minor') {
+    return roman.toLowerCase();
+  }
+  if (quality === 'diminished') {
+    return roman.toLowerCase() + '°';
+  }
+  if (quality === 'augmented') {
+    return roman + '+';
+  }
+  return roman;
+};
+
+/**
+ * 和聲功能依音級判斷，所有調式共用：
+ * 1、3、6 級為主功能，2、4 級為下屬功能，5、7 級為屬功能
+ */
+const getHarmonicFunction = (scaleDegree) => {
+  if (scaleDegree === 4 || scaleDegree === 2) {
+    return { function: 'subdominant', color: 'blue' };
+  }
+  if (scaleDegree === 5 || scaleDegree === 7) {
+    return { function: 'dominant', color: 'red' };
+  }
+  return { function: 'tonic', color: 'green' };
 };
 
 export const testChordFunctionAnalysis = () => {
@@ -324,12 +715,12 @@ export const testChordFunctionAnalysis = () => {
     { chord: 'Dm', expected: { function: 'subdominant', roman: 'ii', color: 'blue' } },
     { chord: 'Em', expected: { function: 'tonic', roman: 'iii', color: 'green' } },
     { chord: 'Bdim', expected: { function: 'dominant', roman: 'vii°', color: 'red' } },
+    { chord: 'Eb', expected: { function: 'borrowed', roman: 'bIII', color: 'green' } },
+    { chord: 'Ab', expected: { function: 'borrowed', roman: 'bVI', color: 'green' } },
   ];
 
   const nonDiatonicTests = [
-    { chord: 'Eb', expected: null },
     { chord: 'F#', expected: null },
-    { chord: 'Ab', expected: null },
   ];
 
   const aMinorKey = getKeyDefinition('A', 'minor');
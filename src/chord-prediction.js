@@ -0,0 +1,241 @@
+import { Chord, Note, Scale } from "tonal";
+import { buildScaleChord, parseSlashChord, sanitizeChordInput, spellNoteInKey } from "./chord-utils.js";
+import { analyzeChordFunction } from "./chord-function.js";
+
+// Where each scale degree usually goes next, with a weight: tonic → subdominant → dominant → tonic
+const DEGREE_MOVES = {
+	1: { 4: 3, 5: 3, 6: 2, 2: 2, 3: 1 },
+	2: { 5: 4, 7: 1.5, 4: 1 },
+	3: { 6: 3, 4: 2, 2: 1 },
+	4: { 5: 3, 1: 2.5, 2: 1.5, 7: 1 },
+	5: { 1: 4, 6: 2, 4: 0.5 },
+	6: { 2: 3, 4: 3, 5: 1.5 },
+	7: { 1: 4, 3: 1 },
+};
+
+// A secondary dominant or tritone substitute points at one chord; that resolution outweighs every degree move
+const RESOLUTION_WEIGHT = 6;
+// A dominant reached through its ii resolves even more surely
+const TWO_FIVE_BONUS = 2;
+
+// How much the rules and the user's saved progressions count; the two-chord history context counts on top
+const SOURCE_WEIGHTS = {
+	rules: 1,
+	history: 1.5,
+	historyContext: 1,
+};
+
+const MAX_PREDICTIONS = 6;
+
+const FUNCTION_LABELS = {
+	tonic: "主",
+	subdominant: "下屬",
+	dominant: "屬",
+};
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+const interval = (from, to) => (chromaOf(to) - chromaOf(from) + 12) % 12;
+
+const noteFromChroma = (chroma, keyDefinition) => spellNoteInKey(Note.pitchClass(Note.fromMidi(60 + (chroma % 12))), keyDefinition);
+
+const readChord = (symbol) => {
+	const { chord } = parseSlashChord(sanitizeChordInput(symbol ?? ""));
+	const data = Chord.get(chord);
+	if (data.empty || !data.tonic) {
+		return null;
+	}
+	return {
+		root: data.tonic,
+		suffix: chord.slice(data.tonic.length),
+		// Chord types named by tonal, so "Cmaj7" and "CM7" share one history entry
+		type: data.type || data.quality,
+		hasSeventh: data.intervals.some((item) => ["7m", "7M", "7d"].includes(item)),
+		isDominant: data.intervals.includes("3M") && data.intervals.includes("7m"),
+		// Same sound, any spelling: root and pitch classes
+		sound: `${chromaOf(data.tonic)}:${data.notes.map(chromaOf).sort((a, b) => a - b).join(",")}`,
+	};
+};
+
+const isMinorKey = (keyDefinition) => interval(keyDefinition.scale[0], keyDefinition.scale[2]) === 3;
+
+// Diatonic chord on a degree, with the raised leading tone for V and vii° in minor keys
+const buildDegreeChord = (keyDefinition, degree, withSeventh) => {
+	const tonic = keyDefinition.scale[0];
+	const scale = isMinorKey(keyDefinition) && [5, 7].includes(degree) ? Scale.get(`${tonic} harmonic minor`).notes : keyDefinition.scale;
+	return buildScaleChord(scale, degree, withSeventh);
+};
+
+// Degree of the key a chroma sits on, or null
+const findDegree = (keyDefinition, chroma) => {
+	const index = keyDefinition.scale.findIndex((note) => chromaOf(note) === chroma);
+	return index === -1 ? null : index + 1;
+};
+
+// A chord's place in its key: semitones from the tonic and its type, so vi in C and vi in G are both "9:minor"
+const degreeOf = (chord, keyDefinition) => `${interval(keyDefinition.scale[0], chord.root)}:${chord.type}`;
+
+// One chord's context in the history table: its degree alone, or the degrees of the chord before it and itself
+const contextKeys = (previous, last, keyDefinition) => ({
+	single: degreeOf(last, keyDefinition),
+	pair: previous ? `${degreeOf(previous, keyDefinition)}|${degreeOf(last, keyDefinition)}` : null,
+});
+
+/**
+ * Count chord moves in saved progressions, each read in its own key ({ progression, keyDefinition }), so the
+ * table carries across keys: a move is stored as the next chord's root in semitones from the tonic and its
+ * suffix, under the previous chord's degree and under the degrees of the two previous chords.
+ * Returns { single, pair }, maps of context → Map(move → count).
+ */
+const buildTransitionTable = (history = []) => {
+	const table = { single: new Map(), pair: new Map() };
+	const count = (map, context, move) => {
+		if (!context) {
+			return;
+		}
+		const moves = map.get(context) ?? new Map();
+		moves.set(move, (moves.get(move) ?? 0) + 1);
+		map.set(context, moves);
+	};
+
+	history.forEach(({ progression, keyDefinition } = {}) => {
+		if (!keyDefinition?.scale?.length) {
+			return;
+		}
+		const chords = (progression ?? []).map(readChord);
+		chords.forEach((chord, index) => {
+			const last = chords[index - 1];
+			if (!chord || !last) {
+				return;
+			}
+			const move = `${interval(keyDefinition.scale[0], chord.root)}:${chord.suffix}`;
+			const { single, pair } = contextKeys(chords[index - 2], last, keyDefinition);
+			count(table.single, single, move);
+			count(table.pair, pair, move);
+		});
+	});
+	return table;
+};
+
+// Rule candidates for the chord after last: { symbol, weight, reason }
+const collectRuleCandidates = (last, previous, analysis, keyDefinition) => {
+	const candidates = [];
+	const withSeventh = last.hasSeventh;
+	const tonicChroma = chromaOf(keyDefinition.scale[0]);
+
+	// Secondary dominants go to the degree they point at, tritone substitutes down a semitone
+	let target = null;
+	if (analysis?.function === "secondary-dominant" && analysis.targetsDegree) {
+		target = { degree: analysis.targetsDegree, reason: `${analysis.roman} 解決` };
+	} else if (analysis?.function === "tritone-substitute") {
+		const chroma = (chromaOf(last.root) + 11) % 12;
+		target = { degree: findDegree(keyDefinition, chroma), chroma, reason: "三全音代理半音下行解決" };
+	} else if (last.isDominant && analysis?.function === "dominant" && analysis.scaleDegree === 5) {
+		target = { degree: 1, reason: "屬和弦解決到主和弦" };
+	}
+	if (target) {
+		const symbol = target.degree ? buildDegreeChord(keyDefinition, target.degree, withSeventh) : noteFromChroma(target.chroma, keyDefinition);
+		// ii–V just played: the resolution is all but certain
+		const bonus = previous && !previous.isDominant && interval(last.root, previous.root) === 7 ? TWO_FIVE_BONUS : 0;
+		if (symbol) {
+			candidates.push({ symbol, weight: RESOLUTION_WEIGHT + bonus, reason: bonus ? `ii–V 之後 ${target.reason}` : target.reason });
+		}
+	}
+
+	// Degree moves from the chord's scale degree; chromatic chords fall back to the degree their root sits on
+	const degree = analysis?.scaleDegree ?? findDegree(keyDefinition, chromaOf(last.root));
+	const moves = DEGREE_MOVES[degree] ?? (chromaOf(last.root) === tonicChroma ? DEGREE_MOVES[1] : null);
+	Object.entries(moves ?? {}).forEach(([next, weight]) => {
+		const symbol = buildDegreeChord(keyDefinition, Number(next), withSeventh);
+		if (symbol) {
+			candidates.push({ symbol, weight, reason: null });
+		}
+	});
+	return candidates;
+};
+
+// History candidates: the moves seen after a chord on the same degree (and the same two degrees), as probabilities
+const collectHistoryCandidates = (last, previous, table, keyDefinition) => {
+	const { single, pair } = contextKeys(previous, last, keyDefinition);
+	const tonicChroma = chromaOf(keyDefinition.scale[0]);
+	const fromMoves = (moves, weight, label) => {
+		if (!moves) {
+			return [];
+		}
+		const total = [...moves.values()].reduce((sum, value) => sum + value, 0);
+		return [...moves.entries()].map(([move, count]) => {
+			const [step, suffix] = [Number(move.split(":")[0]), move.slice(move.indexOf(":") + 1)];
+			const symbol = `${noteFromChroma(tonicChroma + step, keyDefinition)}${suffix}`;
+			return { symbol, probability: (weight * count) / total, reason: `${label}出現 ${count} 次` };
+		});
+	};
+	return [
+		...fromMoves(table.single.get(single), SOURCE_WEIGHTS.history, "保存的進程中"),
+		...fromMoves(pair ? table.pair.get(pair) : null, SOURCE_WEIGHTS.historyContext, "同樣兩個和弦之後"),
+	];
+};
+
+/**
+ * Likely next chords after a progression, best first.
+ * Functional-harmony rules read the last chord's degree and function (tonic → subdominant → dominant → tonic,
+ * secondary dominants and substitutes to their targets, ii–V to I); a transition table built from the saved
+ * progressions ([{ progression, keyDefinition }]) adds the user's own habits, keyed by scale degree so it
+ * carries across keys.
+ * Returns [{ symbol, roman, function, color, score, reasons }].
+ */
+const predictNextChords = (progression, keyDefinition, history = [], { limit = MAX_PREDICTIONS } = {}) => {
+	const last = readChord(progression?.[progression.length - 1]);
+	if (!last || !keyDefinition) {
+		return [];
+	}
+	const previousSymbol = progression[progression.length - 2] ?? null;
+	const previous = readChord(previousSymbol);
+	const analysis = analyzeChordFunction(progression[progression.length - 1], keyDefinition, { previous: previousSymbol, next: null });
+
+	const ruleCandidates = collectRuleCandidates(last, previous, analysis, keyDefinition);
+	const ruleTotal = ruleCandidates.reduce((sum, { weight }) => sum + weight, 0);
+	const scored = [
+		...ruleCandidates.map(({ symbol, weight, reason }) => ({ symbol, probability: (SOURCE_WEIGHTS.rules * weight) / ruleTotal, reason, isRule: true })),
+		...collectHistoryCandidates(last, previous, buildTransitionTable(history), keyDefinition),
+	];
+
+	// Merge spellings of the same chord; the first spelling seen wins, so rule spellings come before history ones
+	const merged = new Map();
+	scored.forEach(({ symbol, probability, reason, isRule }) => {
+		const chord = readChord(symbol);
+		if (!chord) {
+			return;
+		}
+		const entry = merged.get(chord.sound) ?? { symbol, score: 0, reasons: [], isRule: false, hasRuleReason: false };
+		entry.score += probability;
+		entry.isRule = entry.isRule || Boolean(isRule);
+		entry.hasRuleReason = entry.hasRuleReason || Boolean(isRule && reason);
+		if (reason) {
+			entry.reasons.push(reason);
+		}
+		merged.set(chord.sound, entry);
+	});
+
+	return [...merged.values()]
+		.sort((a, b) => b.score - a.score)
+		.slice(0, limit)
+		.map(({ symbol, score, reasons, isRule, hasRuleReason }) => {
+			const labeled = analyzeChordFunction(symbol, keyDefinition, { previous: progression[progression.length - 1], next: null });
+			const move = analysis?.roman && labeled?.roman ? `${analysis.roman} → ${labeled.roman}` : null;
+			const flow =
+				isRule && FUNCTION_LABELS[analysis?.function] && FUNCTION_LABELS[labeled?.function]
+					? `${FUNCTION_LABELS[analysis.function]} → ${FUNCTION_LABELS[labeled.function]}`
+					: null;
+			return {
+				symbol,
+				roman: labeled?.roman ?? null,
+				function: labeled?.function ?? null,
+				color: labeled?.color ?? null,
+				score,
+				// Plain degree moves are explained by the functions they connect
+				reasons: isRule && !hasRuleReason ? [flow ? `${flow}（${move}）` : move, ...reasons].filter(Boolean) : reasons,
+			};
+		});
+};
+
+export { buildTransitionTable, predictNextChords };
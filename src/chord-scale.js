@@ -0,0 +1,220 @@
+import { Chord, Note, Scale } from "tonal";
+import { buildAbcHeader, parseSlashChord, sanitizeChordInput, spellNotesInKey, toAbcNote } from "./chord-utils.js";
+
+// Scales offered over chords, with the tonal scale name they are built from
+const CHORD_SCALES = [
+	{ id: "ionian", scale: "major", label: "Ionian" },
+	{ id: "dorian", scale: "dorian", label: "Dorian" },
+	{ id: "phrygian", scale: "phrygian", label: "Phrygian" },
+	{ id: "lydian", scale: "lydian", label: "Lydian" },
+	{ id: "mixolydian", scale: "mixolydian", label: "Mixolydian" },
+	{ id: "aeolian", scale: "minor", label: "Aeolian" },
+	{ id: "locrian", scale: "locrian", label: "Locrian" },
+	{ id: "locrian-2", scale: "locrian #2", label: "Locrian ♮2" },
+	{ id: "melodic-minor", scale: "melodic minor", label: "Melodic minor" },
+	{ id: "harmonic-minor", scale: "harmonic minor", label: "Harmonic minor" },
+	{ id: "lydian-dominant", scale: "lydian dominant", label: "Lydian dominant" },
+	{ id: "mixolydian-b6", scale: "mixolydian b6", label: "Mixolydian b6" },
+	{ id: "phrygian-dominant", scale: "phrygian dominant", label: "Phrygian dominant" },
+	{ id: "altered", scale: "altered", label: "Altered" },
+	{ id: "half-whole", scale: "half-whole diminished", label: "Half-whole diminished" },
+	{ id: "whole-half", scale: "diminished", label: "Whole-half diminished" },
+	{ id: "whole-tone", scale: "whole tone", label: "Whole tone" },
+	{ id: "lydian-augmented", scale: "lydian augmented", label: "Lydian augmented" },
+];
+
+// Scale order by chord quality, most idiomatic first; the key's own mode on the chord root is tried before these
+const QUALITY_SCALES = {
+	major: ["ionian", "lydian"],
+	subdominant: ["lydian", "ionian"],
+	minor: ["dorian", "aeolian", "phrygian"],
+	minorSixth: ["dorian", "melodic-minor"],
+	minorMajor: ["melodic-minor", "harmonic-minor"],
+	halfDiminished: ["locrian", "locrian-2"],
+	diminished: ["whole-half", "locrian"],
+	augmented: ["whole-tone", "lydian-augmented"],
+	majorAugmented: ["lydian-augmented"],
+	sus: ["mixolydian", "dorian"],
+	dominantToMajor: ["mixolydian", "half-whole", "altered", "lydian-dominant"],
+	dominantToMinor: ["phrygian-dominant", "altered", "half-whole", "mixolydian-b6"],
+	dominantUnresolved: ["lydian-dominant", "mixolydian", "half-whole"],
+};
+
+// Chords that do not resolve down a fifth: the raised 11th of Lydian dominant fits them best
+const UNRESOLVED_FUNCTIONS = ["tritone-substitute", "borrowed", "augmented-sixth"];
+
+// Over a dominant seventh, b9 and b13 are tensions even though they sit a semitone above a chord tone
+const DOMINANT_TENSIONS = [1, 8];
+
+const MAX_SUGGESTIONS = 4;
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+const hasInterval = (intervals, ...names) => names.some((name) => intervals.includes(name));
+
+// Whether the triad on a degree of the key has a minor third
+const isMinorDegree = (degree, keyDefinition) => {
+	const scale = keyDefinition?.scale;
+	if (!degree || scale?.length !== 7) {
+		return false;
+	}
+	const third = (chromaOf(scale[(degree + 1) % 7]) - chromaOf(scale[degree - 1]) + 12) % 12;
+	return third === 3;
+};
+
+// Does the dominant resolve to a minor chord: the next chord decides when known, otherwise the degree it points to
+const resolvesToMinor = (analysis, keyDefinition, next) => {
+	const nextChord = next ? Chord.get(parseSlashChord(sanitizeChordInput(next)).chord) : null;
+	if (nextChord && !nextChord.empty) {
+		return nextChord.intervals.includes("3m");
+	}
+	if (analysis?.function === "secondary-dominant") {
+		return isMinorDegree(analysis.targetsDegree, keyDefinition);
+	}
+	return isMinorDegree(1, keyDefinition);
+};
+
+const getQuality = (intervals, analysis, keyDefinition, next) => {
+	const minorThird = intervals.includes("3m");
+	if (hasInterval(intervals, "7d")) return "diminished";
+	if (minorThird && hasInterval(intervals, "5d")) return hasInterval(intervals, "7m") ? "halfDiminished" : "diminished";
+	if (minorThird && hasInterval(intervals, "7M")) return "minorMajor";
+	if (minorThird) return hasInterval(intervals, "6M", "13M") && !intervals.includes("7m") ? "minorSixth" : "minor";
+	if (hasInterval(intervals, "5A") && !intervals.includes("7m")) return intervals.includes("7M") ? "majorAugmented" : "augmented";
+	if (intervals.includes("7m")) {
+		if (!intervals.includes("3M")) return "sus";
+		if (UNRESOLVED_FUNCTIONS.includes(analysis?.function)) return "dominantUnresolved";
+		if (!["dominant", "secondary-dominant"].includes(analysis?.function) && !next) return "dominantUnresolved";
+		return resolvesToMinor(analysis, keyDefinition, next) ? "dominantToMinor" : "dominantToMajor";
+	}
+	if (!intervals.includes("3M") && hasInterval(intervals, "4P", "2M")) return "sus";
+	return analysis?.function === "subdominant" ? "subdominant" : "major";
+};
+
+// The key's scale read from the chord root, when the chord is built from it (D Dorian for Dm7 in C major)
+const getKeyMode = (root, keyDefinition) => {
+	const scale = keyDefinition?.scale ?? [];
+	const index = scale.findIndex((note) => chromaOf(note) === chromaOf(root));
+	if (index === -1 || scale.length !== 7) {
+		return null;
+	}
+	const rotated = [...scale.slice(index), ...scale.slice(0, index)].map((note) => (chromaOf(note) - chromaOf(root) + 12) % 12);
+	return CHORD_SCALES.find(({ scale: name }) => {
+		const steps = Scale.get(`C ${name}`).notes.map((note) => chromaOf(note));
+		return steps.length === 7 && steps.every((step, i) => step === rotated[i]);
+	})?.id ?? null;
+};
+
+const hasDoubleAccidental = (note) => Math.abs(Note.get(note).alt) > 1;
+
+// Every tone is spelled with spellNotesInKey (F# altered in B major: F# G A A# C D E). When the key would respell
+// the chord's own root (Db7 in C major), the scale keeps tonal's letters from that root instead, switching a
+// letter only where it would need a double accidental.
+const spellScale = (notes, keyDefinition) => {
+	const inKey = spellNotesInKey(notes, keyDefinition);
+	if (inKey[0] === notes[0]) {
+		return inKey;
+	}
+	return notes.map((note, index) => (hasDoubleAccidental(note) ? inKey[index] : note));
+};
+
+// A scale tone a semitone above a chord tone clashes with it (the 4th over a major 3rd), except the dominant's b9 and b13
+const isAvoidNote = (offset, chordOffsets, isDominant) => {
+	if (chordOffsets.includes(offset)) {
+		return false;
+	}
+	if (isDominant && DOMINANT_TENSIONS.includes(offset)) {
+		return false;
+	}
+	return chordOffsets.some((chordOffset) => (offset - chordOffset + 12) % 12 === 1);
+};
+
+const buildSuggestion = (definition, root, chordOffsets, isDominant, keyDefinition) => {
+	const notes = Scale.get(`${root} ${definition.scale}`).notes;
+	const offsets = notes.map((note) => (chromaOf(note) - chromaOf(root) + 12) % 12);
+	// Every chord tone must be in the scale; the perfect fifth may be left out (the altered scale has none)
+	if (chordOffsets.some((offset) => offset !== 7 && !offsets.includes(offset))) {
+		return null;
+	}
+	const spelled = spellScale(notes, keyDefinition);
+	const degrees = spelled.map((note, index) => {
+		const offset = offsets[index];
+		const avoid = isAvoidNote(offset, chordOffsets, isDominant);
+		return { note, role: chordOffsets.includes(offset) ? "chord" : avoid ? "avoid" : "tension", avoid };
+	});
+	return {
+		id: definition.id,
+		label: definition.label,
+		name: `${spelled[0]} ${definition.label}`,
+		notes: spelled,
+		degrees,
+		avoid: degrees.filter(({ avoid }) => avoid).map(({ note }) => note),
+	};
+};
+
+/**
+ * Scales to improvise over a chord, most idiomatic first.
+ * The key's own mode on the chord root comes first when the chord is built from it; the rest follow the chord
+ * quality and, for dominants, where analyzeChordFunction (or context.next) says they resolve: Mixolydian toward
+ * major, Phrygian dominant toward minor, Lydian dominant for substitutes and borrowed sevenths.
+ * Scales missing a chord tone are dropped. Notes are spelled with spellNotesInKey where the letters allow;
+ * avoid notes sit a semitone above a chord tone.
+ * Returns [{ id, label, name, notes, degrees: [{ note, role, avoid }], avoid }].
+ */
+const suggestChordScales = (symbol, keyDefinition, { analysis = null, next = null, limit = MAX_SUGGESTIONS } = {}) => {
+	const { chord } = parseSlashChord(sanitizeChordInput(symbol ?? ""));
+	const data = Chord.get(chord);
+	if (data.empty || !data.tonic) {
+		return [];
+	}
+	const root = data.tonic;
+	// Extensions fold into one octave (9 → 2, 13 → 6) so they are checked against the scale like any other tone
+	const chordOffsets = [...new Set(data.intervals.map((interval) => ((Note.get(Note.transpose(root, interval)).chroma - chromaOf(root)) + 12) % 12))];
+	const isDominant = data.intervals.includes("3M") && data.intervals.includes("7m");
+	const quality = getQuality(data.intervals, analysis, keyDefinition, next);
+	const keyMode = analysis?.function === "borrowed" ? null : getKeyMode(root, keyDefinition);
+	const ids = [...new Set([keyMode, ...QUALITY_SCALES[quality]].filter(Boolean))];
+
+	return ids
+		.map((id) => CHORD_SCALES.find((definition) => definition.id === id))
+		.map((definition) => buildSuggestion(definition, root, chordOffsets, isDominant, keyDefinition))
+		.filter(Boolean)
+		.slice(0, limit);
+};
+
+// Stack scale tones upward from octave 4 and close on the root an octave up
+const voiceScale = (notes) => {
+	let previous = -Infinity;
+	const voiced = notes.map((note) => {
+		let octave = 4;
+		while (Note.midi(`${note}${octave}`) <= previous) {
+			octave += 1;
+		}
+		previous = Note.midi(`${note}${octave}`);
+		return `${note}${octave}`;
+	});
+	return [...voiced, `${notes[0]}5`];
+};
+
+/**
+ * ABC for one suggested scale, one bar of quarter notes with avoid notes marked above the staff.
+ * Written in C with explicit accidentals so chromatic tones read as spelled; naturals are added where a
+ * letter returns without its earlier accidental.
+ */
+const buildScaleAbc = (suggestion, { title = null } = {}) => {
+	const voiced = voiceScale(suggestion.notes);
+	const avoid = new Set(suggestion.avoid);
+	const accidentals = new Map();
+	const body = voiced.map((note) => {
+		const { letter, acc, oct } = Note.get(note);
+		const place = `${letter}${oct}`;
+		const written = toAbcNote(note);
+		const natural = !acc && accidentals.get(place) ? "=" : "";
+		accidentals.set(place, acc);
+		const mark = avoid.has(Note.get(note).pc) ? `"^avoid"` : "";
+		return `${mark}${natural}${written}`;
+	});
+	return `${buildAbcHeader({ key: "C", meter: `${voiced.length}/4`, unitLength: "1/4", title: title ?? suggestion.name })}\n${body.join(" ")} |]`;
+};
+
+export { CHORD_SCALES, buildScaleAbc, suggestChordScales };
@@ -1,4 +1,4 @@
-import { Note } from "tonal";
+import { Note, Scale } from "tonal";
 
 const SHARP_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 const FLAT_NAMES = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
@@ -50,16 +50,62 @@ const buildDiatonicMap = (scale) => {
 	return map;
 };
 
+// Sharps are positive, flats negative, e.g. F major -> -1
+const countSignatureFifths = (scale) =>
+	scale.reduce((sum, note) => sum + (note.match(/#/g)?.length ?? 0) - (note.match(/b/g)?.length ?? 0), 0);
+
 const normalizeKeyDefinitions = (keys, mode) =>
 	keys.map((key) => ({
 		...key,
 		mode,
+		fifths: key.fifths ?? countSignatureFifths(key.scale),
 		diatonicMap: buildDiatonicMap(key.scale),
 	}));
 
+// signature: the mode whose key signature is written for this mode (raised degrees become accidentals)
+const KEY_MODES = [
+	{ id: "major", label: "Major (Ionian)", name: "major", scale: "major" },
+	{ id: "minor", label: "Minor (Aeolian)", name: "minor", scale: "minor" },
+	{ id: "dorian", label: "Dorian", name: "Dorian", scale: "dorian" },
+	{ id: "phrygian", label: "Phrygian", name: "Phrygian", scale: "phrygian" },
+	{ id: "lydian", label: "Lydian", name: "Lydian", scale: "lydian" },
+	{ id: "mixolydian", label: "Mixolydian", name: "Mixolydian", scale: "mixolydian" },
+	{ id: "locrian", label: "Locrian", name: "Locrian", scale: "locrian" },
+	{ id: "harmonic-minor", label: "Harmonic minor", name: "harmonic minor", scale: "harmonic minor", signature: "minor" },
+	{ id: "melodic-minor", label: "Melodic minor", name: "melodic minor", scale: "melodic minor", signature: "minor" },
+];
+
+const MODAL_ROOT_CANDIDATES = ["C", "C#", "Db", "D", "D#", "Eb", "E", "F", "F#", "Gb", "G", "G#", "Ab", "A", "A#", "Bb", "B"];
+
+const countAccidentals = (scale) => scale.reduce((sum, note) => sum + Note.get(note).acc.length, 0);
+
+// Modal keys for every tonic, spelled with the fewest accidentals (both spellings are kept on a tie)
+const buildModalKeys = ({ id, name, scale: scaleName, signature }) => {
+	const spelled = MODAL_ROOT_CANDIDATES.map((root) => ({ root, scale: Scale.get(`${root} ${scaleName}`).notes })).filter(
+		({ scale }) => scale.length === 7 && !scale.some((note) => /##|bb/.test(note)),
+	);
+	return spelled
+		.filter(({ root, scale }) =>
+			spelled.every(
+				(other) => Note.get(other.root).chroma !== Note.get(root).chroma || countAccidentals(other.scale) >= countAccidentals(scale),
+			),
+		)
+		.map(({ root, scale }) => ({
+			id: root,
+			label: `${root} ${name}`,
+			scale,
+			accidental: scale.some((note) => note.includes("b")) ? "flat" : "sharp",
+			fifths: signature ? countSignatureFifths(Scale.get(`${root} ${signature}`).notes) : undefined,
+			mode: id,
+		}));
+};
+
 const KEY_DEFINITIONS = [
 	...normalizeKeyDefinitions(MAJOR_KEYS, "major"),
 	...normalizeKeyDefinitions(MINOR_KEYS, "minor"),
+	...KEY_MODES.filter((mode) => mode.id !== "major" && mode.id !== "minor").flatMap((mode) =>
+		normalizeKeyDefinitions(buildModalKeys(mode), mode.id),
+	),
 ];
 
 const ORDERED_MAJOR_ROOTS = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B", "Cb", "Db", "Gb"];
@@ -67,7 +113,47 @@ const ORDERED_MINOR_ROOTS = ["A", "A#", "B", "C", "C#", "D", "Eb", "E", "F", "F#
 const MAJOR_ROOTS = ORDERED_MAJOR_ROOTS.filter((root) => MAJOR_KEYS.some((key) => key.id === root));
 const MINOR_ROOTS = ORDERED_MINOR_ROOTS.filter((root) => MINOR_KEYS.some((key) => key.id === root));
 
-const sanitizeChordInput = (value) => value.replace(/[(),\s]/g, "");
+// Roots offered by the key select for a mode; modal roots follow MODAL_ROOT_CANDIDATES order
+const getModeRoots = (mode) => {
+	if (mode === "major") {
+		return MAJOR_ROOTS;
+	}
+	if (mode === "minor") {
+		return MINOR_ROOTS;
+	}
+	return KEY_DEFINITIONS.filter((key) => key.mode === mode).map((key) => key.id);
+};
+
+const sanitizeChordInput = (value) =>
+	value.replace(/[(),\s]/g, "").replace(/\/([a-g])([#b]*)$/, (_, letter, accidental) => `/${letter.toUpperCase()}${accidental}`);
+
+const INVERSION_LABELS = ["原位", "第一轉位", "第二轉位", "第三轉位"];
+
+// Split a slash chord like "Am7/G" into its chord part and bass note
+const parseSlashChord = (symbol) => {
+	if (!symbol || typeof symbol !== "string") {
+		return { chord: "", bass: null };
+	}
+	const match = symbol.match(/^(.+)\/([A-Ga-g][#b]*)$/);
+	if (!match || Note.get(match[2]).empty) {
+		return { chord: symbol, bass: null };
+	}
+	return { chord: match[1], bass: match[2].charAt(0).toUpperCase() + match[2].slice(1) };
+};
+
+// Which chord tone sits in the bass: 0 = root position, 1 = first inversion, ...
+// Returns null index when the bass is not a chord tone (e.g. C/Bb)
+const getInversion = (chordNotes, bass) => {
+	if (!bass) {
+		return { index: 0, label: INVERSION_LABELS[0], isChordTone: true };
+	}
+	const bassChroma = Note.get(bass).chroma;
+	const index = chordNotes.findIndex((note) => Note.get(note).chroma === bassChroma);
+	if (index === -1) {
+		return { index: null, label: `${bass} 低音`, isChordTone: false };
+	}
+	return { index, label: INVERSION_LABELS[index] ?? `${bass} 低音`, isChordTone: true };
+};
 
 const getKeyDefinition = (root, mode) =>
 	KEY_DEFINITIONS.find((key) => key.id === root && key.mode === mode) ?? KEY_DEFINITIONS[0];
@@ -92,6 +178,32 @@ const spellNoteInKey = (note, keyDefinition) => {
 const spellNotesInKey = (notes, keyDefinition) =>
 	notes.map((note) => spellNoteInKey(note, keyDefinition));
 
+// Third, fifth and seventh above the root in semitones → chord suffix, for chords stacked from a scale
+const STACK_SUFFIXES = {
+	"4,7": "",
+	"3,7": "m",
+	"3,6": "dim",
+	"4,8": "aug",
+	"4,7,11": "maj7",
+	"4,7,10": "7",
+	"3,7,10": "m7",
+	"3,6,10": "m7b5",
+	"3,6,9": "dim7",
+	"3,7,11": "mMaj7",
+	"4,8,11": "maj7#5",
+};
+
+// The chord built in thirds on a degree of a seven-note scale: degree 2 of C major → Dm or Dm7
+const buildScaleChord = (scale, degree, withSeventh) => {
+	if (scale?.length !== 7) {
+		return null;
+	}
+	const note = (offset) => scale[(degree - 1 + offset) % 7];
+	const steps = [2, 4, ...(withSeventh ? [6] : [])].map((offset) => (Note.get(note(offset)).chroma - Note.get(note(0)).chroma + 12) % 12);
+	const suffix = STACK_SUFFIXES[steps.join(",")];
+	return suffix === undefined ? null : `${note(0)}${suffix}`;
+};
+
 const shouldSuggestEnharmonic = (chordRoot, keyDefinition) => {
 	if (!chordRoot || !keyDefinition) {
 		return { shouldSuggest: false };
@@ -135,6 +247,21 @@ const spellNotesWithOctaveInKey = (notes, keyDefinition) =>
 		return `${spelled}${parsed.oct}`;
 	});
 
+// Give each pitch class an octave so the notes ascend from the first one
+const stackNotesWithOctave = (notes, startOctave = 4) => {
+	let octave = startOctave;
+	let previousMidi = -Infinity;
+	return notes.map((note) => {
+		let midi = Note.midi(`${note}${octave}`);
+		while (midi !== null && midi <= previousMidi) {
+			octave += 1;
+			midi = Note.midi(`${note}${octave}`);
+		}
+		previousMidi = midi ?? previousMidi;
+		return `${note}${octave}`;
+	});
+};
+
 const accidentalToAbc = (accidental) => {
 	if (!accidental) {
 		return "";
@@ -177,15 +304,101 @@ const toAbcNote = (note, defaultOctave = 4) => {
 	return `${accidental}${baseLetter.toUpperCase()}${marks}`;
 };
 
-const buildAbcChord = (notesWithOctave, defaultOctave = 4) =>
-	`[${notesWithOctave.map((note) => toAbcNote(note, defaultOctave)).join(" ")}]1`;
+// annotation is an ABC chord symbol drawn above the staff, e.g. "Cmaj7"
+const buildAbcChord = (notesWithOctave, defaultOctave = 4, duration = 1, annotation = "") => {
+	const symbol = annotation ? `"${annotation.replace(/"/g, "")}"` : "";
+	return `${symbol}[${notesWithOctave.map((note) => toAbcNote(note, defaultOctave)).join(" ")}]${duration}`;
+};
+
+const buildAbcHeader = ({ key = "C", meter = null, unitLength = null, title = null } = {}) =>
+	["X:1", title && `T:${title}`, meter && `M:${meter}`, unitLength && `L:${unitLength}`, `K:${key}`]
+		.filter(Boolean)
+		.join("\n");
+
+const ABC_METERS = ["2/4", "3/4", "4/4", "5/4", "6/4"];
+
+const beatsPerBar = (meter) => Number.parseInt(meter, 10) || 4;
+
+// Lyric syllables may not contain ABC word separators
+const toAbcLyric = (text) => (text ? text.replace(/[\s_-]/g, "~") : "*");
+
+/**
+ * Split chords into bars of the meter's beat count.
+ * Returns bars of pieces { chord, length, isFirstPiece, tiesOver }; a chord longer than
+ * the rest of its bar continues in the next bar as a tied piece. A chord with barLine closes
+ * its bar even when the bar is not full, so that bar is written short.
+ */
+const layoutBars = (chords, meter = "4/4") => {
+	const barLength = beatsPerBar(meter);
+	const bars = [[]];
+	let beatInBar = 0;
+
+	chords.forEach((chord) => {
+		let remaining = chord.beats;
+		let isFirstPiece = true;
+		while (remaining > 0) {
+			const length = Math.min(remaining, barLength - beatInBar);
+			remaining -= length;
+			bars[bars.length - 1].push({ chord, length, isFirstPiece, tiesOver: remaining > 0 });
+			isFirstPiece = false;
+			beatInBar += length;
+			if (beatInBar >= barLength) {
+				bars.push([]);
+				beatInBar = 0;
+			}
+		}
+		if (chord.barLine && beatInBar > 0) {
+			bars.push([]);
+			beatInBar = 0;
+		}
+	});
+
+	return bars.filter((bar) => bar.length);
+};
+
+/**
+ * Multi-measure score with quarter-note beats.
+ * chords: [{ notes: ["C4", "E4", "G4"], beats: 4, symbol: "C", roman: "I" }]
+ * Chord symbols go above the staff and Roman numerals below as lyrics.
+ */
+const buildAbcScore = (chords, { key = "C", meter = "4/4", title = null } = {}) => {
+	const lyrics = [];
+	const bars = layoutBars(chords, meter).map((bar) =>
+		bar
+			.map(({ chord, length, isFirstPiece, tiesOver }) => {
+				const { notes, symbol = "", roman = "" } = chord;
+				if (!notes.length) {
+					return `${isFirstPiece && symbol ? `"${symbol}"` : ""}z${length}`;
+				}
+				lyrics.push(isFirstPiece ? toAbcLyric(roman) : "*");
+				return `${buildAbcChord(notes, 4, length, isFirstPiece ? symbol : "")}${tiesOver ? "-" : ""}`;
+			})
+			.join(" "),
+	);
+
+	const header = buildAbcHeader({ key, meter, unitLength: "1/4", title });
+	const lyricLine = lyrics.some((lyric) => lyric !== "*") ? `\nw: ${lyrics.join(" ")}` : "";
+	return `${header}\n${bars.join(" | ")} |]${lyricLine}`;
+};
+
+// ABC has no harmonic or melodic minor key, so those use the minor signature with written accidentals
+const ABC_MODE_SUFFIXES = {
+	major: "",
+	minor: "m",
+	dorian: "Dor",
+	phrygian: "Phr",
+	lydian: "Lyd",
+	mixolydian: "Mix",
+	locrian: "Loc",
+	"harmonic-minor": "m",
+	"melodic-minor": "m",
+};
 
 const toAbcKey = (root, mode) => {
 	if (!root) {
 		return "C";
 	}
-	const suffix = mode === "minor" ? "m" : "";
-	return `${root}${suffix}`;
+	return `${root}${ABC_MODE_SUFFIXES[mode] ?? ""}`;
 };
 
 // Parse notes input - supports space and comma separators
@@ -234,19 +447,32 @@ const detectInputType = (input) => {
 
 export {
 	KEY_DEFINITIONS,
+	KEY_MODES,
 	MAJOR_ROOTS,
 	MINOR_ROOTS,
+	ABC_METERS,
 	buildAbcChord,
+	buildAbcHeader,
+	buildAbcScore,
+	buildScaleChord,
+	beatsPerBar,
+	getInversion,
 	getKeyDefinition,
+	getModeRoots,
 	isValidNote,
+	layoutBars,
 	normalizeNote,
 	isNoteNameOnly,
 	detectInputType,
 	parseNotesInput,
+	parseSlashChord,
 	sanitizeChordInput,
 	shouldSuggestEnharmonic,
+	spellNoteInKey,
 	spellNotesInKey,
 	spellNotesWithOctaveInKey,
+	stackNotesWithOctave,
 	stripOctave,
 	toAbcKey,
+	toAbcNote,
 };
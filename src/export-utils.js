@@ -0,0 +1,227 @@
+import { Chord, Note } from "tonal";
+import { buildAbcScore, layoutBars, parseSlashChord } from "./chord-utils.js";
+
+const MIDI_TICKS_PER_QUARTER = 480;
+const MIDI_VELOCITY = 80;
+
+// Progression chords share the buildAbcScore shape: [{ notes, beats, symbol, roman }]
+
+// --- Standard MIDI File ---
+
+const toVariableLength = (value) => {
+	const bytes = [value & 0x7f];
+	let rest = value >> 7;
+	while (rest > 0) {
+		bytes.unshift((rest & 0x7f) | 0x80);
+		rest >>= 7;
+	}
+	return bytes;
+};
+
+const toBytes = (value, length) =>
+	Array.from({ length }, (_, index) => (value >> (8 * (length - index - 1))) & 0xff);
+
+const toAsciiBytes = (text) => Array.from(text, (char) => char.charCodeAt(0) & 0x7f);
+
+/**
+ * Single-track (format 0) MIDI file, one note-on/note-off group per chord.
+ * Returns a Uint8Array ready to save as .mid.
+ */
+const buildMidiFile = (chords, { tempo = 90, meter = "4/4", title = "Harmonia" } = {}) => {
+	const events = [];
+	const microsecondsPerQuarter = Math.round(60000000 / tempo);
+	const numerator = Number.parseInt(meter, 10) || 4;
+
+	const titleBytes = Array.from(new TextEncoder().encode(title));
+	events.push(0, 0xff, 0x03, ...toVariableLength(titleBytes.length), ...titleBytes);
+	events.push(0, 0xff, 0x51, 0x03, ...toBytes(microsecondsPerQuarter, 3));
+	events.push(0, 0xff, 0x58, 0x04, numerator, 2, 24, 8);
+
+	let pendingDelta = 0;
+	chords.forEach(({ notes, beats }) => {
+		const duration = Math.round(beats * MIDI_TICKS_PER_QUARTER);
+		const pitches = notes.map((note) => Note.midi(note)).filter((midi) => midi !== null);
+		if (!pitches.length) {
+			pendingDelta += duration;
+			return;
+		}
+		pitches.forEach((pitch, index) => {
+			events.push(...toVariableLength(index === 0 ? pendingDelta : 0), 0x90, pitch, MIDI_VELOCITY);
+		});
+		pitches.forEach((pitch, index) => {
+			events.push(...toVariableLength(index === 0 ? duration : 0), 0x80, pitch, 0);
+		});
+		pendingDelta = 0;
+	});
+
+	events.push(...toVariableLength(pendingDelta), 0xff, 0x2f, 0x00);
+
+	const header = [...toAsciiBytes("MThd"), ...toBytes(6, 4), ...toBytes(0, 2), ...toBytes(1, 2), ...toBytes(MIDI_TICKS_PER_QUARTER, 2)];
+	const track = [...toAsciiBytes("MTrk"), ...toBytes(events.length, 4), ...events];
+	return new Uint8Array([...header, ...track]);
+};
+
+// --- MusicXML ---
+
+const HARMONY_KINDS = {
+	major: "major",
+	minor: "minor",
+	augmented: "augmented",
+	diminished: "diminished",
+	"dominant seventh": "dominant",
+	"major seventh": "major-seventh",
+	"minor seventh": "minor-seventh",
+	"diminished seventh": "diminished-seventh",
+	"half-diminished": "half-diminished",
+	"minor/major seventh": "major-minor",
+	"augmented seventh": "augmented-seventh",
+	sixth: "major-sixth",
+	"minor sixth": "minor-sixth",
+	"dominant ninth": "dominant-ninth",
+	"major ninth": "major-ninth",
+	"minor ninth": "minor-ninth",
+	"dominant eleventh": "dominant-11th",
+	"dominant thirteenth": "dominant-13th",
+	"suspended fourth": "suspended-fourth",
+	"suspended second": "suspended-second",
+	fifth: "power",
+};
+
+// Quarter-note lengths MusicXML can write as a single note value
+const NOTE_VALUES = [
+	{ length: 6, type: "whole", dot: true },
+	{ length: 4, type: "whole", dot: false },
+	{ length: 3, type: "half", dot: true },
+	{ length: 2, type: "half", dot: false },
+	{ length: 1, type: "quarter", dot: false },
+];
+
+const splitIntoNoteValues = (length) => {
+	const values = [];
+	let remaining = length;
+	while (remaining > 0) {
+		const value = NOTE_VALUES.find((item) => item.length <= remaining) ?? NOTE_VALUES[NOTE_VALUES.length - 1];
+		values.push(value);
+		remaining -= value.length;
+	}
+	return values;
+};
+
+const escapeXml = (text) =>
+	String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const pitchXml = (note) => {
+	const { letter, alt, oct } = Note.get(note);
+	const alter = alt ? `<alter>${alt}</alter>` : "";
+	return `<pitch><step>${letter}</step>${alter}<octave>${oct}</octave></pitch>`;
+};
+
+const rootXml = (tag, note) => {
+	const { letter, alt } = Note.get(note);
+	const alter = alt ? `<${tag}-alter>${alt}</${tag}-alter>` : "";
+	return `<${tag}-step>${letter}</${tag}-step>${alter}`;
+};
+
+const harmonyXml = (symbol) => {
+	const { chord, bass } = parseSlashChord(symbol);
+	const chordData = Chord.get(chord);
+	if (!chordData.tonic) {
+		return "";
+	}
+	const suffix = chord.slice(chordData.tonic.length);
+	const kind = HARMONY_KINDS[chordData.type] ?? "other";
+	const bassXml = bass ? `<bass>${rootXml("bass", bass)}</bass>` : "";
+	return `<harmony><root>${rootXml("root", chordData.tonic)}</root><kind text="${escapeXml(suffix)}">${kind}</kind>${bassXml}</harmony>`;
+};
+
+// MusicXML names the church modes; harmonic and melodic minor are written as minor
+const MUSICXML_MODES = {
+	major: "major",
+	minor: "minor",
+	dorian: "dorian",
+	phrygian: "phrygian",
+	lydian: "lydian",
+	mixolydian: "mixolydian",
+	locrian: "locrian",
+	"harmonic-minor": "minor",
+	"melodic-minor": "minor",
+};
+
+const noteGroupXml = (notes, value, { tieStart, tieStop }) => {
+	const type = `<type>${value.type}</type>${value.dot ? "<dot/>" : ""}`;
+	if (!notes.length) {
+		return `<note><rest/><duration>${value.length}</duration>${type}</note>`;
+	}
+	const ties = `${tieStop ? '<tie type="stop"/>' : ""}${tieStart ? '<tie type="start"/>' : ""}`;
+	const tied = tieStart || tieStop
+		? `<notations>${tieStop ? '<tied type="stop"/>' : ""}${tieStart ? '<tied type="start"/>' : ""}</notations>`
+		: "";
+	return notes
+		.map((note, index) => `<note>${index ? "<chord/>" : ""}${pitchXml(note)}<duration>${value.length}</duration>${ties}${type}${tied}</note>`)
+		.join("");
+};
+
+/**
+ * MusicXML 3.1 partwise score with a <harmony> element above each chord.
+ * keyDefinition supplies the key signature; meter is "beats/4".
+ */
+const buildMusicXml = (chords, { keyDefinition = null, meter = "4/4", tempo = 90, title = "Harmonia" } = {}) => {
+	const numerator = Number.parseInt(meter, 10) || 4;
+	const mode = MUSICXML_MODES[keyDefinition?.mode] ?? "major";
+	const measures = layoutBars(chords, meter).map((bar, barIndex) => {
+		const attributes = barIndex === 0
+			? `<attributes><divisions>1</divisions><key><fifths>${keyDefinition?.fifths ?? 0}</fifths><mode>${mode}</mode></key><time><beats>${numerator}</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>` +
+				`<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${tempo}</per-minute></metronome></direction-type><sound tempo="${tempo}"/></direction>`
+			: "";
+		const content = bar
+			.map(({ chord, length, isFirstPiece, tiesOver }) => {
+				const harmony = isFirstPiece && chord.symbol ? harmonyXml(chord.symbol) : "";
+				const values = splitIntoNoteValues(length);
+				const notes = values
+					.map((value, index) =>
+						noteGroupXml(chord.notes, value, {
+							tieStop: !isFirstPiece || index > 0,
+							tieStart: tiesOver || index < values.length - 1,
+						}),
+					)
+					.join("");
+				return `${harmony}${notes}`;
+			})
+			.join("");
+		return `<measure number="${barIndex + 1}">${attributes}${content}</measure>`;
+	});
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+		'<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+		'<score-partwise version="3.1">',
+		`<work><work-title>${escapeXml(title)}</work-title></work>`,
+		'<part-list><score-part id="P1"><part-name>Chords</part-name></score-part></part-list>',
+		`<part id="P1">${measures.join("")}</part>`,
+		"</score-partwise>",
+	].join("\n");
+};
+
+// --- Export formats ---
+
+const EXPORT_FORMATS = {
+	midi: { label: "MIDI", extension: "mid", mimeType: "audio/midi" },
+	musicxml: { label: "MusicXML", extension: "musicxml", mimeType: "application/vnd.recordare.musicxml+xml" },
+	abc: { label: "ABC", extension: "abc", mimeType: "text/vnd.abc" },
+};
+
+/**
+ * Build the file content for one export format.
+ * options: { key (ABC key), keyDefinition, meter, tempo, title }
+ */
+const buildExportContent = (format, chords, options = {}) => {
+	if (format === "midi") {
+		return buildMidiFile(chords, options);
+	}
+	if (format === "musicxml") {
+		return buildMusicXml(chords, options);
+	}
+	return `${buildAbcScore(chords, options)}\n`;
+};
+
+export { EXPORT_FORMATS, buildExportContent, buildMidiFile, buildMusicXml };
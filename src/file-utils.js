@@ -0,0 +1,33 @@
+// Save a file through the native save dialog in Tauri, or as a browser download
+const saveFile = async ({ fileName, content, mimeType, extension, label = extension }) => {
+	const tauri = window.__TAURI__;
+
+	if (tauri?.dialog?.save && tauri?.fs) {
+		const path = await tauri.dialog.save({
+			defaultPath: fileName,
+			filters: [{ name: label, extensions: [extension] }],
+		});
+		if (!path) {
+			return false;
+		}
+		if (typeof content === "string") {
+			await tauri.fs.writeTextFile(path, content);
+		} else {
+			await tauri.fs.writeFile(path, content);
+		}
+		return true;
+	}
+
+	const blob = new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+	return true;
+};
+
+export { saveFile };
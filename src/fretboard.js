@@ -0,0 +1,204 @@
+import { Note } from "tonal";
+
+// Strings low to high; re-entrant tunings have no lowest string, so the bass note is not required under them
+const TUNINGS = [
+	{ id: "guitar", label: "Guitar (EADGBE)", strings: ["E2", "A2", "D3", "G3", "B3", "E4"], minStrings: 4 },
+	{ id: "drop-d", label: "Drop D (DADGBE)", strings: ["D2", "A2", "D3", "G3", "B3", "E4"], minStrings: 4 },
+	{ id: "dadgad", label: "DADGAD", strings: ["D2", "A2", "D3", "G3", "A3", "D4"], minStrings: 4 },
+	{ id: "ukulele", label: "Ukulele (GCEA)", strings: ["G4", "C4", "E4", "A4"], minStrings: 3, reentrant: true },
+	{ id: "bass", label: "Bass (EADG)", strings: ["E1", "A1", "D2", "G2"], minStrings: 2 },
+];
+
+const DEFAULT_TUNING = "guitar";
+
+// Lower is easier; a fingering pays for its stretch, how far up the neck it sits and every string it leaves out
+const FINGERING_COSTS = {
+	stretch: 1,
+	position: 0.35,
+	mutedString: 0.4,
+	innerMute: 2,
+	finger: 0.2,
+	barre: 0.5,
+	omittedFifth: 0.5,
+};
+
+const MAX_FINGERS = 4;
+const DEFAULT_MAX_FRET = 12;
+// Frets one hand can cover without shifting: the window the search tries at each position
+const HAND_SPAN = 4;
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+const getTuning = (id) => TUNINGS.find((tuning) => tuning.id === id) ?? TUNINGS.find((tuning) => tuning.id === DEFAULT_TUNING);
+
+// Fingers a shape needs, with a barre across the lowest fret when more than four strings are fretted
+const countFingers = (frets) => {
+	const fretted = frets.map((fret, string) => ({ fret, string })).filter(({ fret }) => fret > 0);
+	if (fretted.length <= MAX_FINGERS) {
+		return { fingers: fretted.length, barre: null };
+	}
+	const lowest = Math.min(...fretted.map(({ fret }) => fret));
+	const onLowest = fretted.filter(({ fret }) => fret === lowest);
+	const from = onLowest[0].string;
+	const to = onLowest[onLowest.length - 1].string;
+	// The barre presses every string it crosses, so none of them may ring open or be muted
+	const covered = frets.slice(from, to + 1).every((fret) => fret !== null && fret >= lowest);
+	const fingers = 1 + fretted.filter(({ fret }) => fret > lowest).length;
+	if (!covered || fingers > MAX_FINGERS) {
+		return null;
+	}
+	return { fingers, barre: { fret: lowest, from, to } };
+};
+
+const scoreShape = (frets, strings, { required, bassChroma, fifthChroma, minStrings, reentrant }) => {
+	const sounding = frets.map((fret, string) => ({ fret, string })).filter(({ fret }) => fret !== null);
+	if (sounding.length < minStrings) {
+		return null;
+	}
+	const notes = sounding.map(({ fret, string }) => strings[string] + fret);
+	const played = new Set(notes.map((midi) => midi % 12));
+	if ([...required].some((chroma) => !played.has(chroma))) {
+		return null;
+	}
+	if (!reentrant && Math.min(...notes) % 12 !== bassChroma) {
+		return null;
+	}
+	const hand = countFingers(frets);
+	if (!hand) {
+		return null;
+	}
+
+	const fretted = frets.filter((fret) => fret > 0);
+	const position = fretted.length ? Math.min(...fretted) : 0;
+	const highest = fretted.length ? Math.max(...fretted) : 0;
+	const stretch = highest - position;
+	// Shapes within the first frets are all played in open position
+	const neck = highest < HAND_SPAN + 1 ? 0 : position;
+	const first = sounding[0].string;
+	const last = sounding[sounding.length - 1].string;
+	const innerMutes = frets.slice(first, last + 1).filter((fret) => fret === null).length;
+	const muted = frets.length - sounding.length;
+
+	const score =
+		stretch * FINGERING_COSTS.stretch +
+		neck * FINGERING_COSTS.position +
+		muted * FINGERING_COSTS.mutedString +
+		innerMutes * FINGERING_COSTS.innerMute +
+		hand.fingers * FINGERING_COSTS.finger +
+		(hand.barre ? FINGERING_COSTS.barre : 0) +
+		(fifthChroma !== null && !played.has(fifthChroma) ? FINGERING_COSTS.omittedFifth : 0);
+	return { frets, position, stretch, barre: hand.barre, score };
+};
+
+// Every shape inside one hand position: each string is muted, open, or fretted on a chord tone
+const shapesAt = (strings, chordChromas, start) => {
+	const options = strings.map((open) => {
+		const choices = [null];
+		if (chordChromas.has(open % 12)) {
+			choices.push(0);
+		}
+		for (let fret = Math.max(start, 1); fret < start + HAND_SPAN; fret += 1) {
+			if (chordChromas.has((open + fret) % 12)) {
+				choices.push(fret);
+			}
+		}
+		return choices;
+	});
+	return options.reduce((shapes, choices) => shapes.flatMap((shape) => choices.map((choice) => [...shape, choice])), [[]]);
+};
+
+/**
+ * Search playable fingerings of a chord on a fretted instrument.
+ * notes are the chord tones (any spelling), root and bass name the chord's root and lowest note (bass defaults to the root).
+ * Every chord tone must sound except the fifth; the bass must be the lowest note except on re-entrant tunings.
+ * Shapes are ranked by stretch, position on the neck, muted strings and fingers needed.
+ * Returns [{ frets, position, stretch, barre, score }] best first; frets list each string low to high,
+ * null for muted and 0 for open; barre is { fret, from, to } or null.
+ */
+const findFingerings = ({ notes, root, bass = null }, tuningId = DEFAULT_TUNING, { maxFret = DEFAULT_MAX_FRET, limit = 3 } = {}) => {
+	const tuning = getTuning(tuningId);
+	const strings = tuning.strings.map((note) => Note.midi(note));
+	const chordChromas = new Set((notes ?? []).map(chromaOf).filter((chroma) => chroma !== null && chroma !== undefined));
+	const rootChroma = chromaOf(root ?? notes?.[0] ?? "");
+	if (!chordChromas.size || rootChroma === null || rootChroma === undefined) {
+		return [];
+	}
+	const bassChroma = bass ? chromaOf(bass) : rootChroma;
+	chordChromas.add(bassChroma);
+	const fifth = (rootChroma + 7) % 12;
+	const fifthChroma = chordChromas.has(fifth) && bassChroma !== fifth ? fifth : null;
+	const required = new Set([...chordChromas].filter((chroma) => chroma !== fifthChroma));
+	if (required.size > strings.length) {
+		return [];
+	}
+
+	const context = { required, bassChroma, fifthChroma, minStrings: tuning.minStrings, reentrant: Boolean(tuning.reentrant) };
+	const best = new Map();
+	for (let start = 0; start <= maxFret - HAND_SPAN + 1; start += 1) {
+		shapesAt(strings, chordChromas, start).forEach((frets) => {
+			const key = frets.join(",");
+			if (best.has(key)) {
+				return;
+			}
+			const shape = scoreShape(frets, strings, context);
+			if (shape) {
+				best.set(key, shape);
+			}
+		});
+	}
+	return [...best.values()].sort((a, b) => a.score - b.score).slice(0, limit);
+};
+
+// Chord box geometry in SVG units
+const BOX = { stringGap: 12, fretGap: 14, top: 26, left: 16, frets: 4 };
+
+const formatFrets = (frets) => frets.map((fret) => (fret === null ? "x" : String(fret))).join(frets.some((fret) => fret > 9) ? "-" : "");
+
+/**
+ * SVG markup of one chord box: strings run down from the nut, dots mark fretted notes, o and x sit above open and muted strings.
+ * Shapes above the fourth fret start at their lowest fret, labeled on the left.
+ */
+const renderChordBox = ({ frets, position, barre }, { title = "" } = {}) => {
+	const { stringGap, fretGap, top, left } = BOX;
+	const highest = Math.max(0, ...frets.filter((fret) => fret !== null));
+	const baseFret = highest <= BOX.frets ? 1 : position;
+	const rows = Math.max(BOX.frets, highest - baseFret + 1);
+	const width = left * 2 + stringGap * (frets.length - 1);
+	const height = top + fretGap * rows + 8;
+	const x = (string) => left + string * stringGap;
+	const y = (fret) => top + (fret - baseFret + 0.5) * fretGap;
+
+	const parts = [];
+	parts.push(`<title>${title} ${formatFrets(frets)}</title>`);
+	if (title) {
+		parts.push(`<text x="${width / 2}" y="9" text-anchor="middle" class="chord-box__title">${title}</text>`);
+	}
+	frets.forEach((_, string) => {
+		parts.push(`<line x1="${x(string)}" y1="${top}" x2="${x(string)}" y2="${top + fretGap * rows}" class="chord-box__string" />`);
+	});
+	for (let line = 0; line <= rows; line += 1) {
+		const className = line === 0 && baseFret === 1 ? "chord-box__nut" : "chord-box__fret";
+		parts.push(`<line x1="${x(0)}" y1="${top + line * fretGap}" x2="${x(frets.length - 1)}" y2="${top + line * fretGap}" class="${className}" />`);
+	}
+	if (baseFret > 1) {
+		parts.push(`<text x="${left - 5}" y="${y(baseFret) + 3}" text-anchor="end" class="chord-box__base">${baseFret}fr</text>`);
+	}
+	if (barre) {
+		parts.push(
+			`<rect x="${x(barre.from) - 4}" y="${y(barre.fret) - 4}" width="${x(barre.to) - x(barre.from) + 8}" height="8" rx="4" class="chord-box__dot" />`,
+		);
+	}
+	frets.forEach((fret, string) => {
+		if (fret === null) {
+			parts.push(`<text x="${x(string)}" y="${top - 4}" text-anchor="middle" class="chord-box__mark">×</text>`);
+		} else if (fret === 0) {
+			parts.push(`<circle cx="${x(string)}" cy="${top - 7}" r="3" class="chord-box__open" />`);
+		} else if (!barre || fret !== barre.fret) {
+			parts.push(`<circle cx="${x(string)}" cy="${y(fret)}" r="4.5" class="chord-box__dot" />`);
+		}
+	});
+
+	return `<svg class="chord-box" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${parts.join("")}</svg>`;
+};
+
+export { DEFAULT_TUNING, TUNINGS, findFingerings, formatFrets, getTuning, renderChordBox };
@@ -0,0 +1,142 @@
+import { Chord, Note } from "tonal";
+import { KEY_DEFINITIONS, parseSlashChord, sanitizeChordInput } from "./chord-utils.js";
+
+// The 30 major and minor keys; modal keys are picked by hand
+const MAJOR_MINOR_KEYS = KEY_DEFINITIONS.filter((key) => key.mode === "major" || key.mode === "minor");
+
+// Score weights for one chord against one key
+const WEIGHTS = {
+	chordTone: 2,
+	outsideTone: -1.5,
+	diatonicRoot: 1,
+	tonicChord: 1,
+	firstTonic: 1.5,
+	lastTonic: 2,
+	authenticCadence: 2,
+	plagalCadence: 1,
+	spelling: 0.25,
+};
+
+// Higher values make the confidence spread sharper between close scores
+const CONFIDENCE_SHARPNESS = 1.5;
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+// Root, pitch classes and third quality of a chord symbol, or null when tonal cannot read it
+const readChordTones = (symbol) => {
+	const { chord, bass } = parseSlashChord(sanitizeChordInput(symbol ?? ""));
+	const data = Chord.get(chord);
+	if (data.empty || !data.tonic) {
+		return null;
+	}
+	return {
+		root: data.tonic,
+		rootChroma: chromaOf(data.tonic),
+		chromas: data.notes.map(chromaOf),
+		hasMajorThird: data.intervals.includes("3M"),
+		hasMinorThird: data.intervals.includes("3m"),
+		bass,
+	};
+};
+
+// Pitch classes of the key; minor keys also accept the raised leading tone of V and vii°
+const getKeyChromas = (key) => {
+	const chromas = new Set(key.scale.map(chromaOf));
+	if (key.mode === "minor") {
+		chromas.add((chromaOf(key.scale[0]) + 11) % 12);
+	}
+	return chromas;
+};
+
+// A chord on the tonic whose third matches the key's own third
+const isTonicChord = (chord, key) => {
+	const tonic = chromaOf(key.scale[0]);
+	if (!chord || chord.rootChroma !== tonic) {
+		return false;
+	}
+	const hasMinorThird = (chromaOf(key.scale[2]) - tonic + 12) % 12 === 3;
+	return hasMinorThird ? chord.hasMinorThird : chord.hasMajorThird;
+};
+
+const scoreKey = (chords, key) => {
+	const keyChromas = getKeyChromas(key);
+	const tonic = chromaOf(key.scale[0]);
+	const parsed = chords.filter(Boolean);
+	let score = 0;
+
+	parsed.forEach((chord) => {
+		const inKey = chord.chromas.filter((chroma) => keyChromas.has(chroma)).length;
+		score += (WEIGHTS.chordTone * inKey) / chord.chromas.length;
+		score += WEIGHTS.outsideTone * (chord.chromas.length - inKey);
+		if (keyChromas.has(chord.rootChroma)) {
+			score += WEIGHTS.diatonicRoot;
+		}
+		if (key.scale.includes(chord.root)) {
+			score += WEIGHTS.spelling;
+		}
+		if (isTonicChord(chord, key)) {
+			score += WEIGHTS.tonicChord;
+		}
+	});
+
+	if (isTonicChord(parsed[0], key)) {
+		score += WEIGHTS.firstTonic;
+	}
+	if (isTonicChord(parsed[parsed.length - 1], key)) {
+		score += WEIGHTS.lastTonic;
+	}
+
+	// V → I and IV → I arrivals on the tonic
+	parsed.slice(1).forEach((chord, index) => {
+		if (!isTonicChord(chord, key)) {
+			return;
+		}
+		const previous = parsed[index];
+		const interval = (previous.rootChroma - tonic + 12) % 12;
+		if (interval === 7 && previous.hasMajorThird) {
+			score += WEIGHTS.authenticCadence;
+		} else if (interval === 5) {
+			score += WEIGHTS.plagalCadence;
+		}
+	});
+
+	return score;
+};
+
+/**
+ * Rank the major and minor KEY_DEFINITIONS entries against a progression of chord symbols.
+ * Scores reward chord tones in the key, the tonic chord (especially first and last) and V–I / IV–I cadences.
+ * Enharmonic twins (Db / C# major) keep only their better-spelled entry.
+ * Returns the top candidates: [{ key, id, mode, label, score, confidence }], confidence between 0 and 1.
+ */
+const detectKey = (progression, { limit = 3, keys = MAJOR_MINOR_KEYS } = {}) => {
+	const chords = (progression ?? []).map(readChordTones);
+	if (!chords.some(Boolean)) {
+		return [];
+	}
+
+	const ranked = keys
+		.map((key) => ({ key, id: key.id, mode: key.mode, label: key.label, score: scoreKey(chords, key) }))
+		.sort((a, b) => b.score - a.score);
+
+	const seen = new Set();
+	const candidates = ranked.filter(({ key }) => {
+		const identity = `${chromaOf(key.scale[0])}:${key.mode}`;
+		if (seen.has(identity)) {
+			return false;
+		}
+		seen.add(identity);
+		return true;
+	});
+
+	const best = candidates[0].score;
+	const weights = candidates.map(({ score }) => Math.exp((score - best) * CONFIDENCE_SHARPNESS));
+	const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+	return candidates.slice(0, limit).map((candidate, index) => ({
+		...candidate,
+		confidence: weights[index] / total,
+	}));
+};
+
+export { detectKey, getKeyChromas, isTonicChord, readChordTones };
@@ -1,29 +1,84 @@
-import { Chord } from "tonal";
+import { Chord, Note } from "tonal";
 import abcjs from "abcjs";
 import {
-	MAJOR_ROOTS,
-	MINOR_ROOTS,
+	ABC_METERS,
+	KEY_MODES,
 	buildAbcChord,
+	buildAbcHeader,
+	buildAbcScore,
+	getInversion,
 	getKeyDefinition,
+	getModeRoots,
 	isValidNote,
 	parseNotesInput,
+	parseSlashChord,
 	sanitizeChordInput,
 	shouldSuggestEnharmonic,
 	spellNotesInKey,
-	spellNotesWithOctaveInKey,
 	stripOctave,
 	toAbcKey,
 } from "./chord-utils.js";
 import { analyzeChordFunction } from "./chord-function.js";
 import { initSortable } from "./drag-utils.js";
+import { DEFAULT_BEATS_PER_CHORD, DEFAULT_TEMPO, createAudioPlayer } from "./audio-player.js";
+import { DEFAULT_VOICING, VOICING_RANGES, VOICING_TYPES, voiceChord } from "./voicing.js";
+import { leadVoices } from "./voice-leading.js";
+import { EXPORT_FORMATS, buildExportContent } from "./export-utils.js";
+import { saveFile } from "./file-utils.js";
+import { CHART_FORMATS, parseChordChart } from "./chart-import.js";
+import { detectKey } from "./key-detection.js";
+import { analyzeKeyAreas } from "./modulation.js";
+import { transposeProgression } from "./transpose.js";
+import { parseRomanProgression } from "./roman-input.js";
+import { parseNashvilleLine, toNashvilleNumber } from "./nashville.js";
+import { describeChordTones, detectChordsFromNotes, parseNoteEvents } from "./chord-detection.js";
+import { buildPiano, getShortcutMidi, midiToNoteName, setPianoKeys } from "./piano.js";
+import { DEFAULT_TUNING, TUNINGS, findFingerings, getTuning, renderChordBox } from "./fretboard.js";
+import { buildScaleAbc, suggestChordScales } from "./chord-scale.js";
+import { suggestReharmonizations } from "./reharmonize.js";
+import { predictNextChords } from "./chord-prediction.js";
+import { analyzeCadences, formatCadences } from "./cadence.js";
+import {
+	CHORD_BEATS,
+	createProgressionEntry,
+	getProgressionSymbols,
+	normalizeProgression,
+	progressionFromChart,
+	replaceSymbols,
+	spliceProgression,
+} from "./progression.js";
+import {
+	createSong,
+	duplicateSong,
+	filterSongs,
+	formatSongKey,
+	getLibraryKeys,
+	getLibraryTags,
+	migrateProgressionHistory,
+	normalizeLibrary,
+	renameSong,
+	sortSongs,
+	updateSong,
+} from "./song-library.js";
 
 const STORAGE_KEYS = {
 	HISTORY: "harmonia.history",
 	PROGRESSION: "harmonia.progression",
+	// Read once, to move the old 20-item history into the library
 	PROGRESSION_HISTORY: "harmonia.progressionHistory",
+	LIBRARY: "harmonia.library",
+	CURRENT_SONG: "harmonia.currentSong",
 	KEY_ROOT: "harmonia.keyRoot",
 	KEY_MODE: "harmonia.keyMode",
 	INPUT_MODE: "harmonia.inputMode",
+	TEMPO: "harmonia.tempo",
+	BEATS_PER_CHORD: "harmonia.beatsPerChord",
+	VOICING: "harmonia.voicing",
+	SMOOTH_VOICE_LEADING: "harmonia.smoothVoiceLeading",
+	METER: "harmonia.meter",
+	CHIP_LABELS: "harmonia.chipLabels",
+	TUNING: "harmonia.tuning",
+	CHIP_DIAGRAMS: "harmonia.chipDiagrams",
 };
 
 const createStorage = (backend) => ({
@@ -44,26 +99,61 @@ const createStorage = (backend) => ({
 	},
 });
 
+// The saved library, or the old progression history as songs the first time the library is opened
+const loadLibrary = (storage) => {
+	const stored = storage.load(STORAGE_KEYS.LIBRARY, null);
+	if (stored) {
+		return normalizeLibrary(stored);
+	}
+	return migrateProgressionHistory(storage.load(STORAGE_KEYS.PROGRESSION_HISTORY, []), {
+		keyRoot: storage.load(STORAGE_KEYS.KEY_ROOT, "C"),
+		keyMode: storage.load(STORAGE_KEYS.KEY_MODE, "major"),
+		tempo: storage.load(STORAGE_KEYS.TEMPO, DEFAULT_TEMPO),
+	});
+};
+
 const createState = (storage) => ({
 	currentChord: null,
 	history: storage.load(STORAGE_KEYS.HISTORY, []),
-	progression: storage.load(STORAGE_KEYS.PROGRESSION, []),
-	progressionHistory: storage.load(STORAGE_KEYS.PROGRESSION_HISTORY, []),
+	// Progressions saved as plain symbol lists are read as entries that follow the Beats setting
+	progression: normalizeProgression(storage.load(STORAGE_KEYS.PROGRESSION, [])),
+	library: loadLibrary(storage),
+	// The song the editor was loaded from or last saved as; saving updates it
+	currentSongId: storage.load(STORAGE_KEYS.CURRENT_SONG, null),
+	songDraft: { title: "", tags: "", notes: "" },
+	libraryFilter: { query: "", tag: "", key: "", chord: "" },
 	keyRoot: storage.load(STORAGE_KEYS.KEY_ROOT, "C"),
 	keyMode: storage.load(STORAGE_KEYS.KEY_MODE, "major"),
 	inputMode: storage.load(STORAGE_KEYS.INPUT_MODE, "chord"),
+	tempo: storage.load(STORAGE_KEYS.TEMPO, DEFAULT_TEMPO),
+	beatsPerChord: storage.load(STORAGE_KEYS.BEATS_PER_CHORD, DEFAULT_BEATS_PER_CHORD),
+	voicing: { ...DEFAULT_VOICING, ...storage.load(STORAGE_KEYS.VOICING, {}) },
+	smoothVoiceLeading: storage.load(STORAGE_KEYS.SMOOTH_VOICE_LEADING, false),
+	meter: storage.load(STORAGE_KEYS.METER, "4/4"),
 	displaySymbol: null,
+	chipLabels: storage.load(STORAGE_KEYS.CHIP_LABELS, "roman"),
+	tuning: storage.load(STORAGE_KEYS.TUNING, DEFAULT_TUNING),
+	chipDiagrams: storage.load(STORAGE_KEYS.CHIP_DIAGRAMS, true),
+	typedLine: [],
 });
 
 const getUiElements = () => ({
 	input: document.querySelector("#chord-input"),
 	keyRoot: document.querySelector("#key-root"),
-	modeMajor: document.querySelector("#mode-major"),
-	modeMinor: document.querySelector("#mode-minor"),
+	keyMode: document.querySelector("#key-mode"),
 	modeChord: document.querySelector("#mode-chord"),
 	modeNotes: document.querySelector("#mode-notes"),
+	modeRoman: document.querySelector("#mode-roman"),
+	modeNashville: document.querySelector("#mode-nashville"),
 	chordOutput: document.querySelector("#chordOutput"),
+	piano: document.querySelector("#piano"),
+	pianoClear: document.querySelector("#piano-clear"),
 	paper: document.querySelector("#paper"),
+	fretboard: document.querySelector("#fretboard"),
+	fretboardTuning: document.querySelector("#fretboard-tuning"),
+	chordPlay: document.querySelector("#chord-play"),
+	voicingType: document.querySelector("#voicing-type"),
+	voicingRange: document.querySelector("#voicing-range"),
 	historyButtons: document.querySelector("#historyButtons"),
 	historyAdd: document.querySelector("#history-add"),
 	historyClear: document.querySelector("#history-clear"),
@@ -72,24 +162,72 @@ const getUiElements = () => ({
 	progressionSave: document.querySelectorAll("#progression-save, #progression-save-modal"),
 	progressionCurrent: document.querySelectorAll("#progressionCurrent"),
 	progressionHistory: document.querySelectorAll("#progressionHistory"),
+	progressionSaveNew: document.querySelectorAll("#progression-save-new, #progression-save-new-modal"),
+	songTitle: document.querySelectorAll("#song-title, #song-title-modal"),
+	songTags: document.querySelectorAll("#song-tags, #song-tags-modal"),
+	songNotes: document.querySelectorAll("#song-notes, #song-notes-modal"),
+	librarySearch: document.querySelectorAll("#library-search, #library-search-modal"),
+	libraryTag: document.querySelectorAll("#library-tag, #library-tag-modal"),
+	libraryKey: document.querySelectorAll("#library-key, #library-key-modal"),
+	libraryChord: document.querySelectorAll("#library-chord, #library-chord-modal"),
+	progressionPlay: document.querySelectorAll("#progression-play, #progression-play-modal"),
+	progressionTempo: document.querySelectorAll("#progression-tempo, #progression-tempo-modal"),
+	progressionBeats: document.querySelectorAll("#progression-beats, #progression-beats-modal"),
+	progressionMeter: document.querySelectorAll("#progression-meter, #progression-meter-modal"),
+	progressionSmooth: document.querySelectorAll("#progression-smooth, #progression-smooth-modal"),
+	progressionNashville: document.querySelectorAll("#progression-nashville, #progression-nashville-modal"),
+	progressionDiagrams: document.querySelectorAll("#progression-diagrams, #progression-diagrams-modal"),
+	progressionScore: document.querySelectorAll("#progression-score, #progression-score-modal"),
+	progressionExport: document.querySelectorAll("#progression-export, #progression-export-modal"),
+	progressionKey: document.querySelectorAll("#progression-key, #progression-key-modal"),
+	progressionNext: document.querySelectorAll("#progression-next, #progression-next-modal"),
+	progressionTranspose: document.querySelectorAll("#progression-transpose, #progression-transpose-modal"),
+	progressionImportText: document.querySelectorAll("#progression-import-text, #progression-import-text-modal"),
+	progressionImportLoad: document.querySelectorAll("#progression-import-load, #progression-import-load-modal"),
+	progressionImportSave: document.querySelectorAll("#progression-import-save, #progression-import-save-modal"),
+	progressionImportStatus: document.querySelectorAll("#progression-import-status, #progression-import-status-modal"),
 	floatingWindow: document.querySelector("#progression-floating-window"),
 	sidebarClose: document.querySelector("#sidebar-close"),
 	fabOpenProgression: document.querySelector("#fab-open-progression"),
 });
 
-const setModeToggle = (ui, mode) => {
-	const isMajor = mode === "major";
-	ui.modeMajor.classList.toggle("is-active", isMajor);
-	ui.modeMinor.classList.toggle("is-active", !isMajor);
-	ui.modeMajor.setAttribute("aria-pressed", String(isMajor));
-	ui.modeMinor.setAttribute("aria-pressed", String(!isMajor));
+const renderModeSelect = (ui, state) => {
+	populateSelect(ui.keyMode, KEY_MODES, state.keyMode);
+	if (ui.keyMode.value !== state.keyMode) {
+		state.keyMode = KEY_MODES[0].id;
+		ui.keyMode.value = state.keyMode;
+	}
+};
+
+const INPUT_PLACEHOLDERS = {
+	chord: "例如：Cmaj7、F#m7b5、Bb13",
+	notes: "例如：C E G Bb",
+	roman: "例如：ii7 V7 Imaj7、I vi IV V/V V",
+	nashville: "例如：1 4 5 6m、2m7 5 1、4/5",
+};
+
+// Input modes that read a whole line of numbers and realize it in the key
+const LINE_INPUT_MODES = {
+	roman: parseRomanProgression,
+	nashville: parseNashvilleLine,
 };
 
 const setInputModeToggle = (ui, mode) => {
-	ui.modeChord.classList.toggle("is-active", mode === "chord");
-	ui.modeNotes.classList.toggle("is-active", mode === "notes");
-	ui.modeChord.setAttribute("aria-pressed", String(mode === "chord"));
-	ui.modeNotes.setAttribute("aria-pressed", String(mode === "notes"));
+	[ui.modeChord, ui.modeNotes, ui.modeRoman, ui.modeNashville].forEach((button) => {
+		button.classList.toggle("is-active", button.dataset.mode === mode);
+		button.setAttribute("aria-pressed", String(button.dataset.mode === mode));
+	});
+	ui.input.placeholder = INPUT_PLACEHOLDERS[mode] ?? INPUT_PLACEHOLDERS.chord;
+};
+
+const selectInputMode = (storage, ui, state, mode) => {
+	if (state.inputMode === mode) {
+		return;
+	}
+	state.inputMode = mode;
+	setInputModeToggle(ui, mode);
+	persistState(storage, state);
+	updateChord(ui, state, storage);
 };
 
 const detectInputType = (input) => {
@@ -103,7 +241,7 @@ const detectInputType = (input) => {
 };
 
 const populateRootSelect = (ui, state, mode) => {
-	const roots = mode === "minor" ? MINOR_ROOTS : MAJOR_ROOTS;
+	const roots = getModeRoots(mode);
 	ui.keyRoot.innerHTML = "";
 	roots.forEach((root) => {
 		const option = document.createElement("option");
@@ -119,6 +257,187 @@ const populateRootSelect = (ui, state, mode) => {
 	}
 };
 
+// Switch the key, mapping enharmonic roots the root select does not offer (e.g. D# minor -> Eb minor)
+const applyKey = (storage, ui, state, root, mode) => {
+	const roots = getModeRoots(mode);
+	const chroma = Note.get(root).chroma;
+	state.keyMode = mode;
+	state.keyRoot = roots.includes(root) ? root : (roots.find((candidate) => Note.get(candidate).chroma === chroma) ?? root);
+	state.displaySymbol = null;
+	ui.keyMode.value = state.keyMode;
+	populateRootSelect(ui, state, state.keyMode);
+	persistState(storage, state);
+	updateChord(ui, state, storage);
+	renderProgression(ui, state);
+};
+
+const populateSelect = (select, options, value) => {
+	select.innerHTML = "";
+	options.forEach(({ id, label }) => {
+		const option = document.createElement("option");
+		option.value = id;
+		option.textContent = label;
+		select.appendChild(option);
+	});
+	select.value = value;
+};
+
+const renderVoicingSettings = (ui, state) => {
+	populateSelect(ui.voicingType, VOICING_TYPES, state.voicing.type);
+	populateSelect(ui.voicingRange, VOICING_RANGES, state.voicing.range);
+	populateSelect(ui.fretboardTuning, TUNINGS, getTuning(state.tuning).id);
+};
+
+const createExportMenu = (index) => {
+	const menu = document.createElement("details");
+	menu.className = "export-menu";
+
+	const summary = document.createElement("summary");
+	summary.className = "icon-button";
+	summary.textContent = "匯出";
+	menu.appendChild(summary);
+
+	const items = document.createElement("div");
+	items.className = "export-menu__items";
+	Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+		const button = document.createElement("button");
+		button.className = "icon-button";
+		button.type = "button";
+		button.dataset.exportFormat = format;
+		button.dataset.exportIndex = String(index);
+		button.textContent = label;
+		items.appendChild(button);
+	});
+	menu.appendChild(items);
+	return menu;
+};
+
+// Duration select and bar-line toggle on a chip; an entry without beats follows the Beats setting
+const createRhythmControls = (entry, index, defaultBeats) => {
+	const controls = document.createElement("span");
+	controls.className = "chip-rhythm";
+
+	const beats = document.createElement("select");
+	beats.className = "chip-beats";
+	beats.dataset.beatsIndex = String(index);
+	beats.setAttribute("aria-label", "拍數");
+	populateSelect(
+		beats,
+		[{ id: "", label: `${defaultBeats}拍*` }, ...CHORD_BEATS.map((value) => ({ id: String(value), label: `${value}拍` }))],
+		entry.beats === null ? "" : String(entry.beats),
+	);
+	beats.title = entry.beats === null ? "依 Beats 設定" : "拍數";
+	controls.appendChild(beats);
+
+	const barLine = document.createElement("button");
+	barLine.className = "chip-bar";
+	barLine.type = "button";
+	barLine.dataset.barIndex = String(index);
+	barLine.setAttribute("aria-pressed", String(entry.barLine));
+	barLine.title = entry.barLine ? "移除小節線" : "在此和弦後加小節線";
+	barLine.textContent = "|";
+	controls.appendChild(barLine);
+	return controls;
+};
+
+// Bracket pieces under a chip for every cadence or pattern that spans it; the label sits on the first chip
+const appendCadenceBrackets = (chip, cadences, index) => {
+	cadences
+		.filter(({ start, end }) => start <= index && index <= end)
+		.forEach(({ kind, label, start, end, lane }) => {
+			const bracket = document.createElement("span");
+			bracket.className = `chip-bracket chip-bracket--${kind}`;
+			bracket.classList.toggle("chip-bracket--start", index === start);
+			bracket.classList.toggle("chip-bracket--end", index === end);
+			bracket.style.setProperty("--bracket-lane", String(lane));
+			if (index === start) {
+				const text = document.createElement("span");
+				text.className = "chip-bracket__label";
+				text.textContent = label;
+				bracket.appendChild(text);
+			}
+			chip.appendChild(bracket);
+		});
+};
+
+// Reharmonization ideas for one chip, each a button that applies it; null when there are none
+const createReharmonizationMenu = (suggestions, index) => {
+	if (!suggestions.length) {
+		return null;
+	}
+	const menu = document.createElement("details");
+	menu.className = "reharm-menu";
+
+	const summary = document.createElement("summary");
+	summary.className = "reharm-menu__toggle";
+	summary.textContent = "✦";
+	summary.title = "重配和聲";
+	menu.appendChild(summary);
+
+	const items = document.createElement("div");
+	items.className = "reharm-menu__items";
+	suggestions.forEach(({ label, chords }, option) => {
+		const button = document.createElement("button");
+		button.className = "reharm-option";
+		button.type = "button";
+		button.dataset.reharmIndex = String(index);
+		button.dataset.reharmOption = String(option);
+		button.title = "套用";
+
+		const name = document.createElement("span");
+		name.className = "reharm-option__label";
+		name.textContent = label;
+		button.appendChild(name);
+
+		chords.forEach(({ symbol, roman, color }) => {
+			const chord = document.createElement("span");
+			chord.className = `reharm-option__chord${color ? ` reharm-option__chord--${color}` : ""}`;
+			chord.textContent = roman ? `${symbol} ${roman}` : symbol;
+			button.appendChild(chord);
+		});
+		items.appendChild(button);
+	});
+	menu.appendChild(items);
+	return menu;
+};
+
+// Suggestions for a chord in its own key area, as shown on its chip
+const getReharmonizations = (state, index) => {
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const symbols = getProgressionSymbols(state.progression);
+	const { keys } = analyzeKeyAreas(symbols, keyDefinition);
+	return suggestReharmonizations(symbols, index, keys[index] ?? keyDefinition);
+};
+
+const applyReharmonizationClick = (storage, ui, state, event) => {
+	const button = event.target.closest("button[data-reharm-option]");
+	if (!button) {
+		return;
+	}
+	const suggestion = getReharmonizations(state, Number(button.dataset.reharmIndex))[Number(button.dataset.reharmOption)];
+	if (!suggestion) {
+		return;
+	}
+	state.progression = spliceProgression(state.progression, suggestion);
+	persistState(storage, state);
+	renderProgression(ui, state);
+};
+
+// "Transpose to..." choices: the other roots of the mode, with an empty placeholder
+const populateTransposeSelect = (select, keyRoot, keyMode) => {
+	const roots = getModeRoots(keyMode).filter((root) => root !== keyRoot);
+	populateSelect(select, [{ id: "", label: "移調至…" }, ...roots.map((root) => ({ id: root, label: root }))], "");
+};
+
+const createTransposeSelect = (song, index) => {
+	const select = document.createElement("select");
+	select.className = "transpose-select";
+	select.dataset.transposeIndex = String(index);
+	select.setAttribute("aria-label", "移調");
+	populateTransposeSelect(select, song.keyRoot, song.keyMode);
+	return select;
+};
+
 const renderEmptyState = (container, message) => {
 	container.innerHTML = "";
 	const empty = document.createElement("p");
@@ -146,22 +465,304 @@ const renderHistory = (ui, state) => {
 	});
 };
 
+const renderKeySuggestions = (ui, state) => {
+	const candidates = state.progression.length >= 2 ? detectKey(getProgressionSymbols(state.progression)) : [];
+	ui.progressionKey.forEach((container) => {
+		container.innerHTML = "";
+		if (!candidates.length) {
+			return;
+		}
+		const label = document.createElement("span");
+		label.className = "key-suggestions__label";
+		label.textContent = "調性推測";
+		container.appendChild(label);
+
+		candidates.forEach(({ id, mode, label: keyLabel, confidence }) => {
+			const button = document.createElement("button");
+			button.className = "key-candidate";
+			button.type = "button";
+			button.dataset.keyRoot = id;
+			button.dataset.keyMode = mode;
+			button.title = "套用此調性";
+			const isActive = mode === state.keyMode && Note.get(id).chroma === Note.get(state.keyRoot).chroma;
+			button.classList.toggle("is-active", isActive);
+			button.textContent = `${keyLabel} ${Math.round(confidence * 100)}%`;
+			container.appendChild(button);
+		});
+	});
+};
+
+// "What comes next" strip: likely chords after the last one, each a button that appends it
+const renderNextChords = (ui, state, keyDefinition) => {
+	const predictions = predictNextChords(
+		getProgressionSymbols(state.progression),
+		keyDefinition,
+		state.library.map((song) => ({
+			progression: getProgressionSymbols(song.progression),
+			keyDefinition: getKeyDefinition(song.keyRoot, song.keyMode),
+		})),
+	);
+	ui.progressionNext.forEach((container) => {
+		container.innerHTML = "";
+		if (!predictions.length) {
+			return;
+		}
+		const label = document.createElement("span");
+		label.className = "key-suggestions__label";
+		label.textContent = "下一個和弦";
+		container.appendChild(label);
+
+		predictions.forEach(({ symbol, roman, color, reasons }) => {
+			const button = document.createElement("button");
+			button.className = `next-chord${color ? ` next-chord--${color}` : ""}`;
+			button.type = "button";
+			button.dataset.nextChord = symbol;
+			button.title = reasons.join("・");
+			button.textContent = symbol;
+			if (roman) {
+				const badge = document.createElement("span");
+				badge.className = "next-chord__roman";
+				badge.textContent = roman;
+				button.appendChild(badge);
+			}
+			container.appendChild(button);
+		});
+	});
+};
+
+const CHROMATIC_FUNCTIONS = [
+	"neapolitan",
+	"augmented-sixth",
+	"tritone-substitute",
+	"secondary-leading-tone",
+	"common-tone-diminished",
+];
+
+// Neighbouring chords let the analysis see resolutions (subV, common-tone diminished)
+const getChordContext = (progression, index) => ({
+	previous: progression[index - 1] ?? null,
+	next: progression[index + 1] ?? null,
+});
+
+// Map of chord index -> key label at the start of every key area, when the progression leaves the selected key
+const getKeyChangeLabels = ({ segments }, keyDefinition) => {
+	const labels = new Map();
+	if (segments.length === 1 && segments[0].key === keyDefinition) {
+		return labels;
+	}
+	segments.forEach(({ start, key }) => labels.set(start, key.label));
+	return labels;
+};
+
+// Map of pivot chord index -> { from, to } keys
+const getPivotChords = ({ segments }) => {
+	const pivots = new Map();
+	segments.forEach(({ key, pivot }, index) => {
+		if (pivot !== null && index > 0) {
+			pivots.set(pivot, { from: segments[index - 1].key, to: key });
+		}
+	});
+	return pivots;
+};
+
+const SONG_DATE_FORMAT = new Intl.DateTimeFormat("zh-Hant", { dateStyle: "medium", timeStyle: "short" });
+
+const findSongIndex = (state, id) => (id ? state.library.findIndex((song) => song.id === id) : -1);
+
+// The editor's settings with a song's own key and tempo, for that song's score and exports
+const getSongSettings = (state, song) => ({ ...state, keyRoot: song.keyRoot, keyMode: song.keyMode, tempo: song.tempo });
+
+// Form text for a song, or an empty form
+const getSongDraft = (song) => ({ title: song?.title ?? "", tags: song?.tags.join(", ") ?? "", notes: song?.notes ?? "" });
+
+// Write a value into the same field of both panels, leaving the one being typed in alone
+const syncFields = (fields, value) => {
+	fields.forEach((field) => {
+		if (field !== document.activeElement) {
+			field.value = value;
+		}
+	});
+};
+
+const createRowButton = (label, dataset) => {
+	const button = document.createElement("button");
+	button.className = "icon-button";
+	button.type = "button";
+	Object.assign(button.dataset, dataset);
+	button.textContent = label;
+	return button;
+};
+
+// Chords with Roman numerals in the song's key (local keys where it modulates), then its cadences
+const createSongChordText = (song) => {
+	const keyDefinition = getKeyDefinition(song.keyRoot, song.keyMode);
+	const progression = getProgressionSymbols(song.progression);
+	const keyAreas = analyzeKeyAreas(progression, keyDefinition);
+	const keyChanges = getKeyChangeLabels(keyAreas, keyDefinition);
+	const progressionWithFunctions = progression.map((chord, index) => {
+		const chordFunction = analyzeChordFunction(chord, keyAreas.keys[index] ?? keyDefinition, getChordContext(progression, index));
+		const keyLabel = keyChanges.has(index) ? `[${keyChanges.get(index)}] ` : "";
+		return chordFunction?.roman ? `${keyLabel}${chord} (${chordFunction.roman})` : `${keyLabel}${chord}`;
+	});
+
+	const text = document.createElement("span");
+	text.className = "list-item-text";
+	text.textContent = progressionWithFunctions.join(" → ");
+
+	const cadences = formatCadences(analyzeCadences(progression, keyDefinition, { keys: keyAreas.keys }));
+	if (cadences) {
+		const annotations = document.createElement("span");
+		annotations.className = "list-item-annotations";
+		annotations.textContent = cadences;
+		text.appendChild(annotations);
+	}
+	return text;
+};
+
+// One library row; index is the song's place in state.library, which every row control carries
+const createSongRow = (state, song, index) => {
+	const row = document.createElement("div");
+	row.className = "list-item list-item--stack song-row";
+	row.classList.toggle("is-current", song.id === state.currentSongId);
+	row.dataset.index = String(index);
+
+	const title = document.createElement("span");
+	title.className = "song-row__title";
+	title.textContent = song.title;
+
+	const meta = document.createElement("span");
+	meta.className = "song-row__meta";
+	meta.textContent = [
+		formatSongKey(song),
+		`${song.tempo} BPM`,
+		`建立 ${SONG_DATE_FORMAT.format(new Date(song.createdAt))}`,
+		`更新 ${SONG_DATE_FORMAT.format(new Date(song.updatedAt))}`,
+	].join("・");
+
+	row.appendChild(title);
+	row.appendChild(meta);
+
+	// Tags filter the library when clicked
+	if (song.tags.length) {
+		const tags = document.createElement("span");
+		tags.className = "song-row__tags";
+		song.tags.forEach((tag) => {
+			const button = document.createElement("button");
+			button.className = "song-tag";
+			button.type = "button";
+			button.dataset.tagFilter = tag;
+			button.textContent = `#${tag}`;
+			tags.appendChild(button);
+		});
+		row.appendChild(tags);
+	}
+
+	if (song.notes) {
+		const notes = document.createElement("p");
+		notes.className = "song-row__notes";
+		notes.textContent = song.notes;
+		row.appendChild(notes);
+	}
+
+	const actions = document.createElement("div");
+	actions.className = "list-item-actions";
+	actions.appendChild(createRowButton("載入", { loadIndex: String(index) }));
+	actions.appendChild(createRowButton("複製", { duplicateIndex: String(index) }));
+	actions.appendChild(createRowButton("重新命名", { renameIndex: String(index) }));
+	actions.appendChild(createRowButton("樂譜", { scoreIndex: String(index) }));
+	actions.appendChild(createTransposeSelect(song, index));
+	actions.appendChild(createExportMenu(index));
+	actions.appendChild(createRowButton("移除", { index: String(index) }));
+
+	const score = document.createElement("div");
+	score.className = "progression-score list-item-score";
+
+	row.appendChild(createSongChordText(song));
+	row.appendChild(actions);
+	row.appendChild(score);
+	return row;
+};
+
+const renderSongForm = (ui, state) => {
+	const isLoaded = findSongIndex(state, state.currentSongId) !== -1;
+	syncFields(ui.songTitle, state.songDraft.title);
+	syncFields(ui.songTags, state.songDraft.tags);
+	syncFields(ui.songNotes, state.songDraft.notes);
+	ui.progressionSave.forEach((button) => {
+		button.textContent = isLoaded ? "更新歌曲" : "儲存進程";
+	});
+	ui.progressionSaveNew.forEach((button) => {
+		button.hidden = !isLoaded;
+	});
+};
+
+// Tag and key choices come from the library; a chosen tag or key that no song has any more is cleared
+const renderLibraryFilters = (ui, state) => {
+	const filter = state.libraryFilter;
+	const tags = getLibraryTags(state.library);
+	const keys = getLibraryKeys(state.library);
+	// Tags match in any case, so a tag clicked on a row selects the library's spelling
+	filter.tag = tags.find(({ id }) => id.toLowerCase() === filter.tag.toLowerCase())?.id ?? "";
+	if (!keys.some(({ id }) => id === filter.key)) {
+		filter.key = "";
+	}
+	ui.libraryTag.forEach((select) => populateSelect(select, [{ id: "", label: "所有標籤" }, ...tags], filter.tag));
+	ui.libraryKey.forEach((select) => populateSelect(select, [{ id: "", label: "所有調性" }, ...keys], filter.key));
+	syncFields(ui.librarySearch, filter.query);
+	syncFields(ui.libraryChord, filter.chord);
+};
+
+// Songs that pass the filters, most recently updated first
+const renderLibrary = (ui, state) => {
+	renderLibraryFilters(ui, state);
+	renderSongForm(ui, state);
+	const songs = sortSongs(filterSongs(state.library, state.libraryFilter));
+	ui.progressionHistory.forEach((container) => {
+		if (!songs.length) {
+			renderEmptyState(container, state.library.length ? "沒有符合篩選的歌曲。" : "曲庫還沒有歌曲。");
+			return;
+		}
+		container.innerHTML = "";
+		songs.forEach((song) => container.appendChild(createSongRow(state, song, state.library.indexOf(song))));
+	});
+};
+
 const renderProgression = (ui, state) => {
 	// Get current key definition for chord function analysis
 	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
 
+	renderKeySuggestions(ui, state);
+	renderNextChords(ui, state, keyDefinition);
+	ui.progressionTranspose.forEach((select) => populateTransposeSelect(select, state.keyRoot, state.keyMode));
+
+	// Local key areas: every chord is analyzed in its own key, with a label where the key changes
+	const symbols = getProgressionSymbols(state.progression);
+	const keyAreas = analyzeKeyAreas(symbols, keyDefinition);
+	const keyChanges = getKeyChangeLabels(keyAreas, keyDefinition);
+	const pivots = getPivotChords(keyAreas);
+	const cadences = analyzeCadences(symbols, keyDefinition, { keys: keyAreas.keys });
+	const bracketLanes = cadences.reduce((lanes, { lane }) => Math.max(lanes, lane + 1), 0);
+
 	ui.progressionCurrent.forEach((container) => {
+		container.classList.toggle("chip-stack--keyed", keyChanges.size > 0);
+		container.classList.toggle("chip-stack--annotated", bracketLanes > 0);
+		container.style.setProperty("--bracket-lanes", String(bracketLanes));
 		if (!state.progression.length) {
 			renderEmptyState(container, "進程尚未開始。");
 		} else {
 			container.innerHTML = "";
-			state.progression.forEach((chord, index) => {
+			state.progression.forEach((entry, index) => {
+				const chord = entry.symbol;
 				const chip = document.createElement("span");
 				chip.className = "chip";
 				chip.dataset.index = String(index);
 
 				// Analyze chord function
-				const chordFunction = analyzeChordFunction(chord, keyDefinition);
+				const chordFunction = analyzeChordFunction(
+					chord,
+					keyAreas.keys[index] ?? keyDefinition,
+					getChordContext(symbols, index),
+				);
 
 				// Add function class for color coding
 				if (chordFunction && chordFunction.color) {
@@ -175,6 +776,12 @@ const renderProgression = (ui, state) => {
 				if (chordFunction && chordFunction.function === "secondary-dominant") {
 					chip.classList.add("chip--secondary");
 				}
+				if (chordFunction?.altered) {
+					chip.classList.add("chip--altered");
+				}
+				if (CHROMATIC_FUNCTIONS.includes(chordFunction?.function)) {
+					chip.classList.add("chip--chromatic");
+				}
 
 				const handle = document.createElement("span");
 				handle.className = "drag-handle";
@@ -193,8 +800,16 @@ const renderProgression = (ui, state) => {
 				const contentContainer = document.createElement("span");
 				contentContainer.className = "chip-content";
 
-				// Add roman numeral badge if available
-				if (chordFunction && chordFunction.roman) {
+				// Nashville numbers replace the roman numeral badge when chosen, and exist for every readable chord
+				const nashvilleNumber =
+					state.chipLabels === "nashville" ? toNashvilleNumber(chord, keyAreas.keys[index] ?? keyDefinition) : null;
+				if (nashvilleNumber) {
+					const numberBadge = document.createElement("span");
+					numberBadge.className = "chip-roman chip-roman--nashville";
+					numberBadge.textContent = nashvilleNumber;
+					numberBadge.title = chordFunction?.roman ? `${chordFunction.roman} · ${chordFunction.description || chordFunction.function}` : "";
+					contentContainer.appendChild(numberBadge);
+				} else if (chordFunction && chordFunction.roman) {
 					const romanBadge = document.createElement("span");
 					romanBadge.className = "chip-roman";
 
@@ -209,92 +824,113 @@ const renderProgression = (ui, state) => {
 					contentContainer.appendChild(romanBadge);
 				}
 
+				const pivot = pivots.get(index);
+				if (pivot) {
+					chip.classList.add("chip--pivot");
+					const from = analyzeChordFunction(chord, pivot.from)?.roman ?? "?";
+					const to = analyzeChordFunction(chord, pivot.to)?.roman ?? "?";
+					chip.title = `樞紐和弦：${from}（${pivot.from.label}）= ${to}（${pivot.to.label}）`;
+				}
+
+				if (keyChanges.has(index)) {
+					const keyLabel = document.createElement("span");
+					keyLabel.className = "chip-key";
+					keyLabel.textContent = keyChanges.get(index);
+					chip.appendChild(keyLabel);
+				}
+
 				const text = document.createElement("span");
 				text.className = "chip-text";
 				const chordData = Chord.get(chord);
-				const formattedChord = chordData.tonic + (chordData.aliases[0] || "");
+				const bassSuffix = chordData.bass ? `/${chordData.bass}` : "";
+				const formattedChord = chordData.tonic + (chordData.aliases[0] || "") + bassSuffix;
 				text.textContent = formattedChord;
 				contentContainer.appendChild(text);
+				contentContainer.appendChild(createRhythmControls(entry, index, state.beatsPerChord));
+				chip.classList.toggle("chip--bar-end", entry.barLine);
 
 				chip.appendChild(handle);
 				chip.appendChild(contentContainer);
-				container.appendChild(chip);
-			});
-		}
-	});
 
-	ui.progressionHistory.forEach((container) => {
-		if (!state.progressionHistory.length) {
-			renderEmptyState(container, "還沒有保存的進程。");
-			return;
-		}
+				const [fingering] = state.chipDiagrams ? getFingerings(chord, keyDefinition, state.tuning, 1) : [];
+				if (fingering) {
+					const diagram = document.createElement("span");
+					diagram.className = "chip-diagram";
+					diagram.innerHTML = renderChordBox(fingering);
+					chip.classList.add("chip--diagram");
+					chip.appendChild(diagram);
+				}
 
-		container.innerHTML = "";
-		state.progressionHistory.forEach((progression, index) => {
-			const row = document.createElement("div");
-			row.className = "list-item list-item--stack";
-			row.dataset.index = String(index);
-
-			const handle = document.createElement("span");
-			handle.className = "drag-handle drag-handle--list";
-			handle.innerHTML = `
-				<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-					<line x1="8" y1="9" x2="16" y2="9"></line>
-					<line x1="8" y1="15" x2="16" y2="15"></line>
-				</svg>
-			`;
-
-			// Create progressions with chord function badges
-			const progressionWithFunctions = progression.map((chord) => {
-				const chordFunction = analyzeChordFunction(chord, keyDefinition);
-				if (chordFunction && chordFunction.roman) {
-					// Return chord with roman numeral in parentheses
-					return `${chord} (${chordFunction.roman})`;
+				const reharmonizations = suggestReharmonizations(symbols, index, keyAreas.keys[index] ?? keyDefinition);
+				const reharmMenu = createReharmonizationMenu(reharmonizations, index);
+				if (reharmMenu) {
+					contentContainer.appendChild(reharmMenu);
 				}
-				return chord;
+				appendCadenceBrackets(chip, cadences, index);
+				container.appendChild(chip);
 			});
-
-			const text = document.createElement("span");
-			text.className = "list-item-text";
-			text.textContent = progressionWithFunctions.join(" → ");
-
-			const remove = document.createElement("button");
-			remove.className = "icon-button";
-			remove.type = "button";
-			remove.dataset.index = String(index);
-			remove.textContent = "移除";
-
-			row.appendChild(handle);
-			row.appendChild(text);
-			row.appendChild(remove);
-			container.appendChild(row);
-		});
+		}
 	});
+
+	renderLibrary(ui, state);
+	renderProgressionScore(ui, state);
 };
 
 const persistState = (storage, state) => {
 	storage.save(STORAGE_KEYS.HISTORY, state.history);
 	storage.save(STORAGE_KEYS.PROGRESSION, state.progression);
-	storage.save(STORAGE_KEYS.PROGRESSION_HISTORY, state.progressionHistory);
+	storage.save(STORAGE_KEYS.LIBRARY, state.library);
+	storage.save(STORAGE_KEYS.CURRENT_SONG, state.currentSongId);
 	storage.save(STORAGE_KEYS.KEY_ROOT, state.keyRoot);
 	storage.save(STORAGE_KEYS.KEY_MODE, state.keyMode);
+	storage.save(STORAGE_KEYS.TEMPO, state.tempo);
+	storage.save(STORAGE_KEYS.BEATS_PER_CHORD, state.beatsPerChord);
+	storage.save(STORAGE_KEYS.VOICING, state.voicing);
+	storage.save(STORAGE_KEYS.SMOOTH_VOICE_LEADING, state.smoothVoiceLeading);
+	storage.save(STORAGE_KEYS.METER, state.meter);
+	storage.save(STORAGE_KEYS.CHIP_LABELS, state.chipLabels);
+	storage.save(STORAGE_KEYS.TUNING, state.tuning);
+	storage.save(STORAGE_KEYS.CHIP_DIAGRAMS, state.chipDiagrams);
+};
+
+// Best fingerings of a chord symbol for the chosen tuning, from the same spelled tones the score uses
+const getFingerings = (symbol, keyDefinition, tuning, limit = 3) => {
+	const tones = getSpelledChordTones(sanitizeChordInput(symbol ?? ""), keyDefinition);
+	if (!tones) {
+		return [];
+	}
+	return findFingerings({ notes: tones.notes, root: tones.notes[0], bass: tones.bass }, tuning, { limit });
+};
+
+// Root-position chord tones spelled in the key, in the shape voiceChord expects
+const getSpelledChordTones = (cleaned, keyDefinition) => {
+	const { chord: chordPart, bass } = parseSlashChord(cleaned);
+	const rootPosition = Chord.get(chordPart);
+	if (!rootPosition.notes.length) {
+		return null;
+	}
+	return {
+		notes: spellNotesInKey(rootPosition.notes, keyDefinition),
+		intervals: rootPosition.intervals,
+		bass: bass ? spellNotesInKey([bass], keyDefinition)[0] : null,
+	};
 };
 
-const buildChordResult = (cleaned, keyDefinition) => {
+const buildChordResult = (cleaned, keyDefinition, voicing = DEFAULT_VOICING) => {
 	if (!cleaned) {
 		return { status: "empty" };
 	}
 
 	const result = Chord.get(cleaned);
-	if (!result.notes || !result.notes.length) {
+	const chordTones = getSpelledChordTones(cleaned, keyDefinition);
+	if (!result.notes || !result.notes.length || !chordTones) {
 		return { status: "invalid" };
 	}
 
 	const spelledNotes = spellNotesInKey(result.notes, keyDefinition);
-	const spelledWithOctave = spellNotesWithOctaveInKey(
-		spelledNotes.map((note) => `${note}4`),
-		keyDefinition,
-	);
+	const spelledBass = chordTones.bass;
+	const inversion = getInversion(chordTones.notes, spelledBass);
+	const spelledWithOctave = voiceChord(chordTones, voicing);
 
 	const chordFunction = analyzeChordFunction(cleaned, keyDefinition);
 	const enharmonicSuggestion = shouldSuggestEnharmonic(result.tonic, keyDefinition);
@@ -304,47 +940,60 @@ const buildChordResult = (cleaned, keyDefinition) => {
 		symbol: result.symbol,
 		notes: spelledNotes,
 		notesWithOctave: spelledWithOctave,
+		bass: spelledBass,
+		inversion,
 		function: chordFunction,
 		enharmonicSuggestion,
 	};
 };
 
-const renderDetectedChords = (ui, state, storage, detectedChords, keyDefinition) => {
-	if (!detectedChords || detectedChords.length === 0) {
+// Notes mode: ranked readings of the typed notes, each with its chord tones, missing and extra notes and why it ranks where it does
+const renderDetectedChords = (ui, state, storage, candidates, keyDefinition) => {
+	if (!candidates.length) {
 		ui.chordOutput.textContent = "找不到對應的和弦，請確認音符是否正確。";
 		ui.paper.innerHTML = "";
 		return;
 	}
 
-	const topChords = detectedChords.slice(0, 3);
-
 	ui.chordOutput.innerHTML = "";
 	ui.paper.innerHTML = "";
 
 	const title = document.createElement("p");
-	title.textContent = `從音符推測和弦 (${detectedChords.length} 個可能):`;
+	title.textContent = "從音符推測和弦（依可能性排序）：";
 	title.className = "mb-2 font-medium";
 	ui.chordOutput.appendChild(title);
 
-	topChords.forEach((chordName, index) => {
-		const chordFunction = analyzeChordFunction(chordName, keyDefinition);
+	candidates.forEach((candidate, index) => {
+		const chordFunction = analyzeChordFunction(candidate.symbol, keyDefinition);
 		const resultEl = document.createElement("div");
 		resultEl.className = "detected-chord mb-2 cursor-pointer hover:bg-white/10 rounded p-2 transition-colors";
-		resultEl.dataset.chord = chordName;
-
-		let html = `<span class="font-bold">${index + 1}. ${chordName}</span>`;
+		resultEl.dataset.chord = candidate.symbol;
 
+		let html = `<div class="detected-chord__head">`;
+		html += `<span class="font-bold">${index + 1}. ${candidate.symbol}</span>`;
+		html += `<span class="detected-chord__confidence">${Math.round(candidate.confidence * 100)}%</span>`;
 		if (chordFunction) {
-			const roman = chordFunction.roman;
-			const func = chordFunction.function;
-			const color = chordFunction.color;
-			html += ` <span class="chip chip--${color} text-xs">${roman} (${func})</span>`;
+			html += ` <span class="chip chip--${chordFunction.color} text-xs">${chordFunction.roman} (${chordFunction.function})</span>`;
 		}
+		html += `</div>`;
+
+		html += `<div class="detected-chord__tones">`;
+		candidate.tones.forEach(({ note, label }) => {
+			html += `<span class="detected-tone">${note}<small>${label}</small></span>`;
+		});
+		candidate.missing.forEach(({ note, label }) => {
+			html += `<span class="detected-tone detected-tone--missing">${note}<small>缺${label}</small></span>`;
+		});
+		candidate.extra.forEach((note) => {
+			html += `<span class="detected-tone detected-tone--extra">${note}<small>多餘</small></span>`;
+		});
+		html += `</div>`;
+		html += `<div class="detected-chord__reasons">${candidate.reasons.join("・")}</div>`;
 
 		resultEl.innerHTML = html;
 
 		resultEl.addEventListener("click", () => {
-			ui.input.value = chordName;
+			ui.input.value = candidate.symbol;
 			state.inputMode = "chord";
 			setInputModeToggle(ui, "chord");
 			persistState(storage, state);
@@ -354,11 +1003,10 @@ const renderDetectedChords = (ui, state, storage, detectedChords, keyDefinition)
 		ui.chordOutput.appendChild(resultEl);
 	});
 
-	if (detectedChords.length > 3) {
-		const more = document.createElement("p");
-		more.className = "text-sm text-ink/50 mt-2";
-		more.textContent = `還有 ${detectedChords.length - 3} 個其他可能...`;
-		ui.chordOutput.appendChild(more);
+	// The staff shows the notes as typed, octaves included
+	if (state.currentChord?.notesWithOctave?.length) {
+		const abcText = `${buildAbcHeader({ key: toAbcKey(state.keyRoot, state.keyMode) })}\n${buildAbcChord(state.currentChord.notesWithOctave)}`;
+		abcjs.renderAbc("paper", abcText);
 	}
 };
 
@@ -390,6 +1038,10 @@ const renderChord = (ui, state, chordResult) => {
 	outputHtml += `<div class="chord-symbol">${displaySymbol}</div>`;
 	outputHtml += `<div class="chord-notes">組成音：${chordResult.notes.join(" ")}</div>`;
 
+	if (chordResult.bass) {
+		outputHtml += `<div class="chord-inversion">低音：${chordResult.bass}（${chordResult.inversion.label}）</div>`;
+	}
+
 	if (chordResult.function) {
 		const roman = chordResult.function.roman;
 		const func = chordResult.function.function;
@@ -399,12 +1051,32 @@ const renderChord = (ui, state, chordResult) => {
 
 		outputHtml += `<div class="chord-analysis">`;
 		outputHtml += `<span class="chip ${colorClass}">${romanDisplay}</span>`;
-		outputHtml += `<span class="function-desc">${func}</span>`;
+		outputHtml += `<span class="function-desc">${chordResult.function.description ?? func}</span>`;
 		outputHtml += `</div>`;
 	} else {
 		outputHtml += `<div class="chord-analysis">非調內和弦</div>`;
 	}
 
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const scales = suggestChordScales(chordResult.symbol, keyDefinition, { analysis: chordResult.function });
+	if (scales.length) {
+		outputHtml += `<div class="chord-scales">`;
+		outputHtml += `<p class="chord-scales__title">Chord scales</p>`;
+		scales.forEach((scale, index) => {
+			const notes = scale.degrees
+				.map(({ note, role }) => `<span class="chord-scale__note chord-scale__note--${role}">${note}</span>`)
+				.join("");
+			outputHtml += `<button class="chord-scale" type="button" data-scale-index="${index}" title="點選在五線譜上顯示">`;
+			outputHtml += `<span class="chord-scale__name">${scale.name}</span>`;
+			outputHtml += `<span class="chord-scale__notes">${notes}</span>`;
+			if (scale.avoid.length) {
+				outputHtml += `<span class="chord-scale__avoid">避免音：${scale.avoid.join(" ")}</span>`;
+			}
+			outputHtml += `</button>`;
+		});
+		outputHtml += `</div>`;
+	}
+
 	if (chordResult.enharmonicSuggestion?.shouldSuggest) {
 		const { current, preferred } = chordResult.enharmonicSuggestion;
 		outputHtml += `<div class="enharmonic-suggestion">`;
@@ -432,14 +1104,107 @@ const renderChord = (ui, state, chordResult) => {
 		});
 	}
 
-	if (chordResult.notesWithOctave.length) {
-		const abcSyntax = buildAbcChord(chordResult.notesWithOctave);
-		const abcKey = toAbcKey(state.keyRoot, state.keyMode);
-		const abcText = `X:1\nK:${abcKey}\n${abcSyntax}`;
-		abcjs.renderAbc("paper", abcText);
+	const renderChordStaff = () => {
+		ui.paper.innerHTML = "";
+		if (chordResult.notesWithOctave.length) {
+			const abcSyntax = buildAbcChord(chordResult.notesWithOctave);
+			const abcKey = toAbcKey(state.keyRoot, state.keyMode);
+			const abcText = `${buildAbcHeader({ key: abcKey })}\n${abcSyntax}`;
+			abcjs.renderAbc("paper", abcText);
+		}
+	};
+	renderChordStaff();
+
+	// A chosen scale replaces the chord on the staff; choosing it again brings the chord back
+	ui.chordOutput.querySelectorAll(".chord-scale").forEach((button) => {
+		button.addEventListener("click", () => {
+			const isActive = button.classList.contains("is-active");
+			ui.chordOutput.querySelectorAll(".chord-scale").forEach((item) => item.classList.remove("is-active"));
+			if (isActive) {
+				renderChordStaff();
+				return;
+			}
+			button.classList.add("is-active");
+			abcjs.renderAbc("paper", buildScaleAbc(scales[Number(button.dataset.scaleIndex)]), { responsive: "resize" });
+		});
+	});
+};
+
+// Roman-numeral and Nashville modes: every token realized in the key, with the whole line on one staff.
+// The last chord is the current chord, so play and history act on what was typed last.
+const renderTypedLine = (ui, state, { chords, unparsed }) => {
+	state.typedLine = chords.map(({ symbol }) => symbol);
+	state.currentChord = chords.length ? { symbol: chords[chords.length - 1].symbol } : null;
+	ui.chordOutput.innerHTML = "";
+	ui.paper.innerHTML = "";
+
+	const line = document.createElement("div");
+	line.className = "typed-line";
+	chords.forEach(({ roman, number, symbol, notes }) => {
+		const item = document.createElement("div");
+		item.className = "typed-line__chord";
+		item.innerHTML = `<span class="typed-line__label">${roman ?? number}</span><span class="typed-line__symbol">${symbol}</span><span class="typed-line__notes">${notes.join(" ")}</span>`;
+		line.appendChild(item);
+	});
+	ui.chordOutput.appendChild(line);
+
+	if (unparsed.length) {
+		const status = document.createElement("p");
+		status.className = "import-status";
+		status.textContent = `無法解析：${unparsed.join(", ")}`;
+		ui.chordOutput.appendChild(status);
+	}
+
+	if (state.typedLine.length) {
+		abcjs.renderAbc("paper", buildProgressionAbc(normalizeProgression(state.typedLine), state), { responsive: "resize" });
 	}
 };
 
+// Piano: held keys follow the typed notes in notes mode; chord-tone colors follow the current chord
+const renderPiano = (ui, state) => {
+	const chord = state.currentChord;
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const voicing = chord ? (chord.notesWithOctave ?? getChordNotesWithOctave(chord.symbol, keyDefinition, state.voicing)) : [];
+	const roles = new Map(describeChordTones(chord?.symbol).map(({ note, role }) => [Note.get(note).chroma, role]));
+	const selected = state.inputMode === "notes" ? parseNoteEvents(ui.input.value).voicing.map((note) => Note.midi(note)) : [];
+	setPianoKeys(ui.piano, {
+		selected,
+		tones: voicing.map((note) => ({ note, role: roles.get(Note.get(note).chroma) })),
+	});
+};
+
+// Chord boxes for the current chord under the staff
+const renderFretboard = (ui, state) => {
+	const symbol = state.currentChord?.symbol;
+	if (!symbol) {
+		ui.fretboard.innerHTML = "";
+		return;
+	}
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const fingerings = getFingerings(symbol, keyDefinition, state.tuning);
+	ui.fretboard.innerHTML = fingerings.length
+		? fingerings.map((fingering) => renderChordBox(fingering, { title: symbol })).join("")
+		: `<p class="text-xs text-ink/45">${getTuning(state.tuning).label} 找不到 ${symbol} 的可彈指法。</p>`;
+};
+
+// Add or remove one key from the typed notes; a key pressed in another mode starts a new note set
+const togglePianoKey = (storage, ui, state, midi) => {
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const held = state.inputMode === "notes" ? parseNoteEvents(ui.input.value).voicing : [];
+	const notes = held.some((note) => Note.midi(note) === midi)
+		? held.filter((note) => Note.midi(note) !== midi)
+		: [...held, midiToNoteName(midi, keyDefinition)].sort((a, b) => Note.midi(a) - Note.midi(b));
+	ui.input.value = notes.join(" ");
+	if (state.inputMode !== "notes") {
+		state.inputMode = "notes";
+		setInputModeToggle(ui, "notes");
+		persistState(storage, state);
+	}
+	updateChord(ui, state, storage);
+};
+
+const isTypingTarget = (target) => target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+
 // 定時器變數
 let inputTimeout = null;
 
@@ -451,22 +1216,28 @@ const updateChord = (ui, state, storage) => {
 	const validNotes = notes.filter(isValidNote);
 	const detectedType = detectInputType(input);
 
-	if (detectedType !== state.inputMode && validNotes.length >= 3) {
+	const parseLine = LINE_INPUT_MODES[state.inputMode];
+	if (!parseLine && detectedType !== state.inputMode && validNotes.length >= 3) {
 		state.inputMode = detectedType;
 		setInputModeToggle(ui, detectedType);
 	}
 
 	state.displaySymbol = null;
 
-	if (state.inputMode === "notes" && validNotes.length >= 2) {
-		const detected = Chord.detect(validNotes);
-		renderDetectedChords(ui, state, storage, detected, keyDefinition);
-		state.currentChord = detected.length > 0 ? { symbol: detected[0] } : null;
+	if (parseLine) {
+		renderTypedLine(ui, state, parseLine(input, keyDefinition));
+	} else if (state.inputMode === "notes" && validNotes.length >= 2) {
+		const candidates = detectChordsFromNotes(input, keyDefinition);
+		const { voicing } = parseNoteEvents(input);
+		state.currentChord = candidates.length ? { symbol: candidates[0].symbol, notesWithOctave: voicing } : null;
+		renderDetectedChords(ui, state, storage, candidates, keyDefinition);
 	} else {
 		const cleaned = sanitizeChordInput(input);
-		const chordResult = buildChordResult(cleaned, keyDefinition);
+		const chordResult = buildChordResult(cleaned, keyDefinition, state.voicing);
 		renderChord(ui, state, chordResult);
 	}
+	renderPiano(ui, state);
+	renderFretboard(ui, state);
 
 	if (inputTimeout) {
 		clearTimeout(inputTimeout);
@@ -487,21 +1258,375 @@ const addProgressionItem = (storage, ui, state) => {
 	if (!state.currentChord) {
 		return;
 	}
-	state.progression.push(state.currentChord.symbol);
+	// Roman-numeral and Nashville modes add the whole typed line
+	if (LINE_INPUT_MODES[state.inputMode]) {
+		state.progression.push(...state.typedLine.map((symbol) => createProgressionEntry(symbol)));
+	} else {
+		state.progression.push(createProgressionEntry(state.currentChord.symbol));
+	}
 	persistState(storage, state);
 	renderProgression(ui, state);
 };
 
-const saveProgression = (storage, ui, state) => {
+// Save the editor as a song with the form's title, tags and notes and the current key and tempo.
+// The song the editor came from is updated in place; otherwise, or with asNew, a new song is added and becomes current.
+const saveProgression = (storage, ui, state, { asNew = false } = {}) => {
 	if (!state.progression.length) {
 		return;
 	}
-	state.progressionHistory.unshift([...state.progression]);
-	state.progressionHistory = state.progressionHistory.slice(0, 20);
+	const fields = {
+		...state.songDraft,
+		keyRoot: state.keyRoot,
+		keyMode: state.keyMode,
+		tempo: state.tempo,
+		progression: state.progression,
+	};
+	const index = asNew ? -1 : findSongIndex(state, state.currentSongId);
+	const song = index === -1 ? createSong(state.progression, fields) : updateSong(state.library[index], fields);
+	if (index === -1) {
+		state.library.unshift(song);
+	} else {
+		state.library[index] = song;
+	}
+	state.currentSongId = song.id;
+	// The form shows what was stored: a default title, cleaned-up tags
+	state.songDraft = getSongDraft(song);
+	persistState(storage, state);
+	renderProgression(ui, state);
+};
+
+// Open a song in the editor with its key and tempo; saving then updates it
+const loadSong = (storage, ui, state, index) => {
+	const song = state.library[index];
+	if (!song) {
+		return;
+	}
+	state.progression = song.progression.map((entry) => ({ ...entry }));
+	state.tempo = song.tempo;
+	state.currentSongId = song.id;
+	state.songDraft = getSongDraft(song);
+	renderPlaybackSettings(ui, state);
+	applyKey(storage, ui, state, song.keyRoot, song.keyMode);
+};
+
+// Clearing the editor starts a new song
+const clearProgression = (storage, ui, state) => {
+	state.progression = [];
+	state.currentSongId = null;
+	state.songDraft = getSongDraft(null);
+	persistState(storage, state);
+	renderProgression(ui, state);
+};
+
+// Move the current progression to another root of the current mode.
+// The selected key follows, so the Roman numerals stay the same.
+const transposeTo = (storage, ui, state, root) => {
+	const fromKey = getKeyDefinition(state.keyRoot, state.keyMode);
+	const toKey = getKeyDefinition(root, state.keyMode);
+	state.progression = replaceSymbols(state.progression, transposeProgression(getProgressionSymbols(state.progression), fromKey, toKey));
+	applyKey(storage, ui, state, root, state.keyMode);
+};
+
+// Move a saved song to another root of its mode; its key follows and the editor is left alone
+const transposeSong = (storage, ui, state, index, root) => {
+	const song = state.library[index];
+	if (!song) {
+		return;
+	}
+	const fromKey = getKeyDefinition(song.keyRoot, song.keyMode);
+	const toKey = getKeyDefinition(root, song.keyMode);
+	const progression = replaceSymbols(song.progression, transposeProgression(getProgressionSymbols(song.progression), fromKey, toKey));
+	state.library[index] = updateSong(song, { keyRoot: root, progression });
+	persistState(storage, state);
+	renderLibrary(ui, state);
+};
+
+const duplicateLibrarySong = (storage, ui, state, index) => {
+	const song = state.library[index];
+	if (!song) {
+		return;
+	}
+	state.library.unshift(duplicateSong(song));
+	persistState(storage, state);
+	renderLibrary(ui, state);
+};
+
+const removeSong = (storage, ui, state, index) => {
+	const [song] = state.library.splice(index, 1);
+	if (song?.id === state.currentSongId) {
+		state.currentSongId = null;
+	}
 	persistState(storage, state);
 	renderProgression(ui, state);
 };
 
+// Swap a row's title for a field; Enter or leaving the field renames, Escape cancels
+const startRename = (row, index) => {
+	const title = row.querySelector(".song-row__title");
+	if (!title) {
+		return;
+	}
+	const input = document.createElement("input");
+	input.className = "library-input song-row__rename";
+	input.type = "text";
+	input.value = title.textContent;
+	input.dataset.renameInput = String(index);
+	input.setAttribute("aria-label", "歌名");
+	title.replaceWith(input);
+	input.focus();
+	input.select();
+};
+
+const finishRename = (storage, ui, state, input, { cancel = false } = {}) => {
+	// Re-rendering removes the field, which would blur it a second time
+	if (input.dataset.done) {
+		return;
+	}
+	input.dataset.done = "true";
+	const index = Number(input.dataset.renameInput);
+	const song = state.library[index];
+	if (!cancel && song && input.value.trim() && input.value.trim() !== song.title) {
+		state.library[index] = renameSong(song, input.value);
+		if (song.id === state.currentSongId) {
+			state.songDraft = { ...state.songDraft, title: state.library[index].title };
+		}
+		persistState(storage, state);
+	}
+	renderLibrary(ui, state);
+};
+
+// "菱形 1、搶拍 2" for the diamonds, pushes and split-bar chords an imported chart carried
+const describeChartMarks = (marks) =>
+	[
+		["diamond", "菱形"],
+		["push", "搶拍"],
+		["split", "分割小節和弦"],
+	]
+		.map(([key, label]) => [label, marks.filter((mark) => mark[key]).length])
+		.filter(([, count]) => count)
+		.map(([label, count]) => `${label} ${count}`)
+		.join("、");
+
+// target: "current" replaces the progression, "library" saves the chart as a new song titled from the chart
+const importChordChart = (storage, ui, state, panelIndex, target) => {
+	const status = ui.progressionImportStatus[panelIndex];
+	const { format, title, chords, marks, unparsed } = parseChordChart(ui.progressionImportText[panelIndex].value, {
+		keyDefinition: getKeyDefinition(state.keyRoot, state.keyMode),
+	});
+	const skipped = unparsed.length ? `無法解析：${unparsed.join(", ")}` : "";
+
+	if (!chords.length) {
+		status.textContent = skipped || "沒有找到和弦。";
+		return;
+	}
+
+	// Bars drawn in the chart become durations and bar lines
+	const entries = progressionFromChart({ chords, marks }, state.meter);
+	if (target === "library") {
+		state.library.unshift(
+			createSong(entries, {
+				title: title ?? "匯入的和弦譜",
+				keyRoot: state.keyRoot,
+				keyMode: state.keyMode,
+				tempo: state.tempo,
+			}),
+		);
+	} else {
+		state.progression = entries;
+	}
+	persistState(storage, state);
+	renderProgression(ui, state);
+	status.textContent = [`已匯入 ${chords.length} 個和弦（${CHART_FORMATS[format]}）。`, describeChartMarks(marks), skipped]
+		.filter(Boolean)
+		.join(" ");
+};
+
+const renderPlaybackSettings = (ui, state) => {
+	ui.progressionMeter.forEach((select) => {
+		populateSelect(
+			select,
+			ABC_METERS.map((meter) => ({ id: meter, label: meter })),
+			state.meter,
+		);
+	});
+	ui.progressionTempo.forEach((input) => {
+		input.value = String(state.tempo);
+	});
+	ui.progressionBeats.forEach((input) => {
+		input.value = String(state.beatsPerChord);
+	});
+};
+
+const setProgressionPlaying = (ui, playingIndex) => {
+	const isPlaying = playingIndex !== null;
+	ui.progressionPlay.forEach((btn) => {
+		btn.textContent = isPlaying ? "停止" : "播放進程";
+		btn.setAttribute("aria-pressed", String(isPlaying));
+	});
+	ui.progressionCurrent.forEach((container) => {
+		container.querySelectorAll(".chip").forEach((chip) => {
+			chip.classList.toggle("is-playing", chip.dataset.index === String(playingIndex));
+		});
+	});
+};
+
+// One voicing per progression chord, optionally chained by the voice-leading optimizer
+const getProgressionVoicings = (progression, state, keyDefinition) => {
+	const chords = getProgressionSymbols(progression).map(
+		(symbol) => getSpelledChordTones(sanitizeChordInput(symbol), keyDefinition) ?? { notes: [], intervals: [] },
+	);
+	if (state.smoothVoiceLeading) {
+		return leadVoices(chords, state.voicing).map(({ notes }) => notes);
+	}
+	return chords.map((chord) => voiceChord(chord, state.voicing));
+};
+
+// Voiced chords with durations, bar lines, symbols and Roman numerals, as used by the score, playback and the exporters
+const buildProgressionChords = (progression, state) => {
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const voicings = getProgressionVoicings(progression, state, keyDefinition);
+	const symbols = getProgressionSymbols(progression);
+	const { keys } = analyzeKeyAreas(symbols, keyDefinition);
+	return progression.map(({ symbol, beats, barLine }, index) => ({
+		notes: voicings[index],
+		beats: beats ?? state.beatsPerChord,
+		barLine,
+		symbol,
+		roman: analyzeChordFunction(symbol, keys[index] ?? keyDefinition, getChordContext(symbols, index))?.roman ?? "",
+	}));
+};
+
+// ABC tune for a progression: voiced chords, symbols above and Roman numerals below
+const buildProgressionAbc = (progression, state) =>
+	buildAbcScore(buildProgressionChords(progression, state), {
+		key: toAbcKey(state.keyRoot, state.keyMode),
+		meter: state.meter,
+	});
+
+const exportProgression = async (state, progression, format, name) => {
+	const target = EXPORT_FORMATS[format];
+	if (!target || !progression?.length) {
+		return;
+	}
+	const content = buildExportContent(format, buildProgressionChords(progression, state), {
+		key: toAbcKey(state.keyRoot, state.keyMode),
+		keyDefinition: getKeyDefinition(state.keyRoot, state.keyMode),
+		meter: state.meter,
+		tempo: state.tempo,
+		title: name,
+	});
+	try {
+		await saveFile({
+			fileName: `${name}.${target.extension}`,
+			content,
+			mimeType: target.mimeType,
+			extension: target.extension,
+			label: target.label,
+		});
+	} catch (e) {
+		console.warn("Failed to export progression:", e);
+	}
+};
+
+const handleExportClick = (state, event) => {
+	const button = event.target.closest("button[data-export-format]");
+	if (!button) {
+		return;
+	}
+	button.closest("details")?.removeAttribute("open");
+	const { exportFormat, exportIndex } = button.dataset;
+	if (exportIndex === undefined) {
+		exportProgression(state, state.progression, exportFormat, "harmonia-progression");
+		return;
+	}
+	const song = state.library[Number(exportIndex)];
+	if (song) {
+		// Titles become file names, without the characters file systems reject
+		exportProgression(getSongSettings(state, song), song.progression, exportFormat, song.title.replace(/[\\/:*?"<>|]+/g, "-"));
+	}
+};
+
+const renderProgressionScore = (ui, state) => {
+	ui.progressionSmooth.forEach((checkbox) => {
+		checkbox.checked = state.smoothVoiceLeading;
+	});
+	ui.progressionNashville.forEach((checkbox) => {
+		checkbox.checked = state.chipLabels === "nashville";
+	});
+	ui.progressionDiagrams.forEach((checkbox) => {
+		checkbox.checked = state.chipDiagrams;
+	});
+
+	const abcText = state.progression.length ? buildProgressionAbc(state.progression, state) : "";
+	ui.progressionScore.forEach((element) => {
+		if (!abcText) {
+			element.innerHTML = "";
+			return;
+		}
+		abcjs.renderAbc(element, abcText, { responsive: "resize" });
+	});
+};
+
+const toggleHistoryScore = (state, button) => {
+	const row = button.closest(".list-item");
+	const element = row?.querySelector(".list-item-score");
+	const song = state.library[Number(button.dataset.scoreIndex)];
+	if (!element || !song) {
+		return;
+	}
+	if (element.childElementCount) {
+		element.innerHTML = "";
+		return;
+	}
+	abcjs.renderAbc(element, buildProgressionAbc(song.progression, getSongSettings(state, song)), { responsive: "resize" });
+};
+
+const getChordNotesWithOctave = (symbol, keyDefinition, voicing) => {
+	const chordResult = buildChordResult(sanitizeChordInput(symbol), keyDefinition, voicing);
+	return chordResult.status === "valid" ? chordResult.notesWithOctave : [];
+};
+
+const playCurrentChord = (ui, state, player) => {
+	if (!state.currentChord) {
+		return;
+	}
+	const keyDefinition = getKeyDefinition(state.keyRoot, state.keyMode);
+	const notes =
+		state.currentChord.notesWithOctave ??
+		getChordNotesWithOctave(state.currentChord.symbol, keyDefinition, state.voicing);
+	setProgressionPlaying(ui, null);
+	player.playChord(notes, { tempo: state.tempo, beats: state.beatsPerChord });
+};
+
+const toggleProgressionPlayback = (ui, state, player) => {
+	if (player.isPlaying) {
+		player.stop();
+		setProgressionPlaying(ui, null);
+		return;
+	}
+
+	const chords = buildProgressionChords(state.progression, state).map(({ notes, beats }) => ({ notes, beats }));
+
+	player.playProgression(chords, {
+		tempo: state.tempo,
+		beatsPerChord: state.beatsPerChord,
+		onStep: (index) => setProgressionPlaying(ui, index),
+		onEnd: () => setProgressionPlaying(ui, null),
+	});
+};
+
+const bindNumberSetting = (inputs, { min, max, onChange }) => {
+	inputs.forEach((input) => {
+		input.addEventListener("change", () => {
+			const value = Number(input.value);
+			if (!Number.isFinite(value)) {
+				return;
+			}
+			onChange(Math.min(max, Math.max(min, Math.round(value))));
+		});
+	});
+};
+
 const bindRemoveHandler = (container, onRemove) => {
 	container.addEventListener("click", (event) => {
 		const button = event.target.closest("button[data-index]");
@@ -537,12 +1662,17 @@ const init = () => {
 	const ui = getUiElements();
 	const storage = createStorage(window.localStorage);
 	const state = createState(storage);
+	state.songDraft = getSongDraft(state.library[findSongIndex(state, state.currentSongId)]);
+	const player = createAudioPlayer();
 
-	setModeToggle(ui, state.keyMode);
+	renderModeSelect(ui, state);
 	setInputModeToggle(ui, state.inputMode);
 	populateRootSelect(ui, state, state.keyMode);
 	renderHistory(ui, state);
 	renderProgression(ui, state);
+	renderPlaybackSettings(ui, state);
+	renderVoicingSettings(ui, state);
+	buildPiano(ui.piano);
 	updateChord(ui, state, storage);
 
 	ui.progressionCurrent.forEach((container) => {
@@ -558,20 +1688,24 @@ const init = () => {
 				renderProgression(ui, state);
 			},
 		});
-	});
-
-	ui.progressionHistory.forEach((container) => {
-		initSortable(container, {
-			onEnd: (evt) => {
-				const { oldIndex, newIndex } = evt;
-				if (oldIndex === newIndex) return;
-
-				const movedItem = state.progressionHistory.splice(oldIndex, 1)[0];
-				state.progressionHistory.splice(newIndex, 0, movedItem);
-
+		container.addEventListener("click", (event) => {
+			applyReharmonizationClick(storage, ui, state, event);
+			const barButton = event.target.closest("button[data-bar-index]");
+			const entry = barButton ? state.progression[Number(barButton.dataset.barIndex)] : null;
+			if (entry) {
+				entry.barLine = !entry.barLine;
 				persistState(storage, state);
 				renderProgression(ui, state);
-			},
+			}
+		});
+		container.addEventListener("change", (event) => {
+			const select = event.target.closest("select[data-beats-index]");
+			const entry = select ? state.progression[Number(select.dataset.beatsIndex)] : null;
+			if (entry) {
+				entry.beats = select.value ? Number(select.value) : null;
+				persistState(storage, state);
+				renderProgression(ui, state);
+			}
 		});
 	});
 
@@ -583,64 +1717,145 @@ const init = () => {
 		updateChord(ui, state, storage);
 		renderProgression(ui, state);
 	});
-	ui.modeMajor.addEventListener("click", () => {
-		if (state.keyMode === "major") {
-			return;
-		}
-		state.keyMode = "major";
-		state.displaySymbol = null;
-		setModeToggle(ui, state.keyMode);
-		populateRootSelect(ui, state, state.keyMode);
+	ui.keyMode.addEventListener("change", () => applyKey(storage, ui, state, state.keyRoot, ui.keyMode.value));
+	[ui.modeChord, ui.modeNotes, ui.modeRoman, ui.modeNashville].forEach((button) =>
+		button.addEventListener("click", () => selectInputMode(storage, ui, state, button.dataset.mode)),
+	);
+	ui.historyAdd.addEventListener("click", () => addHistoryItem(storage, ui, state));
+	ui.historyClear.addEventListener("click", () => {
+		state.history = [];
 		persistState(storage, state);
-		updateChord(ui, state, storage);
-		renderProgression(ui, state);
+		renderHistory(ui, state);
 	});
-	ui.modeMinor.addEventListener("click", () => {
-		if (state.keyMode === "minor") {
-			return;
+
+	ui.progressionAdd.forEach((btn) => btn.addEventListener("click", () => addProgressionItem(storage, ui, state)));
+	ui.progressionClear.forEach((btn) => btn.addEventListener("click", () => clearProgression(storage, ui, state)));
+	ui.progressionSave.forEach((btn) => btn.addEventListener("click", () => saveProgression(storage, ui, state)));
+	ui.progressionSaveNew.forEach((btn) => btn.addEventListener("click", () => saveProgression(storage, ui, state, { asNew: true })));
+	[
+		[ui.songTitle, "title"],
+		[ui.songTags, "tags"],
+		[ui.songNotes, "notes"],
+	].forEach(([fields, name]) =>
+		fields.forEach((field) =>
+			field.addEventListener("input", () => {
+				state.songDraft = { ...state.songDraft, [name]: field.value };
+				syncFields(fields, field.value);
+			}),
+		),
+	);
+	[
+		[ui.librarySearch, "query", "input"],
+		[ui.libraryChord, "chord", "input"],
+		[ui.libraryTag, "tag", "change"],
+		[ui.libraryKey, "key", "change"],
+	].forEach(([fields, name, eventName]) =>
+		fields.forEach((field) =>
+			field.addEventListener(eventName, () => {
+				state.libraryFilter = { ...state.libraryFilter, [name]: field.value };
+				renderLibrary(ui, state);
+			}),
+		),
+	);
+	ui.progressionImportLoad.forEach((btn, index) =>
+		btn.addEventListener("click", () => importChordChart(storage, ui, state, index, "current")),
+	);
+	ui.progressionImportSave.forEach((btn, index) =>
+		btn.addEventListener("click", () => importChordChart(storage, ui, state, index, "library")),
+	);
+
+	ui.chordPlay?.addEventListener("click", () => playCurrentChord(ui, state, player));
+	ui.piano.addEventListener("click", (event) => {
+		const key = event.target.closest(".piano-key");
+		if (key) {
+			togglePianoKey(storage, ui, state, Number(key.dataset.midi));
 		}
-		state.keyMode = "minor";
-		state.displaySymbol = null;
-		setModeToggle(ui, state.keyMode);
-		populateRootSelect(ui, state, state.keyMode);
-		persistState(storage, state);
-		updateChord(ui, state, storage);
-		renderProgression(ui, state);
 	});
-	ui.modeChord.addEventListener("click", () => {
-		if (state.inputMode === "chord") {
-			return;
+	ui.pianoClear.addEventListener("click", () => {
+		if (state.inputMode === "notes") {
+			ui.input.value = "";
+			updateChord(ui, state, storage);
 		}
-		state.inputMode = "chord";
-		setInputModeToggle(ui, "chord");
-		persistState(storage, state);
-		updateChord(ui, state, storage);
 	});
-	ui.modeNotes.addEventListener("click", () => {
-		if (state.inputMode === "notes") {
+	// A-row shortcuts play the piano unless a field has focus
+	window.addEventListener("keydown", (event) => {
+		if (event.repeat || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
 			return;
 		}
-		state.inputMode = "notes";
-		setInputModeToggle(ui, "notes");
+		const midi = getShortcutMidi(event.key);
+		if (midi !== null) {
+			event.preventDefault();
+			togglePianoKey(storage, ui, state, midi);
+		}
+	});
+	ui.voicingType.addEventListener("change", () => {
+		state.voicing = { ...state.voicing, type: ui.voicingType.value };
 		persistState(storage, state);
 		updateChord(ui, state, storage);
+		renderProgressionScore(ui, state);
 	});
-	ui.historyAdd.addEventListener("click", () => addHistoryItem(storage, ui, state));
-	ui.historyClear.addEventListener("click", () => {
-		state.history = [];
+	ui.fretboardTuning.addEventListener("change", () => {
+		state.tuning = ui.fretboardTuning.value;
 		persistState(storage, state);
-		renderHistory(ui, state);
+		renderFretboard(ui, state);
+		renderProgression(ui, state);
 	});
-
-	ui.progressionAdd.forEach((btn) => btn.addEventListener("click", () => addProgressionItem(storage, ui, state)));
-	ui.progressionClear.forEach((btn) =>
-		btn.addEventListener("click", () => {
-			state.progression = [];
+	ui.voicingRange.addEventListener("change", () => {
+		state.voicing = { ...state.voicing, range: ui.voicingRange.value };
+		persistState(storage, state);
+		updateChord(ui, state, storage);
+		renderProgressionScore(ui, state);
+	});
+	ui.progressionMeter.forEach((select) =>
+		select.addEventListener("change", () => {
+			state.meter = select.value;
+			persistState(storage, state);
+			renderPlaybackSettings(ui, state);
+			renderProgressionScore(ui, state);
+		}),
+	);
+	ui.progressionSmooth.forEach((checkbox) =>
+		checkbox.addEventListener("change", () => {
+			state.smoothVoiceLeading = checkbox.checked;
+			persistState(storage, state);
+			renderProgressionScore(ui, state);
+		}),
+	);
+	ui.progressionNashville.forEach((checkbox) =>
+		checkbox.addEventListener("change", () => {
+			state.chipLabels = checkbox.checked ? "nashville" : "roman";
 			persistState(storage, state);
 			renderProgression(ui, state);
 		}),
 	);
-	ui.progressionSave.forEach((btn) => btn.addEventListener("click", () => saveProgression(storage, ui, state)));
+	ui.progressionDiagrams.forEach((checkbox) =>
+		checkbox.addEventListener("change", () => {
+			state.chipDiagrams = checkbox.checked;
+			persistState(storage, state);
+			renderProgression(ui, state);
+		}),
+	);
+	ui.progressionPlay.forEach((btn) => btn.addEventListener("click", () => toggleProgressionPlayback(ui, state, player)));
+	bindNumberSetting(ui.progressionTempo, {
+		min: 30,
+		max: 240,
+		onChange: (tempo) => {
+			state.tempo = tempo;
+			persistState(storage, state);
+			renderPlaybackSettings(ui, state);
+		},
+	});
+	bindNumberSetting(ui.progressionBeats, {
+		min: 1,
+		max: 16,
+		onChange: (beats) => {
+			state.beatsPerChord = beats;
+			persistState(storage, state);
+			renderPlaybackSettings(ui, state);
+			// Chips that follow the setting show the new default
+			renderProgression(ui, state);
+		},
+	});
 
 	// 為歷史按鈕添加點擊事件，點擊時填入輸入框
 	ui.historyButtons.addEventListener("click", (event) => {
@@ -652,12 +1867,75 @@ const init = () => {
 		updateChord(ui, state, storage);
 	});
 
+	ui.progressionExport.forEach((menu) => menu.addEventListener("click", (event) => handleExportClick(state, event)));
+	ui.progressionKey.forEach((container) =>
+		container.addEventListener("click", (event) => {
+			const button = event.target.closest("button[data-key-root]");
+			if (button) {
+				applyKey(storage, ui, state, button.dataset.keyRoot, button.dataset.keyMode);
+			}
+		}),
+	);
+
+	ui.progressionNext.forEach((container) =>
+		container.addEventListener("click", (event) => {
+			const button = event.target.closest("button[data-next-chord]");
+			if (button) {
+				state.progression.push(createProgressionEntry(button.dataset.nextChord));
+				persistState(storage, state);
+				renderProgression(ui, state);
+			}
+		}),
+	);
+
+	ui.progressionTranspose.forEach((select) =>
+		select.addEventListener("change", () => {
+			if (select.value) {
+				transposeTo(storage, ui, state, select.value);
+			}
+		}),
+	);
+
 	ui.progressionHistory.forEach((container) => {
-		bindRemoveHandler(container, (index) => {
-			state.progressionHistory.splice(index, 1);
-			persistState(storage, state);
-			renderProgression(ui, state);
+		container.addEventListener("change", (event) => {
+			const select = event.target.closest("select[data-transpose-index]");
+			if (select?.value) {
+				transposeSong(storage, ui, state, Number(select.dataset.transposeIndex), select.value);
+			}
+		});
+		container.addEventListener("click", (event) => {
+			const button = event.target.closest("button");
+			const { scoreIndex, loadIndex, duplicateIndex, renameIndex, tagFilter } = button?.dataset ?? {};
+			if (scoreIndex !== undefined) {
+				toggleHistoryScore(state, button);
+			} else if (loadIndex !== undefined) {
+				loadSong(storage, ui, state, Number(loadIndex));
+			} else if (duplicateIndex !== undefined) {
+				duplicateLibrarySong(storage, ui, state, Number(duplicateIndex));
+			} else if (renameIndex !== undefined) {
+				startRename(button.closest(".list-item"), Number(renameIndex));
+			} else if (tagFilter !== undefined) {
+				state.libraryFilter = { ...state.libraryFilter, tag: tagFilter };
+				renderLibrary(ui, state);
+			}
+			handleExportClick(state, event);
+		});
+		container.addEventListener("keydown", (event) => {
+			const input = event.target.closest("input[data-rename-input]");
+			if (input && (event.key === "Enter" || event.key === "Escape")) {
+				// Escape here cancels the rename and leaves the floating window open
+				event.preventDefault();
+				event.stopPropagation();
+				finishRename(storage, ui, state, input, { cancel: event.key === "Escape" });
+			}
+		});
+		container.addEventListener("focusout", (event) => {
+			const input = event.target.closest("input[data-rename-input]");
+			if (input) {
+				finishRename(storage, ui, state, input);
+			}
 		});
+		bindRemoveHandler(container, (index) => removeSong(storage, ui, state, index));
 	});
 
 	ui.fabOpenProgression?.addEventListener("click", () => openSidebar(ui));
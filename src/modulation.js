@@ -0,0 +1,131 @@
+import { Note } from "tonal";
+import { KEY_DEFINITIONS } from "./chord-utils.js";
+import { getKeyChromas, isTonicChord, readChordTones } from "./key-detection.js";
+
+// Costs for reading a chord in a key; lower is a better fit
+const COSTS = {
+	outsideTone: 1,
+	secondaryDominant: 0.25,
+	tonicChord: -0.5,
+	cadence: -1.5,
+	otherStartKey: 1.5,
+	keyChange: 3.5,
+};
+
+const tonicChroma = (key) => Note.get(key.scale[0]).chroma;
+
+// One major and one minor key per tonic; the selected key keeps its spelling and
+// enharmonic twins prefer its accidentals (e.g. Gb rather than F# from Db major)
+const getCandidateKeys = (keyDefinition) => {
+	const candidates = new Map([[`${tonicChroma(keyDefinition)}:${keyDefinition.mode}`, keyDefinition]]);
+	KEY_DEFINITIONS.filter((key) => key.mode === "major" || key.mode === "minor").forEach((key) => {
+		const identity = `${tonicChroma(key)}:${key.mode}`;
+		const existing = candidates.get(identity);
+		if (!existing || (existing !== keyDefinition && key.accidental === keyDefinition.accidental)) {
+			candidates.set(identity, key);
+		}
+	});
+	return [...candidates.values()];
+};
+
+const countOutsideTones = (chord, keyChromas) => chord.chromas.filter((chroma) => !keyChromas.has(chroma)).length;
+
+// A major-third chord a fifth above the next chord's root, where that root belongs to the key (V/x → x)
+const isSecondaryDominant = (chord, next, keyChromas) =>
+	Boolean(next) &&
+	chord.hasMajorThird &&
+	(chord.rootChroma + 5) % 12 === next.rootChroma &&
+	keyChromas.has(next.rootChroma);
+
+const chordCost = (chords, index, key, keyChromas) => {
+	const chord = chords[index];
+	if (!chord) {
+		return 0;
+	}
+	const next = chords[index + 1];
+	const outside = countOutsideTones(chord, keyChromas);
+	let cost = outside * COSTS.outsideTone;
+	if (outside && isSecondaryDominant(chord, next, keyChromas)) {
+		cost = COSTS.secondaryDominant;
+	}
+	if (isTonicChord(chord, key)) {
+		cost += COSTS.tonicChord;
+	}
+	// V → I inside the key confirms it
+	if (next && isTonicChord(next, key) && chord.hasMajorThird && (chord.rootChroma + 5) % 12 === tonicChroma(key)) {
+		cost += COSTS.cadence;
+	}
+	return cost;
+};
+
+const fitsKey = (chord, key) => !chord || countOutsideTones(chord, getKeyChromas(key)) === 0;
+
+/**
+ * Split a progression into local key areas.
+ * A Viterbi pass over major and minor keys charges chords for tones outside the key, rewards tonic
+ * chords and V–I cadences, and makes each key change cost more than a single secondary dominant,
+ * so a lone V/x → x stays a tonicization inside the current key.
+ * Returns { keys, segments }: keys holds the local key definition of every chord; segments are
+ * [{ start, end, key, pivot }] where pivot is the index of a chord that fits both neighbouring keys, or null.
+ */
+const analyzeKeyAreas = (progression, keyDefinition) => {
+	const symbols = progression ?? [];
+	if (!symbols.length || !keyDefinition) {
+		return { keys: [], segments: [] };
+	}
+
+	const chords = symbols.map(readChordTones);
+	const keys = getCandidateKeys(keyDefinition);
+	const keyChromas = keys.map(getKeyChromas);
+
+	// layers[i][k] = { cost, from } for chord i read in keys[k]
+	const layers = [];
+	chords.forEach((_, index) => {
+		const local = keys.map((key, k) => chordCost(chords, index, key, keyChromas[k]));
+		if (index === 0) {
+			layers.push(local.map((cost, k) => ({ cost: cost + (keys[k] === keyDefinition ? 0 : COSTS.otherStartKey), from: null })));
+			return;
+		}
+		const previous = layers[index - 1];
+		layers.push(
+			local.map((cost, k) => {
+				// Staying in the key wins ties, so a key change waits for the chord that needs it
+				let best = { cost: previous[k].cost, from: k };
+				previous.forEach((entry, j) => {
+					const total = entry.cost + COSTS.keyChange;
+					if (j !== k && total < best.cost) {
+						best = { cost: total, from: j };
+					}
+				});
+				return { cost: best.cost + cost, from: best.from };
+			}),
+		);
+	});
+
+	const last = layers[layers.length - 1];
+	let keyIndex = last.reduce((bestIndex, entry, k) => (entry.cost < last[bestIndex].cost ? k : bestIndex), 0);
+	const path = [];
+	for (let i = layers.length - 1; i >= 0; i -= 1) {
+		path.unshift(keys[keyIndex]);
+		keyIndex = layers[i][keyIndex].from ?? keyIndex;
+	}
+
+	const segments = [];
+	path.forEach((key, index) => {
+		const current = segments[segments.length - 1];
+		if (current && current.key === key) {
+			current.end = index;
+			return;
+		}
+		let pivot = null;
+		if (current) {
+			const candidates = [index, index - 1];
+			pivot = candidates.find((i) => chords[i] && fitsKey(chords[i], key) && fitsKey(chords[i], current.key)) ?? null;
+		}
+		segments.push({ start: index, end: index, key, pivot });
+	});
+
+	return { keys: path, segments };
+};
+
+export { analyzeKeyAreas };
@@ -0,0 +1,163 @@
+import { Chord, Note, Scale } from "tonal";
+import { parseSlashChord, sanitizeChordInput } from "./chord-utils.js";
+
+// Degree (one digit, so "57" is 5 with a 7), quality, and an optional bass degree: "b7", "6m", "2m7", "4/5"
+const NASHVILLE_TOKEN = /^([b#]?)([1-7])([^/]*)(?:\/([b#]?)([1-7]))?$/;
+
+// Diamonds (<1>, ◇1) ring for the whole bar; pushes (^4) land an eighth early
+const DIAMOND_MARK = /^(?:<(.+)>|[◇◆](.+))$/;
+const PUSH_MARK = /^\^(.+)$/;
+
+const TOKEN_SEPARATOR = /[\s,|]+/;
+const IGNORED_TOKEN = /^(-|–|→|->|\/|%)$/;
+
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+// "6/9" is one chord quality, not a chord over a 9; read it as "69" before any slash is taken for a bass
+const SIX_NINE = /6\/9/;
+const joinSixNine = (text) => text.replace(SIX_NINE, "69");
+
+// Chart shorthand → tonal suffix, checked in order against the start of the quality
+const QUALITY_ALIASES = [
+	[/^(Δ|△)7?/, "maj7"],
+	[/^-/, "m"],
+	[/^ø7?/, "m7b5"],
+	[/^°7/, "dim7"],
+	[/^°/, "dim"],
+	[/^\+$/, "aug"],
+	[/^sus$/, "sus4"],
+];
+
+// Tonal suffix → chart shorthand for display
+const DISPLAY_QUALITIES = [
+	[/^m7b5/, "ø7"],
+	[/^dim7/, "°7"],
+	[/^dim/, "°"],
+	[/^aug$/, "+"],
+	[/^M$/, ""],
+];
+
+const fromSuperscript = (text) => text.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, (digit) => String(SUPERSCRIPT_DIGITS.indexOf(digit)));
+const toSuperscript = (digits) => digits.replace(/\d/g, (digit) => SUPERSCRIPT_DIGITS[Number(digit)]);
+
+const toChordSuffix = (quality) => {
+	const cleaned = fromSuperscript(quality).replace(/[()]/g, "");
+	const alias = QUALITY_ALIASES.find(([pattern]) => pattern.test(cleaned));
+	return alias ? cleaned.replace(alias[0], alias[1]) : cleaned;
+};
+
+// Accidentals move the key's own degree; minor-key charts often write b3, b6, b7 against the major
+// scale, and those degrees are already lowered in the key, so they are not lowered twice
+const degreeNote = (accidental, degree, keyDefinition) => {
+	const note = keyDefinition.scale[Number(degree) - 1];
+	if (!accidental) {
+		return note;
+	}
+	const majorNote = Scale.get(`${keyDefinition.scale[0]} major`).notes[Number(degree) - 1];
+	const offset = (Note.get(note).chroma - Note.get(majorNote).chroma + 12) % 12;
+	if ((accidental === "b" && offset === 11) || (accidental === "#" && offset === 1)) {
+		return note;
+	}
+	return Note.transpose(note, accidental === "b" ? "-1A" : "1A");
+};
+
+// Strip diamond and push marks: "<1>" → { token: "1", diamond: true }
+const readRhythmMarks = (token) => {
+	const diamond = token.match(DIAMOND_MARK);
+	if (diamond) {
+		return { token: diamond[1] ?? diamond[2], diamond: true, push: false };
+	}
+	const push = token.match(PUSH_MARK);
+	if (push) {
+		return { token: push[1], diamond: false, push: true };
+	}
+	return { token, diamond: false, push: false };
+};
+
+const isNashvilleNumber = (token) => NASHVILLE_TOKEN.test(joinSixNine(readRhythmMarks(token).token));
+
+/**
+ * Realize one Nashville number in the key: "1" → C, "6m" → Am, "2m7" → Dm7, "4/5" → F/G, "b7" → Bb in C major.
+ * Numbers count from the key's own scale, so "3" is C in A minor; accidentals raise or lower that degree.
+ * Diamond (<1>, ◇1) and push (^4) marks are read and reported.
+ * Returns { number, symbol, notes, bass, diamond, push } or null when the token cannot be read.
+ */
+const realizeNashvilleNumber = (token, keyDefinition) => {
+	const marked = readRhythmMarks(typeof token === "string" ? token.trim() : "");
+	const match = joinSixNine(marked.token).match(NASHVILLE_TOKEN);
+	if (!match || keyDefinition?.scale?.length !== 7) {
+		return null;
+	}
+	const [, accidental, degree, quality, bassAccidental, bassDegree] = match;
+	const chord = `${degreeNote(accidental, degree, keyDefinition)}${toChordSuffix(quality)}`;
+	const data = Chord.get(chord);
+	if (data.empty) {
+		return null;
+	}
+	const bass = bassDegree ? degreeNote(bassAccidental, bassDegree, keyDefinition) : null;
+	return {
+		number: marked.token,
+		symbol: bass ? `${chord}/${bass}` : chord,
+		notes: data.notes,
+		bass,
+		diamond: marked.diamond,
+		push: marked.push,
+	};
+};
+
+/**
+ * Realize a typed line such as "1 4 5 6m" or "2m7 5 1" in the key.
+ * Returns { chords, unparsed } like parseRomanProgression.
+ */
+const parseNashvilleLine = (text, keyDefinition) => {
+	const tokens = (typeof text === "string" ? text : "").split(TOKEN_SEPARATOR).filter((token) => token && !IGNORED_TOKEN.test(token));
+	const result = { chords: [], unparsed: [] };
+	tokens.forEach((token) => {
+		const chord = realizeNashvilleNumber(token, keyDefinition);
+		if (chord) {
+			result.chords.push(chord);
+		} else {
+			result.unparsed.push(token);
+		}
+	});
+	return result;
+};
+
+// Degree of a note by its letter in the key scale, with the accidental it needs ("F#" in C → "#4")
+const noteToNumber = (note, keyDefinition) => {
+	const chroma = Note.get(note).chroma;
+	const scale = keyDefinition.scale;
+	const index = scale.findIndex((degree) => degree[0] === note[0]);
+	const offset = index === -1 ? null : (chroma - Note.get(scale[index]).chroma + 12) % 12;
+	const accidental = { 0: "", 1: "#", 11: "b" }[offset];
+	if (accidental !== undefined) {
+		return `${accidental}${index + 1}`;
+	}
+	// Double accidentals: fall back to the degree a semitone above, written flat
+	const above = scale.findIndex((degree) => Note.get(degree).chroma === (chroma + 1) % 12);
+	return above === -1 ? null : `b${above + 1}`;
+};
+
+/**
+ * Nashville number of a chord symbol in the key, for display: Dm7 → 2m7, G7 → 5⁷, F/G → 4/5, Bb → b7 in C major.
+ * Leading extension digits are written as superscripts so they do not read as a second number.
+ * Returns null when the symbol cannot be read.
+ */
+const toNashvilleNumber = (symbol, keyDefinition) => {
+	const { chord, bass } = parseSlashChord(joinSixNine(sanitizeChordInput(symbol ?? "")));
+	const data = Chord.get(chord);
+	if (data.empty || !data.tonic || keyDefinition?.scale?.length !== 7) {
+		return null;
+	}
+	const number = noteToNumber(data.tonic, keyDefinition);
+	if (!number) {
+		return null;
+	}
+	const suffix = chord.slice(data.tonic.length);
+	const display = DISPLAY_QUALITIES.find(([pattern]) => pattern.test(suffix));
+	const quality = (display ? suffix.replace(display[0], display[1]) : suffix).replace(/^\d+/, toSuperscript);
+	const bassNumber = bass ? noteToNumber(bass, keyDefinition) : null;
+	return `${number}${quality}${bassNumber ? `/${bassNumber}` : ""}`;
+};
+
+export { isNashvilleNumber, parseNashvilleLine, readRhythmMarks, realizeNashvilleNumber, toNashvilleNumber };
@@ -0,0 +1,141 @@
+import { Note } from "tonal";
+import { spellNoteInKey } from "./chord-utils.js";
+
+const DEFAULT_START_OCTAVE = 3;
+const DEFAULT_OCTAVES = 2;
+
+// Semitones above C for the white keys and for the black keys with the white key they sit after
+const WHITE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+const BLACK_STEPS = [
+	{ step: 1, after: 0 },
+	{ step: 3, after: 1 },
+	{ step: 6, after: 3 },
+	{ step: 8, after: 4 },
+	{ step: 10, after: 5 },
+];
+
+// Computer-keyboard shortcuts in semitones above the lowest C: the A-row plays white keys, the row above the black keys
+const PIANO_SHORTCUTS = {
+	a: 0,
+	w: 1,
+	s: 2,
+	e: 3,
+	d: 4,
+	f: 5,
+	t: 6,
+	g: 7,
+	y: 8,
+	h: 9,
+	u: 10,
+	j: 11,
+	k: 12,
+	o: 13,
+	l: 14,
+	p: 15,
+	";": 16,
+	"'": 17,
+};
+
+const ROLE_CLASSES = ["root", "third", "fifth", "seventh", "sus", "sixth", "tension", "extra"].map((role) => `piano-key--${role}`);
+
+const lowestMidi = (startOctave) => Note.midi(`C${startOctave}`);
+
+const createKey = (midi, isBlack, shortcut) => {
+	const key = document.createElement("button");
+	key.type = "button";
+	key.className = `piano-key ${isBlack ? "piano-key--black" : "piano-key--white"}`;
+	key.dataset.midi = String(midi);
+	key.setAttribute("aria-pressed", "false");
+	key.setAttribute("aria-label", Note.fromMidi(midi));
+	if (shortcut) {
+		const hint = document.createElement("span");
+		hint.className = "piano-key__shortcut";
+		hint.textContent = shortcut.toUpperCase();
+		key.appendChild(hint);
+	}
+	return key;
+};
+
+/**
+ * Draw the keys of a piano into the container: two octaves from C3 by default.
+ * Keys are buttons with data-midi and show their computer-keyboard shortcut letter.
+ */
+const buildPiano = (container, { startOctave = DEFAULT_START_OCTAVE, octaves = DEFAULT_OCTAVES } = {}) => {
+	const start = lowestMidi(startOctave);
+	const whiteCount = octaves * WHITE_STEPS.length;
+	const shortcutFor = (midi) => Object.keys(PIANO_SHORTCUTS).find((key) => PIANO_SHORTCUTS[key] === midi - start);
+
+	container.innerHTML = "";
+	container.classList.add("piano");
+
+	for (let octave = 0; octave < octaves; octave += 1) {
+		WHITE_STEPS.forEach((step) => {
+			const midi = start + octave * 12 + step;
+			container.appendChild(createKey(midi, false, shortcutFor(midi)));
+		});
+		BLACK_STEPS.forEach(({ step, after }) => {
+			const midi = start + octave * 12 + step;
+			const key = createKey(midi, true, shortcutFor(midi));
+			// Centered on the line between two white keys
+			key.style.left = `${((octave * WHITE_STEPS.length + after + 1) / whiteCount) * 100}%`;
+			container.appendChild(key);
+		});
+	}
+};
+
+// Fold a note into the keyboard's range by octaves, so a chord voiced higher still lights up
+const foldIntoRange = (midi, first, last) => {
+	let folded = midi;
+	while (folded < first) folded += 12;
+	while (folded > last) folded -= 12;
+	return folded;
+};
+
+/**
+ * Light the keys: selected is a list of midi numbers that are held down, tones a list of { note, role }
+ * (notes with octave, roles as in detectChordsFromNotes) that get chord-tone colors.
+ */
+const setPianoKeys = (container, { selected = [], tones = [] } = {}) => {
+	const keys = [...container.querySelectorAll(".piano-key")];
+	if (!keys.length) {
+		return;
+	}
+	const first = Number(keys[0].dataset.midi);
+	const last = Math.max(...keys.map((key) => Number(key.dataset.midi)));
+	const held = new Set(selected);
+	const roles = new Map();
+	tones.forEach(({ note, role }) => {
+		const midi = Note.midi(note);
+		if (midi !== null) {
+			roles.set(foldIntoRange(midi, first, last), role ?? "extra");
+		}
+	});
+
+	keys.forEach((key) => {
+		const midi = Number(key.dataset.midi);
+		const isHeld = held.has(midi);
+		key.classList.remove(...ROLE_CLASSES);
+		if (roles.has(midi)) {
+			key.classList.add(`piano-key--${roles.get(midi)}`);
+		}
+		key.classList.toggle("is-held", isHeld);
+		key.setAttribute("aria-pressed", String(isHeld));
+	});
+};
+
+// Midi number for a shortcut letter, or null
+const getShortcutMidi = (letter, startOctave = DEFAULT_START_OCTAVE) => {
+	const offset = PIANO_SHORTCUTS[letter?.toLowerCase()];
+	return offset === undefined ? null : lowestMidi(startOctave) + offset;
+};
+
+// Name a key in the key signature with its octave: 61 → "C#4" in A major, "Db4" in Ab major
+const midiToNoteName = (midi, keyDefinition) => {
+	const pitchClass = spellNoteInKey(Note.pitchClass(Note.fromMidi(midi)), keyDefinition);
+	const octave = Math.floor(midi / 12) - 1;
+	// B# and Cb cross the octave line
+	const match = [octave, octave + 1, octave - 1].find((candidate) => Note.midi(`${pitchClass}${candidate}`) === midi);
+	return match === undefined ? Note.fromMidi(midi) : `${pitchClass}${match}`;
+};
+
+export { PIANO_SHORTCUTS, buildPiano, getShortcutMidi, midiToNoteName, setPianoKeys };
@@ -0,0 +1,106 @@
+import { beatsPerBar } from "./chord-utils.js";
+
+// Durations a chip can be set to, in beats; null follows the Beats setting
+const CHORD_BEATS = [1, 2, 3, 4, 5, 6, 7, 8, 12, 16];
+const MIN_BEATS = 1;
+const MAX_BEATS = 16;
+
+const readBeats = (value) => {
+	const beats = Number(value);
+	return value !== null && value !== "" && Number.isInteger(beats) && beats >= MIN_BEATS && beats <= MAX_BEATS ? beats : null;
+};
+
+// One progression entry: the chord symbol, its length in beats (null = the Beats setting) and whether a bar line follows it
+const createProgressionEntry = (symbol, { beats = null, barLine = false } = {}) => ({
+	symbol,
+	beats: readBeats(beats),
+	barLine: Boolean(barLine),
+});
+
+/**
+ * Read a stored progression: entries are kept, and plain symbol strings from before chords had durations
+ * become entries that follow the Beats setting. Anything without a symbol is dropped.
+ */
+const normalizeProgression = (stored) =>
+	(Array.isArray(stored) ? stored : [])
+		.map((item) => (typeof item === "string" ? createProgressionEntry(item) : item && createProgressionEntry(item.symbol, item)))
+		.filter((entry) => typeof entry?.symbol === "string" && entry.symbol);
+
+const getProgressionSymbols = (progression) => progression.map(({ symbol }) => symbol);
+
+// New symbols for the same chords (after transposing), keeping every duration and bar line
+const replaceSymbols = (progression, symbols) => progression.map((entry, index) => ({ ...entry, symbol: symbols[index] ?? entry.symbol }));
+
+/**
+ * Replace or insert chords like applyReharmonization, on entries: replaced chords hand their durations and
+ * bar lines to the chords that take their place, in order; any further inserted chord follows the Beats setting.
+ */
+const spliceProgression = (progression, { start, remove, insert }) => {
+	const replaced = progression.slice(start, start + remove);
+	const entries = insert.map((symbol, offset) =>
+		replaced[offset] ? { ...replaced[offset], symbol } : createProgressionEntry(symbol),
+	);
+	// A bar line after the last replaced chord stays at the end of the new group
+	if (replaced.length > insert.length && replaced[replaced.length - 1].barLine && entries.length) {
+		entries[entries.length - 1].barLine = true;
+	}
+	const result = [...progression];
+	result.splice(start, remove, ...entries);
+	return result;
+};
+
+// Split a bar's beats between its chords, earlier chords taking the remainder: 4 beats, 3 chords → 2 1 1
+const shareBar = (barLength, count) =>
+	Array.from({ length: count }, (_, index) => Math.floor(barLength / count) + (index < barLength % count ? 1 : 0));
+
+// A bar with more chords than beats is written as several full bars, so no bar runs past its length:
+// 5 chords in 4/4 → 3 chords, then 2
+const splitCrowdedBar = (barLength, indexes) => {
+	let start = 0;
+	return shareBar(indexes.length, Math.ceil(indexes.length / barLength)).map((count) => {
+		start += count;
+		return indexes.slice(start - count, start);
+	});
+};
+
+/**
+ * Entries for an imported chart. When the chart has bars (marks[i].bar, from bar lines or a Nashville chart),
+ * the chords of a bar share its beats in the meter and a bar line closes it; otherwise every chord follows
+ * the Beats setting, except diamonds, which are held for a whole bar of their own.
+ * Pushes are not moved: entries last whole beats, so an eighth-note anticipation cannot be written.
+ */
+const progressionFromChart = ({ chords, marks = [] }, meter = "4/4") => {
+	const entries = chords.map((symbol) => createProgressionEntry(symbol));
+	const barLength = beatsPerBar(meter);
+	const bars = new Map();
+	marks.forEach((mark, index) => {
+		if (Number.isInteger(mark?.bar) && entries[index]) {
+			bars.set(mark.bar, [...(bars.get(mark.bar) ?? []), index]);
+		}
+	});
+	bars.forEach((indexes) => {
+		splitCrowdedBar(barLength, indexes).forEach((group) => {
+			shareBar(barLength, group.length).forEach((beats, offset) => {
+				entries[group[offset]].beats = readBeats(beats);
+			});
+			entries[group[group.length - 1]].barLine = true;
+		});
+	});
+	marks.forEach((mark, index) => {
+		if (mark?.diamond && !Number.isInteger(mark.bar) && entries[index]) {
+			entries[index].beats = readBeats(barLength);
+			entries[index].barLine = true;
+		}
+	});
+	return entries;
+};
+
+export {
+	CHORD_BEATS,
+	createProgressionEntry,
+	getProgressionSymbols,
+	normalizeProgression,
+	progressionFromChart,
+	replaceSymbols,
+	spliceProgression,
+};
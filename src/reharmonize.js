@@ -0,0 +1,163 @@
+import { Chord, Note, Scale } from "tonal";
+import { buildScaleChord, parseSlashChord, sanitizeChordInput } from "./chord-utils.js";
+import { analyzeChordFunction } from "./chord-function.js";
+
+const REHARMONIZATION_TYPES = {
+	tritone: "三全音代理",
+	"two-five": "插入 ii–V",
+	"related-two": "插入相關 ii",
+	third: "三度代理",
+	backdoor: "後門 ii–V",
+	interchange: "調式互換",
+};
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+const above = (root, interval) => Note.simplify(Note.transpose(root, interval));
+
+const readChord = (symbol) => {
+	const { chord } = parseSlashChord(sanitizeChordInput(symbol ?? ""));
+	const data = Chord.get(chord);
+	if (data.empty || !data.tonic) {
+		return null;
+	}
+	const has = (...intervals) => intervals.some((interval) => data.intervals.includes(interval));
+	return {
+		root: data.tonic,
+		suffix: chord.slice(data.tonic.length),
+		hasSeventh: has("7m", "7M", "7d"),
+		isMajor: has("3M") && !has("5A", "5d"),
+		isMinor: has("3m") && !has("5d"),
+		isDominant: has("3M") && has("7m"),
+		chromas: data.notes.map(chromaOf).sort((a, b) => a - b).join(","),
+	};
+};
+
+const isMinorDegree = (scale, degree) => (chromaOf(scale[(degree + 1) % 7]) - chromaOf(scale[degree - 1]) + 12) % 12 === 3;
+
+const getParallelScale = (keyDefinition) => {
+	const tonic = keyDefinition.scale[0];
+	return Scale.get(`${tonic} ${isMinorDegree(keyDefinition.scale, 1) ? "major" : "minor"}`).notes;
+};
+
+// Scale the third substitutes come from: a dominant in a minor key keeps its raised leading tone (G#°7 for E7 in A minor)
+const getSubstituteScale = (chord, keyDefinition) =>
+	chord.isDominant && isMinorDegree(keyDefinition.scale, 1) ? Scale.get(`${keyDefinition.scale[0]} harmonic minor`).notes : keyDefinition.scale;
+
+// Whether a dominant resolves to a minor chord: the next chord decides when it is the target, otherwise the degree it points at
+const resolvesToMinor = (chord, next, analysis, keyDefinition) => {
+	if (next && (chromaOf(next.root) - chromaOf(chord.root) + 12) % 12 === 5) {
+		return next.isMinor;
+	}
+	const target = analysis?.function === "secondary-dominant" ? analysis.targetsDegree : analysis?.function === "dominant" ? 1 : null;
+	return Boolean(target) && keyDefinition.scale.length === 7 && isMinorDegree(keyDefinition.scale, target);
+};
+
+const isDominantOf = (candidate, target) => candidate?.isDominant && (chromaOf(candidate.root) - chromaOf(target.root) + 12) % 12 === 7;
+
+const isRelatedTwoOf = (candidate, dominant) =>
+	candidate && !candidate.isMajor && (chromaOf(candidate.root) - chromaOf(dominant.root) + 12) % 12 === 7;
+
+// Candidate edits for one chord, before labels: { type, start, remove, insert }
+const collectEdits = (progression, index, keyDefinition, analysis) => {
+	const chord = readChord(progression[index]);
+	if (!chord) {
+		return [];
+	}
+	const previous = readChord(progression[index - 1]);
+	const edits = [];
+
+	// Tritone substitution: any dominant, or a plain V triad made into subV7
+	if (chord.isDominant || (chord.isMajor && ["dominant", "secondary-dominant"].includes(analysis?.function))) {
+		edits.push({ type: "tritone", start: index, remove: 1, insert: [`${above(chord.root, "5d")}${chord.isDominant ? chord.suffix : "7"}`] });
+	}
+
+	// ii–V into a major or minor target that is not already approached by its dominant
+	if ((chord.isMajor || chord.isMinor) && !chord.isDominant && !isDominantOf(previous, chord)) {
+		const two = `${above(chord.root, "2M")}${chord.isMinor ? "m7b5" : "m7"}`;
+		edits.push({ type: "two-five", start: index, remove: 0, insert: [two, `${above(chord.root, "5P")}7`] });
+	}
+
+	// A dominant without its ii gets one, half-diminished when it resolves to a minor chord
+	if (chord.isDominant && !isRelatedTwoOf(previous, chord)) {
+		const suffix = resolvesToMinor(chord, readChord(progression[index + 1]), analysis, keyDefinition) ? "m7b5" : "m7";
+		edits.push({ type: "related-two", start: index, remove: 0, insert: [`${above(chord.root, "5P")}${suffix}`] });
+	}
+
+	// Diatonic chords a third above and below share two notes with the original
+	const degree = analysis?.scaleDegree;
+	const isDiatonic = degree && !analysis.altered && ["tonic", "subdominant", "dominant"].includes(analysis.function);
+	if (isDiatonic) {
+		const scale = getSubstituteScale(chord, keyDefinition);
+		[degree + 2, degree + 5].forEach((target) => {
+			const substitute = buildScaleChord(scale, ((target - 1) % 7) + 1, chord.hasSeventh);
+			if (substitute) {
+				edits.push({ type: "third", start: index, remove: 1, insert: [substitute] });
+			}
+		});
+	}
+
+	// Backdoor ii–V (iv7 bVII7) into a major chord; it replaces the dominant when one is already there
+	if (chord.isMajor && !chord.isDominant) {
+		const backdoor = [`${above(chord.root, "4P")}m7`, `${above(chord.root, "7m")}7`];
+		const replacesDominant = isDominantOf(previous, chord);
+		edits.push({ type: "backdoor", start: replacesDominant ? index - 1 : index, remove: replacesDominant ? 1 : 0, insert: backdoor });
+	}
+
+	// Modal interchange: the same degree from the parallel major or minor
+	if (isDiatonic) {
+		const swapped = buildScaleChord(getParallelScale(keyDefinition), degree, chord.hasSeventh);
+		if (swapped && readChord(swapped)?.chromas !== chord.chromas) {
+			edits.push({ type: "interchange", start: index, remove: 1, insert: [swapped] });
+		}
+	}
+
+	return edits;
+};
+
+/**
+ * Replace or insert chords in a progression: returns a new array with suggestion.remove chords taken out at
+ * suggestion.start and suggestion.insert put in their place.
+ */
+const applyReharmonization = (progression, { start, remove, insert }) => {
+	const result = [...progression];
+	result.splice(start, remove, ...insert);
+	return result;
+};
+
+/**
+ * Reharmonization ideas for the chord at index, from the key and the chord's function: tritone substitution,
+ * ii–V (or the related ii) before targets, diatonic third substitution, backdoor ii–V and modal interchange.
+ * Each suggestion is { type, label, start, remove, insert, chords }, where chords label every inserted chord with
+ * analyzeChordFunction in the edited progression; apply it with applyReharmonization.
+ */
+const suggestReharmonizations = (progression, index, keyDefinition) => {
+	if (!keyDefinition || !progression?.[index]) {
+		return [];
+	}
+	const analysis = analyzeChordFunction(progression[index], keyDefinition, {
+		previous: progression[index - 1] ?? null,
+		next: progression[index + 1] ?? null,
+	});
+	const seen = new Set();
+
+	return collectEdits(progression, index, keyDefinition, analysis)
+		.filter(({ start, remove, insert }) => {
+			const key = `${start}:${remove}:${insert.join(" ")}`;
+			return !seen.has(key) && seen.add(key);
+		})
+		.map((edit) => {
+			const edited = applyReharmonization(progression, edit);
+			const chords = edit.insert.map((symbol, offset) => {
+				const position = edit.start + offset;
+				const labeled = analyzeChordFunction(symbol, keyDefinition, {
+					previous: edited[position - 1] ?? null,
+					next: edited[position + 1] ?? null,
+				});
+				return { symbol, roman: labeled?.roman ?? null, function: labeled?.function ?? null, color: labeled?.color ?? null };
+			});
+			return { ...edit, label: REHARMONIZATION_TYPES[edit.type], chords };
+		});
+};
+
+export { REHARMONIZATION_TYPES, applyReharmonization, suggestReharmonizations };
@@ -0,0 +1,200 @@
+import { Chord, Note, Scale } from "tonal";
+
+const NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+// Accidental, numeral (upper = major third, lower = minor third) and everything after it
+const ROMAN_TOKEN = /^([b#]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(.*)$/;
+// "/V", "/bVI", "/V/V": a secondary target always starts with a numeral, figures like 6/5 with a digit
+const SECONDARY_TARGET = /^(.*?)\/([b#]?[IViv].*)$/;
+const AUGMENTED_SIXTH = /^(It|Fr|Ger)\+?6$/;
+const TRITONE_SUBSTITUTE = /^subV(.*?)(?:\/(.+))?$/;
+const COMMON_TONE_DIMINISHED = /^ct(°|o|dim)7$/;
+const NEAPOLITAN = /^N(6?)$/;
+
+// Separators between tokens in a typed line
+const TOKEN_SEPARATOR = /[\s,|]+/;
+const IGNORED_TOKEN = /^(-|–|→|->)$/;
+
+// Seventh-chord figures replace the 7 (V6/5 = V7 over its third); triad figures follow the quality
+const SEVENTH_FIGURES = [
+	{ pattern: /6\/?5/, inversion: 1 },
+	{ pattern: /4\/?3/, inversion: 2 },
+	{ pattern: /4\/?2|^2$/, inversion: 3 },
+];
+const TRIAD_FIGURES = [
+	{ pattern: /6\/?4$/, inversion: 2 },
+	{ pattern: /(?<!add)6$/, inversion: 1 },
+];
+
+// Quality marks that decide the triad on their own, with the tonal suffix they stand for
+const QUALITY_MARKS = [
+	{ pattern: /^(ø|%)7?/, suffix: "m7b5" },
+	{ pattern: /^(°|o|dim)7/, suffix: "dim7" },
+	{ pattern: /^(°|o|dim)/, suffix: "dim" },
+	{ pattern: /^(\+|aug)maj7/, suffix: "maj7#5" },
+	{ pattern: /^(\+|aug)7/, suffix: "7#5" },
+	{ pattern: /^(\+|aug)/, suffix: "aug" },
+];
+
+const isUpper = (numeral) => numeral === numeral.toUpperCase();
+
+// Split the figure off the quality: "V6/5(b9)" → quality "7(b9)", inversion 1
+const readFigure = (rest) => {
+	const seventh = SEVENTH_FIGURES.find(({ pattern }) => pattern.test(rest));
+	if (seventh) {
+		return { quality: rest.replace(seventh.pattern, "7"), inversion: seventh.inversion };
+	}
+	const triad = TRIAD_FIGURES.find(({ pattern }) => pattern.test(rest));
+	if (triad) {
+		return { quality: rest.replace(triad.pattern, ""), inversion: triad.inversion };
+	}
+	return { quality: rest, inversion: 0 };
+};
+
+// Roman-numeral quality text (as written by analyzeChordFunction) → tonal chord suffix
+const toChordSuffix = (quality, upper) => {
+	const mark = QUALITY_MARKS.find(({ pattern }) => pattern.test(quality));
+	const rest = (mark ? quality.replace(mark.pattern, "") : quality)
+		.replace(/add6\/9/, "69")
+		.replace(/add6/, "6")
+		.replace(/[(),]/g, "");
+	if (mark) {
+		return `${mark.suffix}${rest}`;
+	}
+	return upper ? rest : `m${rest.replace(/^maj/, "Maj")}`;
+};
+
+// Root of a degree; "b" and "#" alter the scale's own note, like the numerals analyzeChordFunction writes
+// (#iii is F#m in D Dorian, bIV is F in C Lydian)
+const getDegreeRoot = (degree, accidental, scale) => {
+	const note = scale[degree - 1];
+	if (!accidental) {
+		return note;
+	}
+	return Note.transpose(note, accidental === "b" ? "-1A" : "1A");
+};
+
+const getMajorScale = (scale) => Scale.get(`${scale[0]} major`).notes;
+
+// Scale a chord is realized against: the key, or the key a secondary target tonicizes
+const getTonicizedScale = (target, keyDefinition) => {
+	if (!target) {
+		return keyDefinition.scale;
+	}
+	const realized = realizeRoman(target, keyDefinition);
+	if (!realized) {
+		return null;
+	}
+	return Scale.get(`${realized.root} ${realized.upper ? "major" : "harmonic minor"}`).notes;
+};
+
+const withInversion = (root, suffix, inversion) => {
+	const chord = `${root}${suffix}`;
+	const data = Chord.get(chord);
+	if (data.empty) {
+		return null;
+	}
+	const bass = inversion ? data.notes[inversion] : null;
+	if (inversion && !bass) {
+		return null;
+	}
+	return { chord, bass, notes: data.notes };
+};
+
+// Chromatic chords analyzeChordFunction names without a plain numeral
+const realizeChromatic = (token, keyDefinition) => {
+	const scale = keyDefinition.scale;
+	const augmentedSixth = token.match(AUGMENTED_SIXTH);
+	if (augmentedSixth) {
+		// Augmented sixths and N6 are named from the major scale in every mode
+		const flatSix = getDegreeRoot(6, "b", getMajorScale(scale));
+		const type = augmentedSixth[1];
+		if (type === "Fr") {
+			const french = withInversion(getDegreeRoot(2, "", getMajorScale(scale)), "7b5", 0);
+			return french && { ...french, bass: flatSix };
+		}
+		return withInversion(flatSix, type === "It" ? "7no5" : "7", 0);
+	}
+	const substitute = token.match(TRITONE_SUBSTITUTE);
+	if (substitute) {
+		const target = substitute[2] ? realizeRoman(substitute[2], keyDefinition)?.root : scale[0];
+		return target ? withInversion(Note.transpose(target, "2m"), toChordSuffix(substitute[1], true), 0) : null;
+	}
+	if (COMMON_TONE_DIMINISHED.test(token)) {
+		return withInversion(Note.transpose(scale[0], "2A"), "dim7", 0);
+	}
+	return null;
+};
+
+const realizeRoman = (token, keyDefinition) => {
+	const chromatic = realizeChromatic(token, keyDefinition);
+	if (chromatic) {
+		return { ...chromatic, root: Chord.get(chromatic.chord).tonic, upper: true };
+	}
+
+	const neapolitan = token.match(NEAPOLITAN);
+	const source = neapolitan ? `bII${neapolitan[1]}` : token;
+	const [, head, target] = source.match(SECONDARY_TARGET) ?? [null, source, null];
+	const match = head.match(ROMAN_TOKEN);
+	const scale = neapolitan ? getMajorScale(keyDefinition.scale) : getTonicizedScale(target, keyDefinition);
+	if (!match || !scale || scale.length !== 7) {
+		return null;
+	}
+
+	const [, accidental, numeral, rest] = match;
+	const degree = NUMERALS.indexOf(numeral.toUpperCase()) + 1;
+	const upper = isUpper(numeral);
+	const { quality, inversion } = readFigure(rest);
+	const suffix = toChordSuffix(quality, upper);
+	let root = getDegreeRoot(degree, accidental, scale);
+	// Minor keys raise the leading tone under vii° and viiø (G#dim7 in A minor); modes keep their own seventh degree
+	const tonicChroma = Note.get(scale[0]).chroma;
+	const isMinorKey = keyDefinition.mode === "minor";
+	if (isMinorKey && !accidental && degree === 7 && /^(m7b5|dim)/.test(suffix) && (Note.get(root).chroma - tonicChroma + 12) % 12 === 10) {
+		root = Note.transpose(root, "1A");
+	}
+
+	const realized = withInversion(root, suffix, inversion);
+	return realized ? { ...realized, root, upper } : null;
+};
+
+/**
+ * Turn one Roman numeral into a chord in the key: "ii7" → Dm7, "V6/5/V" → D7/F#, "bVII" → Bb in C major.
+ * Reads the numerals analyzeChordFunction writes, so the two round-trip: quality suffixes (7, maj7, ø7, °7, +,
+ * sus4, add6, (b9)), inversion figures (6, 6/4, 6/5, 4/3, 4/2), secondary targets (V7/V, vii°7/ii),
+ * borrowed accidentals on the key's own degrees (bVI, bVII7 in major, #iii in Dorian), N6, It+6 / Fr+6 / Ger+6,
+ * subV7 and ct°7.
+ * Returns { roman, symbol, notes, bass } or null when the token cannot be read.
+ */
+const realizeRomanNumeral = (token, keyDefinition) => {
+	const roman = typeof token === "string" ? token.trim() : "";
+	if (!roman || !keyDefinition?.scale) {
+		return null;
+	}
+	const realized = realizeRoman(roman, keyDefinition);
+	if (!realized) {
+		return null;
+	}
+	const { chord, bass, notes } = realized;
+	return { roman, symbol: bass ? `${chord}/${bass}` : chord, notes, bass };
+};
+
+/**
+ * Realize a typed line such as "ii7 V7 Imaj7" or "I vi IV V/V V" in the key.
+ * Returns { chords, unparsed }: chords in order, unparsed lists the tokens that could not be read.
+ */
+const parseRomanProgression = (text, keyDefinition) => {
+	const tokens = (typeof text === "string" ? text : "").split(TOKEN_SEPARATOR).filter((token) => token && !IGNORED_TOKEN.test(token));
+	const result = { chords: [], unparsed: [] };
+	tokens.forEach((token) => {
+		const chord = realizeRomanNumeral(token, keyDefinition);
+		if (chord) {
+			result.chords.push(chord);
+		} else {
+			result.unparsed.push(token);
+		}
+	});
+	return result;
+};
+
+export { parseRomanProgression, realizeRomanNumeral };
@@ -0,0 +1,193 @@
+import { Chord, Note } from "tonal";
+import { KEY_MODES, parseSlashChord, sanitizeChordInput } from "./chord-utils.js";
+import { DEFAULT_TEMPO } from "./audio-player.js";
+import { detectKey } from "./key-detection.js";
+import { getProgressionSymbols, normalizeProgression } from "./progression.js";
+
+const UNTITLED = "未命名";
+const COPY_SUFFIX = "（副本）";
+
+// Tags are typed in one field: "jazz, 練習、ballad"; a tag may start with "#" and may hold "#" and spaces ("F#m blues")
+const TAG_SEPARATORS = /[,，、\n]+/;
+
+const createSongId = () =>
+	globalThis.crypto?.randomUUID?.() ?? `song-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const toTimestamp = (now) => new Date(now).toISOString();
+
+const readText = (value) => (typeof value === "string" ? value.trim() : "");
+
+const readTag = (value) => readText(value).replace(/^#+\s*/, "");
+
+const readTempo = (value) => {
+	const tempo = Number(value);
+	return Number.isFinite(tempo) && tempo > 0 ? Math.round(tempo) : DEFAULT_TEMPO;
+};
+
+// Unique tags in the order typed; "Jazz" and "jazz" are one tag and the first spelling is kept
+const parseTags = (input) => {
+	const tags = (Array.isArray(input) ? input : readText(input).split(TAG_SEPARATORS)).map(readTag).filter(Boolean);
+	const seen = new Set();
+	return tags.filter((tag) => {
+		const key = tag.toLowerCase();
+		return !seen.has(key) && seen.add(key);
+	});
+};
+
+/**
+ * A saved song: the progression entries with a title, key, mode, tempo, tags, notes and ISO timestamps.
+ * now (milliseconds) sets both timestamps; an empty title reads as "未命名".
+ */
+const createSong = (
+	progression,
+	{ id = createSongId(), title = "", keyRoot = "C", keyMode = "major", tempo = DEFAULT_TEMPO, tags = [], notes = "", now = Date.now() } = {},
+) => ({
+	id,
+	title: readText(title) || UNTITLED,
+	keyRoot,
+	keyMode: KEY_MODES.some((mode) => mode.id === keyMode) ? keyMode : "major",
+	tempo: readTempo(tempo),
+	tags: parseTags(tags),
+	notes: typeof notes === "string" ? notes.trim() : "",
+	progression: normalizeProgression(progression).map((entry) => ({ ...entry })),
+	createdAt: toTimestamp(now),
+	updatedAt: toTimestamp(now),
+});
+
+const readTime = (value, fallback) => (Number.isNaN(Date.parse(value)) ? fallback : toTimestamp(Date.parse(value)));
+
+// One stored song, or null when it is not a song; missing fields take their defaults
+const normalizeSong = (stored, now = Date.now()) => {
+	if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+		return null;
+	}
+	const song = createSong(stored.progression, { ...stored, id: readText(stored.id) || createSongId(), now });
+	const createdAt = readTime(stored.createdAt, song.createdAt);
+	return { ...song, keyRoot: readText(stored.keyRoot) || "C", createdAt, updatedAt: readTime(stored.updatedAt, createdAt) };
+};
+
+const normalizeLibrary = (stored, now = Date.now()) =>
+	(Array.isArray(stored) ? stored : []).map((song) => normalizeSong(song, now)).filter(Boolean);
+
+/**
+ * Songs for the progressions of the old 20-item history, titled "進程 1", "進程 2"… newest first as they were stored.
+ * Each gets the key detectKey finds for it, or fallback.keyRoot / fallback.keyMode for a single chord; timestamps
+ * step back a second per entry so the library keeps the history's order.
+ */
+const migrateProgressionHistory = (history, { keyRoot = "C", keyMode = "major", tempo = DEFAULT_TEMPO, now = Date.now() } = {}) =>
+	(Array.isArray(history) ? history : [])
+		.map(normalizeProgression)
+		.filter((progression) => progression.length)
+		.map((progression, index) => {
+			const symbols = getProgressionSymbols(progression);
+			const [detected] = symbols.length >= 2 ? detectKey(symbols, { limit: 1 }) : [];
+			return createSong(progression, {
+				title: `進程 ${index + 1}`,
+				keyRoot: detected?.id ?? keyRoot,
+				keyMode: detected?.mode ?? keyMode,
+				tempo,
+				now: now - index * 1000,
+			});
+		});
+
+// Changed fields of a song, cleaned like createSong, with updatedAt moved to now; the id and createdAt never change
+const updateSong = (song, changes, { now = Date.now() } = {}) => {
+	const next = { ...song };
+	if ("title" in changes) next.title = readText(changes.title) || song.title;
+	if ("keyRoot" in changes) next.keyRoot = changes.keyRoot;
+	if ("keyMode" in changes) next.keyMode = changes.keyMode;
+	if ("tempo" in changes) next.tempo = readTempo(changes.tempo);
+	if ("tags" in changes) next.tags = parseTags(changes.tags);
+	if ("notes" in changes) next.notes = readText(changes.notes);
+	if ("progression" in changes) next.progression = normalizeProgression(changes.progression).map((entry) => ({ ...entry }));
+	return { ...next, updatedAt: toTimestamp(now) };
+};
+
+const renameSong = (song, title, options) => updateSong(song, { title }, options);
+
+// A copy with a new id and fresh timestamps, titled "…（副本）"
+const duplicateSong = (song, { now = Date.now() } = {}) =>
+	createSong(song.progression, { ...song, id: createSongId(), title: `${song.title}${COPY_SUFFIX}`, now });
+
+// Most recently updated first
+const sortSongs = (songs) => [...songs].sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+
+const getSongKeyId = (song) => `${song.keyRoot} ${song.keyMode}`;
+
+// "C major", "D Dorian"
+const formatSongKey = (song) => `${song.keyRoot} ${KEY_MODES.find((mode) => mode.id === song.keyMode)?.name ?? song.keyMode}`;
+
+// Filter choices: every tag and every key in the library, as { id, label }
+const getLibraryTags = (songs) =>
+	parseTags(songs.flatMap((song) => song.tags))
+		.sort((a, b) => a.localeCompare(b))
+		.map((tag) => ({ id: tag, label: tag }));
+
+const getLibraryKeys = (songs) => {
+	const keys = new Map(songs.map((song) => [getSongKeyId(song), formatSongKey(song)]));
+	return [...keys.entries()].sort((a, b) => a[1].localeCompare(b[1])).map(([id, label]) => ({ id, label }));
+};
+
+// Root and pitch classes of a chord without its bass note, so "Bb7" finds "A#7" and "C" finds "C/E"
+const readChordSound = (symbol) => {
+	const data = Chord.get(parseSlashChord(sanitizeChordInput(symbol ?? "")).chord);
+	if (data.empty || !data.tonic) {
+		return null;
+	}
+	const chromas = data.notes.map((note) => Note.get(note).chroma).sort((a, b) => a - b);
+	return `${Note.get(data.tonic).chroma}:${chromas.join(",")}`;
+};
+
+// A chord the filter reads matches by sound; anything else matches as text inside a symbol
+const hasChord = (song, query) => {
+	const sound = readChordSound(query);
+	const symbols = getProgressionSymbols(song.progression);
+	if (sound) {
+		return symbols.some((symbol) => readChordSound(symbol) === sound);
+	}
+	const text = query.toLowerCase();
+	return symbols.some((symbol) => symbol.toLowerCase().includes(text));
+};
+
+// Every word of the search must appear in the title, a tag or the notes
+const matchesQuery = (song, query) => {
+	const haystack = [song.title, ...song.tags, song.notes].join("\n").toLowerCase();
+	return query
+		.toLowerCase()
+		.split(/\s+/)
+		.filter(Boolean)
+		.every((word) => haystack.includes(word));
+};
+
+/**
+ * Songs that pass every filter that is set: query searches titles, tags and notes; tag is one tag (any case);
+ * key is an id from getLibraryKeys; chord is a chord the progression must contain, compared by sound.
+ * The library order is kept.
+ */
+const filterSongs = (songs, { query = "", tag = "", key = "", chord = "" } = {}) => {
+	const tagKey = readText(tag).toLowerCase();
+	const chordQuery = readText(chord);
+	return songs.filter(
+		(song) =>
+			matchesQuery(song, query) &&
+			(!tagKey || song.tags.some((item) => item.toLowerCase() === tagKey)) &&
+			(!key || getSongKeyId(song) === key) &&
+			(!chordQuery || hasChord(song, chordQuery)),
+	);
+};
+
+export {
+	createSong,
+	duplicateSong,
+	filterSongs,
+	formatSongKey,
+	getLibraryKeys,
+	getLibraryTags,
+	getSongKeyId,
+	migrateProgressionHistory,
+	normalizeLibrary,
+	parseTags,
+	renameSong,
+	sortSongs,
+	updateSong,
+};
@@ -0,0 +1,39 @@
+import { Note } from "tonal";
+import { parseSlashChord, sanitizeChordInput, spellNoteInKey } from "./chord-utils.js";
+
+const CHORD_ROOT = /^([A-Ga-g][#b]*)(.*)$/;
+
+const chromaOf = (note) => Note.get(note).chroma;
+
+// Move a note by semitones and spell it in the target key
+const shiftNote = (note, semitones, keyDefinition) => {
+	const chroma = chromaOf(note);
+	if (chroma === null || chroma === undefined) {
+		return note;
+	}
+	const name = Note.fromMidi(60 + ((chroma + semitones + 12) % 12));
+	return spellNoteInKey(name, keyDefinition);
+};
+
+/**
+ * Transpose one chord symbol from one key definition to another.
+ * The root and slash bass move by the interval between the two tonics and are respelled with
+ * spellNoteInKey against the target key; the quality part (m7b5, sus4, 13...) is kept as written.
+ * Symbols without a readable root are returned unchanged.
+ */
+const transposeChordSymbol = (symbol, fromKey, toKey) => {
+	const { chord, bass } = parseSlashChord(sanitizeChordInput(symbol ?? ""));
+	const match = chord.match(CHORD_ROOT);
+	if (!match || Note.get(match[1]).empty || !fromKey || !toKey) {
+		return symbol;
+	}
+	const semitones = chromaOf(toKey.scale[0]) - chromaOf(fromKey.scale[0]);
+	const root = shiftNote(match[1], semitones, toKey);
+	const bassSuffix = bass ? `/${shiftNote(bass, semitones, toKey)}` : "";
+	return `${root}${match[2]}${bassSuffix}`;
+};
+
+const transposeProgression = (progression, fromKey, toKey) =>
+	(progression ?? []).map((symbol) => transposeChordSymbol(symbol, fromKey, toKey));
+
+export { transposeChordSymbol, transposeProgression };
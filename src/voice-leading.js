@@ -0,0 +1,175 @@
+import { Note } from "tonal";
+import { DEFAULT_VOICING, STACKED_TYPES, getVoicingRange, voiceChord } from "./voicing.js";
+
+// Voicing types the optimizer may switch between for each starting type
+const VOICING_FAMILIES = {
+	close: ["close", "drop2"],
+	open: ["open", "close"],
+	drop2: ["drop2", "close"],
+	drop3: ["drop3", "drop2"],
+	shell: ["shell"],
+	"rootless-a": ["rootless-a", "rootless-b"],
+	"rootless-b": ["rootless-b", "rootless-a"],
+};
+
+const PARALLEL_PENALTY = 12;
+const TYPE_CHANGE_PENALTY = 1;
+const OUT_OF_RANGE_PENALTY = 6;
+
+const toMidiList = (notes) => notes.map((note) => Note.midi(note)).filter((midi) => midi !== null);
+
+const transposeOctaves = (notes, octaves) =>
+	octaves === 0 ? notes : notes.map((note) => Note.transpose(note, octaves > 0 ? "8P" : "-8P"));
+
+// Pair every voice of the next chord with a voice of the previous one.
+// Equal-sized chords pair bottom to top; otherwise each voice takes its nearest neighbour.
+const pairVoices = (previous, next) => {
+	if (previous.length === next.length) {
+		return next.map((midi, index) => [previous[index], midi]);
+	}
+	return next.map((midi) => {
+		const nearest = previous.reduce((best, candidate) =>
+			Math.abs(candidate - midi) < Math.abs(best - midi) ? candidate : best,
+		);
+		return [nearest, midi];
+	});
+};
+
+// Total semitone movement between two voicings
+const measureMovement = (previousNotes, nextNotes) => {
+	const previous = toMidiList(previousNotes);
+	const next = toMidiList(nextNotes);
+	if (!previous.length || !next.length) {
+		return 0;
+	}
+	return pairVoices(previous, next).reduce((sum, [from, to]) => sum + Math.abs(to - from), 0);
+};
+
+// Count voice pairs that move in parallel perfect fifths or octaves (unisons included)
+const countParallelPerfects = (previousNotes, nextNotes) => {
+	const previous = toMidiList(previousNotes);
+	const next = toMidiList(nextNotes);
+	if (!previous.length || !next.length) {
+		return 0;
+	}
+	const pairs = pairVoices(previous, next);
+	let count = 0;
+	for (let i = 0; i < pairs.length; i += 1) {
+		for (let j = i + 1; j < pairs.length; j += 1) {
+			const [lowFrom, lowTo] = pairs[i];
+			const [highFrom, highTo] = pairs[j];
+			if (lowFrom === lowTo || highFrom === highTo) {
+				continue;
+			}
+			const before = Math.abs(highFrom - lowFrom) % 12;
+			const after = Math.abs(highTo - lowTo) % 12;
+			const sameDirection = Math.sign(lowTo - lowFrom) === Math.sign(highTo - highFrom);
+			if (sameDirection && before === after && (before === 0 || before === 7)) {
+				count += 1;
+			}
+		}
+	}
+	return count;
+};
+
+// Every voicing the optimizer may pick for one chord: family types, inversions and octave shifts
+const buildCandidates = (chord, startType, range) => {
+	const types = VOICING_FAMILIES[startType] ?? [startType];
+	const candidates = [];
+	types.forEach((type) => {
+		const inversions = STACKED_TYPES.includes(type) && !chord.bass ? chord.notes.map((_, index) => index) : [0];
+		inversions.forEach((inversion) => {
+			const base = voiceChord(chord, { type, range, inversion });
+			if (!base.length) {
+				return;
+			}
+			[-1, 0].forEach((octaves) => {
+				candidates.push({ notes: transposeOctaves(base, octaves), type, inversion });
+			});
+		});
+	});
+	return candidates;
+};
+
+const rangePenalty = (notes, range) => {
+	const { low, high } = getVoicingRange(range);
+	const midi = toMidiList(notes);
+	if (!midi.length) {
+		return 0;
+	}
+	const lowest = Math.min(...midi);
+	const highest = Math.max(...midi);
+	const below = Math.max(0, Note.midi(low) - 12 - lowest);
+	const above = Math.max(0, highest - Note.midi(high));
+	return below || above ? OUT_OF_RANGE_PENALTY + below + above : 0;
+};
+
+const transitionCost = (previous, next, range) =>
+	measureMovement(previous.notes, next.notes) +
+	countParallelPerfects(previous.notes, next.notes) * PARALLEL_PENALTY +
+	(previous.type === next.type ? 0 : TYPE_CHANGE_PENALTY) +
+	rangePenalty(next.notes, range);
+
+/**
+ * Voice a progression so each chord moves as little as possible from the one before it.
+ * chords: [{ notes, intervals, bass }] as accepted by voiceChord
+ * voicing: { type, range } for the first chord; later chords may change inversion and related voicing type
+ * Returns [{ notes, type, inversion, movement, parallels }], one entry per chord.
+ */
+const leadVoices = (chords, voicing = DEFAULT_VOICING) => {
+	const { type = DEFAULT_VOICING.type, range = DEFAULT_VOICING.range } = voicing;
+	if (!chords.length) {
+		return [];
+	}
+
+	const first = { notes: voiceChord(chords[0], { type, range }), type, inversion: 0 };
+	// Viterbi over candidate voicings: layers[i] holds { candidate, cost, from } per option
+	const layers = [[{ candidate: first, cost: 0, from: null }]];
+
+	chords.slice(1).forEach((chord) => {
+		const previousLayer = layers[layers.length - 1];
+		const candidates = buildCandidates(chord, type, range);
+		const layer = candidates.map((candidate) => {
+			let best = { cost: Infinity, from: null };
+			previousLayer.forEach((entry, index) => {
+				const cost = entry.cost + transitionCost(entry.candidate, candidate, range);
+				if (cost < best.cost) {
+					best = { cost, from: index };
+				}
+			});
+			return { candidate, ...best };
+		});
+		if (layer.length) {
+			layers.push(layer);
+			return;
+		}
+		// An unparsable chord keeps the cheapest path alive with an empty voicing
+		const from = previousLayer.reduce(
+			(bestIndex, entry, i) => (entry.cost < previousLayer[bestIndex].cost ? i : bestIndex),
+			0,
+		);
+		layers.push([{ candidate: { notes: [], type, inversion: 0 }, cost: previousLayer[from].cost, from }]);
+	});
+
+	const path = [];
+	let index = layers[layers.length - 1].reduce(
+		(bestIndex, entry, i, entries) => (entry.cost < entries[bestIndex].cost ? i : bestIndex),
+		0,
+	);
+	for (let i = layers.length - 1; i >= 0; i -= 1) {
+		const entry = layers[i][index];
+		path.unshift(entry.candidate);
+		index = entry.from ?? 0;
+	}
+
+	return path.map((candidate, i) => {
+		const previous = path[i - 1];
+		return {
+			...candidate,
+			movement: previous ? measureMovement(previous.notes, candidate.notes) : 0,
+			parallels: previous ? countParallelPerfects(previous.notes, candidate.notes) : 0,
+		};
+	});
+};
+
+export { countParallelPerfects, leadVoices, measureMovement };
@@ -0,0 +1,164 @@
+import { Note } from "tonal";
+
+const VOICING_TYPES = [
+	{ id: "close", label: "Close" },
+	{ id: "open", label: "Open" },
+	{ id: "drop2", label: "Drop 2" },
+	{ id: "drop3", label: "Drop 3" },
+	{ id: "shell", label: "Shell (1-3-7)" },
+	{ id: "rootless-a", label: "Rootless A" },
+	{ id: "rootless-b", label: "Rootless B" },
+];
+
+const VOICING_RANGES = [
+	{ id: "low", label: "低音域", low: "C3", high: "C5" },
+	{ id: "mid", label: "中音域", low: "C4", high: "C6" },
+	{ id: "high", label: "高音域", low: "C5", high: "C7" },
+];
+
+const DEFAULT_VOICING = { type: "close", range: "mid" };
+
+const STACKED_TYPES = ["close", "open", "drop2", "drop3"];
+
+const getVoicingRange = (id) => VOICING_RANGES.find((range) => range.id === id) ?? VOICING_RANGES[1];
+
+// Chord tones keyed by their role, e.g. { root: "C", third: "E", seventh: "Bb", ninth: "D" }
+const getChordTonesByRole = (notes, intervals) => {
+	const tones = {};
+	intervals.forEach((interval, index) => {
+		const number = Number.parseInt(interval, 10);
+		const note = notes[index];
+		if (number === 1 || number === 8) tones.root ??= note;
+		else if (number === 3 || number === 10) tones.third ??= note;
+		else if (number === 4 || number === 11) tones.fourth ??= note;
+		else if (number === 2 || number === 9) tones.ninth ??= note;
+		else if (number === 5 || number === 12) tones.fifth ??= note;
+		else if (number === 6 || number === 13) tones.sixth ??= note;
+		else if (number === 7) tones.seventh ??= note;
+	});
+	return tones;
+};
+
+// Pitch classes for each voicing type, bottom to top before octave placement
+const selectVoicingTones = (type, notes, intervals) => {
+	const tones = getChordTonesByRole(notes, intervals);
+	const third = tones.third ?? tones.fourth;
+	const seventh = tones.seventh ?? tones.sixth;
+
+	if (type === "shell" && tones.root && third && seventh) {
+		return [tones.root, third, seventh];
+	}
+
+	if ((type === "rootless-a" || type === "rootless-b") && third && seventh) {
+		const ninth = tones.ninth ?? Note.transpose(tones.root, "9M");
+		// A dominant with a 13th trades the fifth for it, as in the usual 3-13-7-9 shape
+		const fifth = tones.seventh && tones.sixth ? tones.sixth : (tones.fifth ?? tones.sixth);
+		const upper = fifth ? [third, fifth, seventh, ninth] : [third, seventh, ninth];
+		return type === "rootless-a" ? upper : [...upper.slice(-2), ...upper.slice(0, -2)];
+	}
+
+	return [...notes];
+};
+
+const toMidi = (note, octave) => Note.midi(`${note}${octave}`);
+
+// Place pitch classes upward from a starting MIDI floor, each above the previous one
+const stackUpFrom = (pitchClasses, floorMidi) => {
+	let previous = floorMidi - 1;
+	return pitchClasses.map((name) => {
+		const chroma = Note.get(name).chroma;
+		const midi = previous + 1 + ((((chroma - (previous + 1)) % 12) + 12) % 12);
+		previous = midi;
+		return { name, midi };
+	});
+};
+
+const sortByPitch = (voices) => [...voices].sort((a, b) => a.midi - b.midi);
+
+const shiftOctaves = (voices, octaves) => voices.map((voice) => ({ ...voice, midi: voice.midi + octaves * 12 }));
+
+// Drop the n-th voice from the top down an octave (drop 2, drop 3)
+const dropVoice = (voices, fromTop) => {
+	const sorted = sortByPitch(voices);
+	const index = sorted.length - fromTop;
+	if (index < 0 || sorted.length < 3) {
+		return sorted;
+	}
+	return sortByPitch(sorted.map((voice, i) => (i === index ? { ...voice, midi: voice.midi - 12 } : voice)));
+};
+
+// Raise every other voice from the second one up an octave to spread a close voicing
+const openVoicing = (voices) =>
+	sortByPitch(voices.map((voice, index) => (index % 2 === 1 ? { ...voice, midi: voice.midi + 12 } : voice)));
+
+// Move the whole voicing by octaves so its lowest note sits on or just above the floor
+const fitToRange = (voices, lowMidi) => {
+	const lowest = Math.min(...voices.map((voice) => voice.midi));
+	const octaves = Math.ceil((lowMidi - lowest) / 12);
+	return shiftOctaves(voices, octaves);
+};
+
+// Fold voices above the ceiling down by octaves; a voicing wider than the range closes up at the top
+const keepUnderCeiling = (voices, highMidi) =>
+	sortByPitch(
+		voices.map((voice) =>
+			voice.midi > highMidi ? { ...voice, midi: voice.midi - 12 * Math.ceil((voice.midi - highMidi) / 12) } : voice,
+		),
+	);
+
+const midiToNoteName = ({ name, midi }) => {
+	const octave = Math.floor(midi / 12) - 1;
+	const match = [octave, octave - 1, octave + 1].find((candidate) => toMidi(name, candidate) === midi);
+	return `${name}${match ?? octave}`;
+};
+
+/**
+ * Voice a chord for notation and playback.
+ * chord: { notes, intervals, bass } — spelled root-position chord tones, their tonal intervals and an optional slash bass
+ * options: { type, range, inversion } — a VOICING_TYPES id, a VOICING_RANGES id whose low and high notes bound the
+ * voices above any slash bass and, for stacked voicings without a slash bass, the index of the chord tone to start from
+ * Returns spelled notes with octaves, lowest first, e.g. ["G3", "C4", "E4", "B4"].
+ */
+const voiceChord = (
+	{ notes, intervals, bass = null },
+	{ type = DEFAULT_VOICING.type, range = DEFAULT_VOICING.range, inversion = 0 } = {},
+) => {
+	if (!notes?.length) {
+		return [];
+	}
+
+	const { low, high } = getVoicingRange(range);
+	const lowMidi = Note.midi(low);
+	const bassChroma = bass ? Note.get(bass).chroma : null;
+	let pitchClasses = selectVoicingTones(type, notes, intervals ?? []);
+
+	// Stacked voicings fold extensions into one octave above the root, or above the bass of an inversion
+	if (STACKED_TYPES.includes(type)) {
+		const hasChordToneBass = pitchClasses.some((note) => Note.get(note).chroma === bassChroma);
+		const inversionNote = notes[inversion] ?? pitchClasses[0];
+		const reference = hasChordToneBass ? bassChroma : Note.get(bass ? pitchClasses[0] : inversionNote).chroma;
+		const distance = (note) => (Note.get(note).chroma - reference + 12) % 12;
+		pitchClasses = [...pitchClasses].sort((a, b) => distance(a) - distance(b));
+	}
+
+	let voices = stackUpFrom(pitchClasses, lowMidi);
+	if (type === "open") {
+		voices = openVoicing(voices);
+	} else if (type === "drop2") {
+		voices = dropVoice(voices, 2);
+	} else if (type === "drop3") {
+		voices = dropVoice(voices, 3);
+	}
+	voices = keepUnderCeiling(fitToRange(sortByPitch(voices), lowMidi), Note.midi(high));
+
+	// A slash bass that is not already the lowest voice goes underneath
+	if (bass && Note.get(voices[0].name).chroma !== bassChroma) {
+		const upper = voices.filter((voice) => Note.get(voice.name).chroma !== bassChroma);
+		const [bassVoice] = stackUpFrom([bass], upper[0].midi - 12);
+		voices = [bassVoice, ...upper];
+	}
+
+	return voices.map(midiToNoteName);
+};
+
+export { DEFAULT_VOICING, STACKED_TYPES, VOICING_RANGES, VOICING_TYPES, getChordTonesByRole, getVoicingRange, voiceChord };
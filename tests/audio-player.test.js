@@ -0,0 +1,62 @@
+import { createAudioPlayer } from "../src/audio-player.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+// Just enough of the Web Audio API for the player to schedule notes without sound
+const createParam = () => ({ value: 0, setValueAtTime() {}, linearRampToValueAtTime() {} });
+
+class SilentAudioContext {
+	constructor() {
+		this.state = "running";
+		this.currentTime = 0;
+		this.destination = {};
+	}
+
+	createGain() {
+		return { gain: createParam(), connect() {}, disconnect() {} };
+	}
+
+	createOscillator() {
+		return { type: "sine", frequency: createParam(), connect() {}, start() {}, stop() {} };
+	}
+}
+
+const CHORDS = [{ notes: ["C4", "E4", "G4"] }, { notes: ["G3", "B3", "D4"], beats: 2 }];
+
+const runAudioPlayerTests = () => {
+	const results = [];
+
+	results.push(
+		test("Only a progression counts as playing", () => {
+			const player = createAudioPlayer({ AudioContextClass: SilentAudioContext });
+			assertEqual(player.playChord(["C4", "E4", "G4"]), true, "A chord should play.");
+			assertEqual(player.isPlaying, false, "A previewed chord is not a playing progression.");
+			assertEqual(player.playProgression(CHORDS), true, "A progression should play.");
+			assertEqual(player.isPlaying, true, "A progression should be playing.");
+			player.playChord(["D4", "F4", "A4"]);
+			assertEqual(player.isPlaying, false, "Previewing a chord stops the progression.");
+			player.playProgression(CHORDS);
+			player.stop();
+			assertEqual(player.isPlaying, false, "Stopping should end the progression.");
+			assertEqual(player.playProgression([]), false, "An empty progression does not play.");
+			assertEqual(player.isPlaying, false, "An empty progression is not playing.");
+		})
+	);
+
+	return results;
+};
+
+export { runAudioPlayerTests };
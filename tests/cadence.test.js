@@ -0,0 +1,77 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { analyzeCadences, formatCadences } from "../src/cadence.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const typesIn = (progression, root = "C", mode = "major") =>
+	analyzeCadences(progression, getKeyDefinition(root, mode)).map(({ type, start, end }) => `${type} ${start}-${end}`);
+
+const runCadenceTests = () => {
+	const results = [];
+
+	results.push(
+		test("Authentic cadences are perfect only in root position from V", () => {
+			assertArrayEqual(typesIn(["F", "G", "C"]), ["perfect-authentic 1-2"], "V–I mismatch.");
+			assertArrayEqual(typesIn(["C", "G/B", "C"]), ["imperfect-authentic 1-2"], "Inverted V mismatch.");
+			assertArrayEqual(typesIn(["Bdim", "C"]), ["imperfect-authentic 0-1"], "vii°–I mismatch.");
+			assertArrayEqual(typesIn(["Dm", "E7", "Am"], "A", "minor"), ["perfect-authentic 1-2"], "Minor V7–i mismatch.");
+		})
+	);
+
+	results.push(
+		test("Plagal, deceptive and half cadences", () => {
+			assertArrayEqual(typesIn(["C", "F", "C", "G7", "Am"]), ["plagal 1-2", "deceptive 3-4"], "Plagal and deceptive mismatch.");
+			assertArrayEqual(typesIn(["C", "Fm", "C"]), ["plagal 1-2"], "Borrowed iv–I should be plagal.");
+			assertArrayEqual(typesIn(["C", "Dm", "G"]), ["half 1-2"], "Ending on V should be a half cadence.");
+		})
+	);
+
+	results.push(
+		test("Named patterns span their chords", () => {
+			assertArrayEqual(typesIn(["Dm7", "G7", "Cmaj7"]), ["two-five-one 0-2", "perfect-authentic 1-2"], "ii–V–I mismatch.");
+			assertArrayEqual(typesIn(["C", "Am", "F", "G"]), ["doo-wop 0-3", "half 2-3"], "I–vi–IV–V mismatch.");
+			assertArrayEqual(typesIn(["C", "G", "Am", "F"]), ["axis 0-3", "deceptive 1-2"], "I–V–vi–IV mismatch.");
+			const [, secondary] = analyzeCadences(["Em7", "A7", "Dm7", "G7", "C"], getKeyDefinition("C", "major"));
+			assertEqual(secondary.label, "ii–V → ii7", "Secondary ii–V label mismatch.");
+		})
+	);
+
+	results.push(
+		test("Overlapping annotations get separate lanes and read as text", () => {
+			const annotations = analyzeCadences(["Em7", "A7", "Dm7", "G7", "C"], getKeyDefinition("C", "major"));
+			assertArrayEqual(
+				annotations.map(({ type, lane }) => `${type} ${lane}`),
+				["circle-of-fifths 0", "two-five-one 1", "two-five-one 2", "perfect-authentic 1"],
+				"Lanes mismatch.",
+			);
+			assertEqual(
+				formatCadences(annotations),
+				"五度圈進行 (1–5)・ii–V → ii7 (1–3)・ii–V–I (3–5)・完全正格終止 (4–5)",
+				"Text mismatch.",
+			);
+		})
+	);
+
+	return results;
+};
+
+export { runCadenceTests };
@@ -0,0 +1,80 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { parseChordChart } from "../src/chart-import.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const runChartImportTests = () => {
+	const results = [];
+
+	results.push(
+		test("parseChordChart reads ChordPro chords and reports bad tokens", () => {
+			const result = parseChordChart("{title: Demo}\n[Verse]\n[C]Hello [G7]there [Xyz]friend\n[Am7/G]end");
+			assertEqual(result.format, "chordpro", "Format mismatch.");
+			assertEqual(result.title, "Demo", "Title mismatch.");
+			assertArrayEqual(result.chords, ["C", "G7", "Am7/G"], "ChordPro chords mismatch.");
+			assertArrayEqual(result.unparsed, ["Xyz"], "Unparsed tokens mismatch.");
+		})
+	);
+
+	results.push(
+		test("parseChordChart reads bar notation with repeat bars", () => {
+			const result = parseChordChart("| C | Am7 | Dm7 G7 |\n| % | Fmaj7 / / / |");
+			assertEqual(result.format, "bars", "Format mismatch.");
+			assertArrayEqual(result.chords, ["C", "Am7", "Dm7", "G7", "Dm7", "G7", "Fmaj7"], "Bar chords mismatch.");
+		})
+	);
+
+	results.push(
+		test("parseChordChart skips lyric lines in chord-over-lyrics text", () => {
+			const result = parseChordChart("Verse:\nC       G       Am   F\nA day in the life of mine\nC  G7(b9)  Hq7");
+			assertEqual(result.format, "text", "Format mismatch.");
+			assertArrayEqual(result.chords, ["C", "G", "Am", "F", "C", "G7b9"], "Plain chart chords mismatch.");
+			assertArrayEqual(result.unparsed, ["Hq7"], "Unparsed tokens mismatch.");
+		})
+	);
+
+	results.push(
+		test("parseChordChart realizes Nashville charts in the key with diamonds, pushes and split bars", () => {
+			const result = parseChordChart("| 1 | 4 | <5> | ^6m |\n| (2m7 5) | 1 |", { keyDefinition: getKeyDefinition("G", "major") });
+			assertEqual(result.format, "nashville", "Format mismatch.");
+			assertArrayEqual(result.chords, ["G", "C", "D", "Em", "Am7", "D", "G"], "Nashville chords mismatch.");
+			assertArrayEqual(
+				result.marks.map(({ diamond, push, split }) => `${diamond ? "d" : ""}${push ? "p" : ""}${split ? "s" : ""}`),
+				["", "", "d", "p", "s", "s", ""],
+				"Chart marks mismatch.",
+			);
+			assertArrayEqual(result.marks.map(({ bar }) => bar), [0, 1, 2, 3, 4, 4, 5], "Chart bars mismatch.");
+		})
+	);
+
+	results.push(
+		test("parseChordChart numbers bars only when the chart has them", () => {
+			assertArrayEqual(parseChordChart("| C | Dm7 G7 | % |").marks.map(({ bar }) => bar), [0, 1, 1, 2, 2], "Bar notation bars mismatch.");
+			assertArrayEqual(parseChordChart("1 (4 5) 1").marks.map(({ bar }) => bar), [0, 1, 1, 2], "Nashville bars mismatch.");
+			assertArrayEqual(parseChordChart("C G Am F\nhello there my friend").marks.map(({ bar }) => bar), [null, null, null, null], "Text charts have no bars.");
+		})
+	);
+
+	return results;
+};
+
+export { runChartImportTests };
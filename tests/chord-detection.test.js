@@ -0,0 +1,91 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { describeChordTones, detectChordsFromNotes, parseNoteEvents } from "../src/chord-detection.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const topIn = (input, root = "C", mode = "major") => detectChordsFromNotes(input, getKeyDefinition(root, mode))[0];
+
+const runChordDetectionTests = () => {
+	const results = [];
+
+	results.push(
+		test("parseNoteEvents keeps octaves and finds the lowest note", () => {
+			const { bass, voicing } = parseNoteEvents("C4 A3 E4 G4");
+			assertEqual(bass.name, "A3", "Bass mismatch.");
+			assertArrayEqual(voicing, ["A3", "C4", "E4", "G4"], "Voicing mismatch.");
+			assertArrayEqual(parseNoteEvents("E G C").voicing, ["E4", "G4", "C5"], "Notes without octaves should stack upward.");
+		})
+	);
+
+	results.push(
+		test("The bass decides root position or inversion", () => {
+			assertEqual(topIn("C E G").symbol, "C", "Root position mismatch.");
+			const inversion = topIn("E3 G3 C4");
+			assertEqual(inversion.symbol, "C/E", "First inversion mismatch.");
+			assertEqual(inversion.inversion.label, "第一轉位", "Inversion label mismatch.");
+			assertEqual(topIn("C4 A3 E4 G4").symbol, "Am7", "Am7 over A should beat C6.");
+		})
+	);
+
+	results.push(
+		test("Candidates name the role of every tone", () => {
+			const roles = topIn("G B D F").tones.map(({ note, role }) => `${note}:${role}`);
+			assertArrayEqual(roles, ["G:root", "B:third", "D:fifth", "F:seventh"], "G7 roles mismatch.");
+			const ninth = topIn("C E G Bb D");
+			assertEqual(ninth.symbol, "C9", "C9 mismatch.");
+			assertEqual(ninth.tones.find(({ note }) => note === "D").role, "tension", "The ninth should be a tension.");
+		})
+	);
+
+	results.push(
+		test("An omitted fifth is reported as missing and an added note as extra", () => {
+			const shell = topIn("C E Bb");
+			assertEqual(shell.symbol, "C7", "Shell voicing mismatch.");
+			assertArrayEqual(shell.missing.map(({ note }) => note), ["G"], "Missing fifth mismatch.");
+			const withExtra = detectChordsFromNotes("C E G D F#", getKeyDefinition("C", "major")).find(({ extra }) => extra.length);
+			assertArrayEqual(withExtra.extra, ["F#"], "Extra note mismatch.");
+		})
+	);
+
+	results.push(
+		test("Candidates are ranked by plausibility in the key", () => {
+			const candidates = detectChordsFromNotes("F A C D", getKeyDefinition("C", "major"));
+			assertArrayEqual(candidates.slice(0, 2).map(({ symbol }) => symbol), ["F6", "Dm7/F"], "F6 ranking mismatch.");
+			const total = candidates.reduce((sum, { confidence }) => sum + confidence, 0);
+			assertEqual(total <= 1.0001, true, "Confidence should not exceed 100%.");
+			assertEqual(detectChordsFromNotes("C", getKeyDefinition("C", "major")).length, 0, "One note is not a chord.");
+		})
+	);
+
+	results.push(
+		test("describeChordTones names the roles of a chord symbol", () => {
+			const roles = describeChordTones("G7/B").map(({ note, role }) => `${note}:${role}`);
+			assertArrayEqual(roles, ["G:root", "B:third", "D:fifth", "F:seventh"], "G7/B roles mismatch.");
+			assertEqual(describeChordTones("Csus4")[1].role, "sus", "Suspended fourth mismatch.");
+			assertEqual(describeChordTones("").length, 0, "An empty symbol has no tones.");
+		})
+	);
+
+	return results;
+};
+
+export { runChordDetectionTests };
@@ -0,0 +1,188 @@
+import { getKeyDefinition, spellNotesInKey } from "../src/chord-utils.js";
+import { analyzeChordFunction } from "../src/chord-function.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const romansIn = (root, mode, chords) => chords.map((chord) => analyzeChordFunction(chord, getKeyDefinition(root, mode))?.roman ?? null);
+
+const runChordFunctionTests = () => {
+	const results = [];
+
+	results.push(
+		test("D Dorian numerals follow the mode's triads", () => {
+			assertArrayEqual(
+				romansIn("D", "dorian", ["Dm", "Em", "F", "G", "Am", "Bdim", "C"]),
+				["i", "ii", "III", "IV", "v", "vi°", "VII"],
+				"Dorian numerals mismatch.",
+			);
+		})
+	);
+
+	results.push(
+		test("Diatonic dominant sevenths in modes are not secondary dominants", () => {
+			assertArrayEqual(romansIn("G", "mixolydian", ["G7"]), ["I7"], "Mixolydian I7 mismatch.");
+			assertArrayEqual(romansIn("C", "mixolydian", ["C7"]), ["I7"], "Mixolydian I7 mismatch.");
+			assertArrayEqual(romansIn("D", "dorian", ["G7"]), ["IV7"], "Dorian IV7 mismatch.");
+			assertArrayEqual(romansIn("E", "phrygian", ["G7"]), ["III7"], "Phrygian III7 mismatch.");
+			assertArrayEqual(romansIn("F", "lydian", ["G7"]), ["II7"], "Lydian II7 mismatch.");
+			assertArrayEqual(romansIn("G", "mixolydian", ["A7"]), ["V7/v"], "A chromatic dominant is still secondary.");
+		})
+	);
+
+	results.push(
+		test("A harmonic minor has III+, V and vii°", () => {
+			assertArrayEqual(romansIn("A", "harmonic-minor", ["Caug", "E", "G#dim"]), ["III+", "V", "vii°"], "Harmonic minor numerals mismatch.");
+		})
+	);
+
+	results.push(
+		test("G Mixolydian spells its diatonic map with F natural", () => {
+			const key = getKeyDefinition("G", "mixolydian");
+			assertArrayEqual(spellNotesInKey(["F", "B"], key), ["F", "B"], "Mixolydian spelling mismatch.");
+			assertEqual(key.fifths, 0, "Mixolydian key signature mismatch.");
+		})
+	);
+
+	results.push(
+		test("E Phrygian spells the flat second as F", () => {
+			assertArrayEqual(spellNotesInKey(["E#"], getKeyDefinition("E", "phrygian")), ["F"], "Phrygian spelling mismatch.");
+		})
+	);
+
+	results.push(
+		test("C major numerals follow the chord quality and extensions", () => {
+			assertArrayEqual(
+				romansIn("C", "major", ["Cmaj7", "Dm7", "G7", "G7b9", "Bdim7", "Bm7b5", "G13", "G7sus4"]),
+				["Imaj7", "ii7", "V7", "V7(b9)", "vii°7", "viiø7", "V13", "V7sus4"],
+				"Quality-aware numerals mismatch.",
+			);
+		})
+	);
+
+	results.push(
+		test("Chords that differ from the diatonic quality are flagged as altered", () => {
+			const key = getKeyDefinition("C", "major");
+			const majorMediant = analyzeChordFunction("E", key);
+			assertEqual(majorMediant.roman, "III", "Major III numeral mismatch.");
+			assertEqual(majorMediant.altered, true, "E should be altered in C major.");
+			assertEqual(analyzeChordFunction("Dm7", key).altered, false, "Dm7 should be diatonic in C major.");
+		})
+	);
+
+	results.push(
+		test("Minor keys accept the harmonic minor dominant and leading-tone chords", () => {
+			const key = getKeyDefinition("A", "minor");
+			assertEqual(analyzeChordFunction("E7", key).altered, false, "E7 should be diatonic in A minor.");
+			assertArrayEqual(romansIn("A", "minor", ["E7", "G#dim7", "AmMaj7"]), ["V7", "vii°7", "i(maj7)"], "Minor numerals mismatch.");
+		})
+	);
+
+	results.push(
+		test("A chord is diatonic only when its root is the degree's note in the scale its quality comes from", () => {
+			const key = getKeyDefinition("A", "minor");
+			assertArrayEqual(romansIn("A", "minor", ["F#", "F#maj7", "G#", "G#7", "G#sus4"]), [null, null, null, null, null], "Raised roots with other qualities should not get a diatonic numeral.");
+			assertArrayEqual(romansIn("A", "minor", ["Gdim7", "Gm7b5"]), [null, null], "vii° in minor names the raised leading tone, not G.");
+			["G#dim7", "G#m7b5", "G#dim"].forEach((chord) => {
+				assertEqual(analyzeChordFunction(chord, key).altered, false, `${chord} should be diatonic in A minor.`);
+			});
+		})
+	);
+
+	results.push(
+		test("Seventh-chord inversion figures replace the 7", () => {
+			assertArrayEqual(romansIn("C", "major", ["G7/B", "Dm7/C", "Bm7b5/F"]), ["V6/5", "ii4/2", "viiø4/3"], "Inversion figures mismatch.");
+		})
+	);
+
+	results.push(
+		test("Neapolitan and augmented sixth chords get their own labels", () => {
+			const key = getKeyDefinition("C", "major");
+			assertEqual(analyzeChordFunction("Db/F", key).roman, "bII6", "Neapolitan numeral mismatch.");
+			assertEqual(analyzeChordFunction("Db6", key).function === "neapolitan", false, "Only the plain major triad is a Neapolitan.");
+			assertArrayEqual(romansIn("C", "major", ["Ab7no5", "D7b5/Ab", "Ab7"]), ["It+6", "Fr+6", "Ger+6"], "Augmented sixth labels mismatch.");
+			assertEqual(analyzeChordFunction("F7", getKeyDefinition("A", "minor")).function, "augmented-sixth", "Minor-key German sixth mismatch.");
+			assertEqual(analyzeChordFunction("G7", getKeyDefinition("B", "locrian")).roman, "VI7", "A diatonic VI7 is not an augmented sixth.");
+		})
+	);
+
+	results.push(
+		test("Tritone substitutes and secondary leading-tone chords name their target", () => {
+			const key = getKeyDefinition("C", "major");
+			assertEqual(analyzeChordFunction("Db7", key, { next: "C" }).roman, "subV7", "subV7 mismatch.");
+			assertEqual(analyzeChordFunction("Eb7", key, { next: "Dm" }).roman, "subV7/ii", "subV7/ii mismatch.");
+			assertEqual(
+				analyzeChordFunction("Eb7", key, { next: "G" })?.function === "tritone-substitute",
+				false,
+				"A substitute that does not resolve should not be labeled subV.",
+			);
+			assertEqual(analyzeChordFunction("F#dim7", key).roman, "vii°7/V", "Secondary leading-tone mismatch.");
+		})
+	);
+
+	results.push(
+		test("A diminished seventh that keeps the next chord's root is common-tone", () => {
+			const analysis = analyzeChordFunction("D#dim7", getKeyDefinition("C", "major"), { next: "C" });
+			assertEqual(analysis.function, "common-tone-diminished", "Common-tone diminished mismatch.");
+		})
+	);
+
+	results.push(
+		test("Modal interchange checks the chord quality and names the source mode", () => {
+			const key = getKeyDefinition("C", "major");
+			const minorFour = analyzeChordFunction("Fm", key);
+			assertEqual(minorFour.function, "borrowed", "Fm should be borrowed in C major.");
+			assertEqual(minorFour.borrowedFrom, "minor", "Fm source mode mismatch.");
+			assertEqual(analyzeChordFunction("F", key).function, "subdominant", "F should stay diatonic in C major.");
+			assertArrayEqual(
+				romansIn("C", "major", ["Fm", "Eb", "Ab", "Bb7", "Dm7b5", "D"]),
+				["iv", "bIII", "bVI", "bVII7", "iiø7", "II"],
+				"Borrowed numerals mismatch.",
+			);
+			assertEqual(analyzeChordFunction("D", key).borrowedFrom, "lydian", "Lydian II source mismatch.");
+		})
+	);
+
+	results.push(
+		test("Minor keys borrow the Picardy third and the Dorian IV", () => {
+			const key = getKeyDefinition("A", "minor");
+			const picardy = analyzeChordFunction("A", key);
+			assertEqual(picardy.roman, "I", "Picardy numeral mismatch.");
+			assertEqual(picardy.borrowedFrom, "major", "Picardy source mismatch.");
+			const dorianFour = analyzeChordFunction("D", key);
+			assertEqual(dorianFour.roman, "IV", "Dorian IV numeral mismatch.");
+			assertEqual(dorianFour.borrowedFrom, "dorian", "Dorian IV source mismatch.");
+		})
+	);
+
+	results.push(
+		test("Borrowed numerals take their accidentals from the selected key's own scale", () => {
+			assertArrayEqual(romansIn("D", "dorian", ["F#m", "Bb"]), ["#iii", "bVI"], "Dorian borrowed numerals mismatch.");
+			assertArrayEqual(romansIn("A", "minor", ["F#m", "C#m", "A"]), ["#vi", "#iii", "I"], "Minor borrowed numerals mismatch.");
+			assertArrayEqual(romansIn("C", "lydian", ["F"]), ["bIV"], "Lydian borrowed numeral mismatch.");
+			assertArrayEqual(romansIn("C", "mixolydian", ["Bdim7"]), ["#vii°7"], "Mixolydian borrowed numeral mismatch.");
+		})
+	);
+
+	return results;
+};
+
+export { runChordFunctionTests };
@@ -0,0 +1,79 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { buildTransitionTable, predictNextChords } from "../src/chord-prediction.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const symbolsAfter = (progression, root = "C", mode = "major", history = []) =>
+	predictNextChords(progression, getKeyDefinition(root, mode), history).map(({ symbol }) => symbol);
+
+const runChordPredictionTests = () => {
+	const results = [];
+
+	results.push(
+		test("Functional rules rank the usual next chords", () => {
+			assertArrayEqual(symbolsAfter(["C"]).slice(0, 2), ["F", "G"], "Tonic should move to IV or V.");
+			assertEqual(symbolsAfter(["Dm7"])[0], "G7", "ii7 should move to V7.");
+			assertArrayEqual(symbolsAfter(["Am", "Dm"], "A", "minor").slice(0, 2), ["E", "Am"], "Minor iv should move to V with the leading tone.");
+			assertArrayEqual(symbolsAfter([]), [], "An empty progression has no prediction.");
+		})
+	);
+
+	results.push(
+		test("Dominants and substitutes resolve to their targets", () => {
+			const [resolution] = predictNextChords(["Cmaj7", "Dm7", "G7"], getKeyDefinition("C", "major"));
+			assertEqual(resolution.symbol, "Cmaj7", "ii–V should resolve to I.");
+			assertEqual(resolution.roman, "Imaj7", "Resolution label mismatch.");
+			assertEqual(resolution.reasons[0].startsWith("ii–V"), true, "The ii–V should be the reason.");
+			assertEqual(symbolsAfter(["C", "A7"])[0], "Dm7", "V7/ii should resolve to ii.");
+			assertEqual(symbolsAfter(["C", "Db7"])[0], "Cmaj7", "subV7 should resolve down a semitone.");
+		})
+	);
+
+	results.push(
+		test("Saved progressions teach moves in any key", () => {
+			const history = [
+				{ progression: ["C", "Am", "F", "G"], keyDefinition: getKeyDefinition("C", "major") },
+				{ progression: ["G", "Em", "C", "D"], keyDefinition: getKeyDefinition("G", "major") },
+			];
+			const table = buildTransitionTable(history);
+			assertEqual(table.single.get("0:major").get("9:m"), 2, "I → vi should be counted as vi after I.");
+			assertEqual(table.pair.get("0:major|9:minor").get("5:"), 2, "Two-chord context mismatch.");
+			const [first] = predictNextChords(["F", "Dm"], getKeyDefinition("F", "major"), history);
+			assertEqual(first.symbol, "Bb", "The learned move should lead in F major.");
+			assertEqual(first.reasons.some((reason) => reason.includes("2 次")), true, "The learned count should be given as a reason.");
+		})
+	);
+
+	results.push(
+		test("Learned moves depend on the chord's degree, not only its type", () => {
+			const key = getKeyDefinition("C", "major");
+			const history = [["C", "Am", "F", "G"], ["C", "Am", "F", "G"], ["C", "Am", "Dm", "G"]].map((progression) => ({ progression, keyDefinition: key }));
+			assertEqual(symbolsAfter(["C", "Am"], "C", "major", history)[0], "F", "vi should lead to IV as saved.");
+			assertEqual(buildTransitionTable(history).single.get("9:minor").get("2:m"), 1, "Dm after Am should be counted once.");
+			assertEqual(buildTransitionTable([["C", "Am"]]).single.size, 0, "Progressions without a key are skipped.");
+		})
+	);
+
+	return results;
+};
+
+export { runChordPredictionTests };
@@ -0,0 +1,94 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { analyzeChordFunction } from "../src/chord-function.js";
+import { buildScaleAbc, suggestChordScales } from "../src/chord-scale.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const scalesIn = (symbol, root, mode, context = {}) => {
+	const key = getKeyDefinition(root, mode);
+	return suggestChordScales(symbol, key, { analysis: analyzeChordFunction(symbol, key, context), next: context.next });
+};
+
+const idsIn = (...args) => scalesIn(...args).map(({ id }) => id);
+
+const runChordScaleTests = () => {
+	const results = [];
+
+	results.push(
+		test("Diatonic chords start from the key's own mode", () => {
+			assertEqual(idsIn("Dm7", "C", "major")[0], "dorian", "ii7 mismatch.");
+			assertEqual(idsIn("Em7", "C", "major")[0], "phrygian", "iii7 mismatch.");
+			assertEqual(idsIn("Fmaj7", "C", "major")[0], "lydian", "IVmaj7 mismatch.");
+		})
+	);
+
+	results.push(
+		test("Dominants follow where they resolve", () => {
+			assertArrayEqual(idsIn("G7", "C", "major"), ["mixolydian", "half-whole", "altered", "lydian-dominant"], "V7 to major mismatch.");
+			assertEqual(idsIn("E7", "A", "minor")[0], "phrygian-dominant", "V7 to minor mismatch.");
+			assertEqual(idsIn("A7", "C", "major")[0], "phrygian-dominant", "V7/ii should resolve to minor.");
+			assertEqual(idsIn("Bb7", "C", "major")[0], "lydian-dominant", "Borrowed bVII7 mismatch.");
+			assertEqual(idsIn("Db7", "C", "major", { next: "C" })[0], "lydian-dominant", "subV7 mismatch.");
+		})
+	);
+
+	results.push(
+		test("Scales that miss a chord tone are dropped", () => {
+			assertArrayEqual(idsIn("G7b9", "C", "major"), ["half-whole", "altered"], "G7b9 scales mismatch.");
+			assertArrayEqual(idsIn("Bdim7", "C", "major"), ["whole-half"], "Diminished seventh mismatch.");
+		})
+	);
+
+	results.push(
+		test("Avoid notes sit a semitone above a chord tone", () => {
+			const [ionian] = scalesIn("Cmaj7", "C", "major");
+			assertArrayEqual(ionian.avoid, ["F"], "Ionian avoid note mismatch.");
+			const [mixolydian, halfWhole] = scalesIn("G7", "C", "major");
+			assertArrayEqual(mixolydian.avoid, ["C"], "Mixolydian avoid note mismatch.");
+			assertArrayEqual(halfWhole.avoid, [], "The b9 is a tension over a dominant.");
+			assertArrayEqual(scalesIn("G7sus4", "C", "major")[0].avoid, [], "The 4th is a chord tone over sus4.");
+		})
+	);
+
+	results.push(
+		test("Scales are spelled in the key and written as ABC", () => {
+			const [, halfWhole] = scalesIn("G7", "C", "major");
+			assertArrayEqual(halfWhole.notes, ["G", "G#", "A#", "B", "C#", "D", "E", "F"], "Half-whole spelling mismatch.");
+			assertArrayEqual(scalesIn("Db7", "C", "major", { next: "C" })[1].notes, ["Db", "Eb", "F", "Gb", "Ab", "Bb", "Cb"], "Db Mixolydian spelling mismatch.");
+			const abc = buildScaleAbc(halfWhole);
+			assertEqual(abc.split("\n").pop(), "G ^G ^A B ^c d e f g |]", "Scale ABC mismatch.");
+			assertEqual(buildScaleAbc(scalesIn("G7", "C", "major")[0]).includes('"^avoid"c'), true, "Avoid notes should be marked.");
+		})
+	);
+
+	results.push(
+		test("Chromatic tones in sharp keys take the key's names", () => {
+			const altered = scalesIn("F#7", "B", "major", { next: "Bm" }).find(({ id }) => id === "altered");
+			assertArrayEqual(altered.notes, ["F#", "G", "A", "A#", "C", "D", "E"], "Altered spelling in B major mismatch.");
+			assertEqual(buildScaleAbc(altered).includes("^^"), false, "No double sharps should be written.");
+		})
+	);
+
+	return results;
+};
+
+export { runChordScaleTests };
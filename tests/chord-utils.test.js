@@ -1,4 +1,16 @@
-import { getKeyDefinition, spellNotesInKey, parseNotesInput, normalizeNote, isValidNote, isNoteNameOnly, stripOctave } from "../src/chord-utils.js";
+import {
+	buildAbcScore,
+	getInversion,
+	getKeyDefinition,
+	spellNotesInKey,
+	parseNotesInput,
+	parseSlashChord,
+	normalizeNote,
+	isValidNote,
+	isNoteNameOnly,
+	stackNotesWithOctave,
+	stripOctave,
+} from "../src/chord-utils.js";
 
 const assertEqual = (actual, expected, message) => {
 	if (actual !== expected) {
@@ -135,6 +147,61 @@ const runChordUtilsTests = () => {
 		})
 	);
 
+	// Slash Chord Tests
+	results.push(
+		test("parseSlashChord splits chord and bass", () => {
+			const { chord, bass } = parseSlashChord("Am7/G");
+			assertEqual(chord, "Am7", "Slash chord part mismatch.");
+			assertEqual(bass, "G", "Slash bass mismatch.");
+			assertEqual(parseSlashChord("C6/9").bass, null, "6/9 chord parsed as slash chord.");
+		})
+	);
+
+	results.push(
+		test("getInversion reports chord tone in the bass", () => {
+			assertEqual(getInversion(["C", "E", "G"], "E").index, 1, "First inversion not detected.");
+			assertEqual(getInversion(["G", "B", "D", "F"], "F").index, 3, "Third inversion not detected.");
+			assertEqual(getInversion(["C", "E", "G"], "Bb").index, null, "Non-chord-tone bass treated as inversion.");
+		})
+	);
+
+	results.push(
+		test("stackNotesWithOctave keeps the first note lowest", () => {
+			const result = stackNotesWithOctave(["E", "G", "C"]);
+			assertArrayEqual(result, ["E4", "G4", "C5"], "Stacked octaves mismatch.");
+		})
+	);
+
+	// ABC Score Tests
+	results.push(
+		test("buildAbcScore ties chords across bar lines and adds lyrics", () => {
+			const abc = buildAbcScore(
+				[
+					{ notes: ["C4", "E4", "G4"], beats: 3, symbol: "C", roman: "I" },
+					{ notes: ["G3", "B3", "D4"], beats: 3, symbol: "G/B", roman: "V6" },
+				],
+				{ key: "C", meter: "4/4" },
+			);
+			const [, , , , body, lyrics] = abc.split("\n");
+			assertEqual(body, '"C"[C E G]3 "G/B"[G, B, D]1- | [G, B, D]2 |]', "Score body mismatch.");
+			assertEqual(lyrics, "w: I V6 *", "Score lyrics mismatch.");
+		})
+	);
+
+	results.push(
+		test("buildAbcScore closes a bar early after a bar line", () => {
+			const abc = buildAbcScore(
+				[
+					{ notes: ["C4", "E4", "G4"], beats: 2, barLine: true, symbol: "C" },
+					{ notes: ["F4", "A4", "C5"], beats: 2, symbol: "F" },
+					{ notes: ["G4", "B4", "D5"], beats: 2, symbol: "G" },
+				],
+				{ key: "C", meter: "4/4" },
+			);
+			assertEqual(abc.split("\n")[4], '"C"[C E G]2 | "F"[F A c]2 "G"[G B d]2 |]', "Short bar mismatch.");
+		})
+	);
+
 	return results;
 };
 
@@ -0,0 +1,55 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { buildMidiFile, buildMusicXml } from "../src/export-utils.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const chords = [
+	{ notes: ["C4", "E4", "G4"], beats: 4, symbol: "C", roman: "I" },
+	{ notes: ["G3", "B3", "D4", "F4"], beats: 4, symbol: "G7/B", roman: "V6/5" },
+];
+
+const runExportUtilsTests = () => {
+	const results = [];
+
+	results.push(
+		test("buildMidiFile writes a format 0 header with 480 ticks per quarter", () => {
+			const bytes = buildMidiFile(chords, { tempo: 120 });
+			assertEqual(String.fromCharCode(...bytes.slice(0, 4)), "MThd", "MIDI header mismatch.");
+			assertEqual((bytes[12] << 8) | bytes[13], 480, "MIDI division mismatch.");
+			assertEqual(String.fromCharCode(...bytes.slice(14, 18)), "MTrk", "MIDI track chunk mismatch.");
+		})
+	);
+
+	results.push(
+		test("buildMusicXml adds harmony, bass and key signature", () => {
+			const xml = buildMusicXml(chords, { keyDefinition: getKeyDefinition("F", "major") });
+			assertEqual(xml.includes("<fifths>-1</fifths>"), true, "Key signature mismatch.");
+			assertEqual(xml.includes('<kind text="7">dominant</kind><bass><bass-step>B</bass-step></bass>'), true, "Harmony mismatch.");
+			assertEqual((xml.match(/<measure /g) ?? []).length, 2, "Measure count mismatch.");
+		})
+	);
+
+	results.push(
+		test("buildMusicXml writes harmonic minor with the natural minor signature", () => {
+			const xml = buildMusicXml(chords, { keyDefinition: getKeyDefinition("A", "harmonic-minor") });
+			assertEqual(xml.includes("<fifths>0</fifths><mode>minor</mode>"), true, "Key signature mismatch.");
+		})
+	);
+
+	return results;
+};
+
+export { runExportUtilsTests };
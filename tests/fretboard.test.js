@@ -0,0 +1,60 @@
+import { findFingerings, formatFrets, renderChordBox } from "../src/fretboard.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const bestShape = (notes, tuning, bass) => {
+	const [fingering] = findFingerings({ notes, root: notes[0], bass }, tuning);
+	return fingering ? formatFrets(fingering.frets) : null;
+};
+
+const runFretboardTests = () => {
+	const results = [];
+
+	results.push(
+		test("Open chords come first on standard guitar", () => {
+			assertEqual(bestShape(["C", "E", "G"], "guitar"), "x32010", "C shape mismatch.");
+			assertEqual(bestShape(["E", "G#", "B"], "guitar"), "022100", "E shape mismatch.");
+			assertEqual(bestShape(["A", "C", "E"], "guitar"), "x02210", "Am shape mismatch.");
+		})
+	);
+
+	results.push(
+		test("Other tunings and instruments use their own strings", () => {
+			assertEqual(bestShape(["D", "F#", "A"], "drop-d"), "000232", "Drop D shape mismatch.");
+			assertEqual(bestShape(["C", "E", "G"], "ukulele"), "0003", "Ukulele C mismatch.");
+			assertEqual(bestShape(["G", "B", "D", "F"], "ukulele"), "0212", "Ukulele G7 mismatch.");
+		})
+	);
+
+	results.push(
+		test("A slash bass is the lowest string that sounds", () => {
+			assertEqual(bestShape(["C", "E", "G"], "guitar", "E"), "xx2010", "C/E shape mismatch.");
+		})
+	);
+
+	results.push(
+		test("Shapes up the neck use a barre and label their fret", () => {
+			const [fingering] = findFingerings({ notes: ["F", "A", "C"], root: "F" }, "guitar", { limit: 5 }).filter(({ barre }) => barre);
+			assertEqual(formatFrets(fingering.frets), "133211", "F barre shape mismatch.");
+			const box = renderChordBox({ frets: [null, 5, 7, 7, 6, 5], position: 5, barre: null }, { title: "D" });
+			assertEqual(box.includes("5fr"), true, "The box should label its starting fret.");
+		})
+	);
+
+	return results;
+};
+
+export { runFretboardTests };
@@ -0,0 +1,56 @@
+import { detectKey } from "../src/key-detection.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const topKey = (progression) => {
+	const [best] = detectKey(progression);
+	return best ? `${best.id} ${best.mode}` : null;
+};
+
+const runKeyDetectionTests = () => {
+	const results = [];
+
+	results.push(
+		test("detectKey finds C major from a I-vi-IV-V7-I progression", () => {
+			assertEqual(topKey(["C", "Am", "F", "G7", "C"]), "C major", "Top key mismatch.");
+		})
+	);
+
+	results.push(
+		test("detectKey credits the raised leading tone in minor cadences", () => {
+			assertEqual(topKey(["Am", "Dm", "E7", "Am"]), "A minor", "Top key mismatch.");
+		})
+	);
+
+	results.push(
+		test("detectKey prefers the spelling used by the chords", () => {
+			assertEqual(topKey(["Db", "Gb", "Ab7", "Db"]), "Db major", "Top key mismatch.");
+		})
+	);
+
+	results.push(
+		test("detectKey confidences add up to at most 1", () => {
+			const total = detectKey(["Em", "C", "G", "D"]).reduce((sum, { confidence }) => sum + confidence, 0);
+			if (total > 1.000001 || total <= 0) {
+				throw new Error(`Unexpected confidence total ${total}.`);
+			}
+		})
+	);
+
+	return results;
+};
+
+export { runKeyDetectionTests };
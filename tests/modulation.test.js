@@ -0,0 +1,56 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { analyzeKeyAreas } from "../src/modulation.js";
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const describeSegments = (progression) =>
+	analyzeKeyAreas(progression, getKeyDefinition("C", "major")).segments.map(
+		({ start, end, key, pivot }) => `${start}-${end} ${key.label}${pivot === null ? "" : ` pivot ${pivot}`}`,
+	);
+
+const runModulationTests = () => {
+	const results = [];
+
+	results.push(
+		test("analyzeKeyAreas keeps a lone secondary dominant as a tonicization", () => {
+			assertArrayEqual(describeSegments(["C", "Am", "F", "G", "E7", "Am", "Dm", "G7", "C"]), ["0-8 C major"], "Segments mismatch.");
+		})
+	);
+
+	results.push(
+		test("analyzeKeyAreas finds a move to the relative minor with a pivot chord", () => {
+			assertArrayEqual(
+				describeSegments(["C", "F", "G", "C", "Dm", "E7", "Am", "Dm", "E7", "Am"]),
+				["0-3 C major", "4-9 A minor pivot 4"],
+				"Segments mismatch.",
+			);
+		})
+	);
+
+	results.push(
+		test("analyzeKeyAreas finds a modulation up a whole step", () => {
+			assertArrayEqual(
+				describeSegments(["C", "F", "G7", "C", "Em", "A7", "D", "G", "A7", "D"]),
+				["0-3 C major", "4-9 D major pivot 4"],
+				"Segments mismatch.",
+			);
+		})
+	);
+
+	return results;
+};
+
+export { runModulationTests };
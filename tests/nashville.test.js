@@ -0,0 +1,76 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { parseNashvilleLine, realizeNashvilleNumber, toNashvilleNumber } from "../src/nashville.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const symbolsIn = (root, mode, line) => parseNashvilleLine(line, getKeyDefinition(root, mode)).chords.map(({ symbol }) => symbol);
+
+const runNashvilleTests = () => {
+	const results = [];
+
+	results.push(
+		test("parseNashvilleLine realizes numbers in the active key", () => {
+			assertArrayEqual(symbolsIn("C", "major", "1 4 5 6m"), ["C", "F", "G", "Am"], "1-4-5-6m mismatch.");
+			assertArrayEqual(symbolsIn("D", "major", "2m7 5 1 4/5 b7"), ["Em7", "A", "D", "G/A", "C"], "D major line mismatch.");
+			assertArrayEqual(symbolsIn("A", "minor", "1m 4m 5 b6 b7"), ["Am", "Dm", "E", "F", "G"], "Minor-key flats mismatch.");
+		})
+	);
+
+	results.push(
+		test("Diamonds and pushes are read as marks on the number", () => {
+			const key = getKeyDefinition("C", "major");
+			const diamond = realizeNashvilleNumber("<1>", key);
+			assertEqual(diamond.symbol, "C", "Diamond symbol mismatch.");
+			assertEqual(diamond.diamond, true, "Diamond mark missing.");
+			const push = realizeNashvilleNumber("^5⁷", key);
+			assertEqual(push.symbol, "G7", "Push symbol mismatch.");
+			assertEqual(push.push, true, "Push mark missing.");
+		})
+	);
+
+	results.push(
+		test("toNashvilleNumber writes chords back as numbers that realize to the same chord", () => {
+			const key = getKeyDefinition("C", "major");
+			const symbols = ["C", "Dm7", "G7", "F/G", "Bb", "F#m7b5", "C/E", "Bdim"];
+			const numbers = symbols.map((symbol) => toNashvilleNumber(symbol, key));
+			assertArrayEqual(numbers, ["1", "2m7", "5⁷", "4/5", "b7", "#4ø7", "1/3", "7°"], "Nashville display mismatch.");
+			assertArrayEqual(
+				numbers.map((number) => realizeNashvilleNumber(number, key).symbol),
+				symbols,
+				"Display numbers should realize to the original chords.",
+			);
+		})
+	);
+
+	results.push(
+		test("6/9 chords are a quality, not a slash chord", () => {
+			const key = getKeyDefinition("C", "major");
+			assertArrayEqual(["C6/9", "Am6/9", "C6/9/E"].map((symbol) => toNashvilleNumber(symbol, key)), ["1⁶⁹", "6m69", "1⁶⁹/3"], "6/9 display mismatch.");
+			assertEqual(realizeNashvilleNumber("16/9", key).symbol, "C69", "Typed 6/9 mismatch.");
+			assertEqual(realizeNashvilleNumber("1⁶⁹/3", key).symbol, "C69/E", "6/9 over a bass mismatch.");
+		})
+	);
+
+	return results;
+};
+
+export { runNashvilleTests };
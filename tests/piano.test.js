@@ -0,0 +1,42 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { getShortcutMidi, midiToNoteName } from "../src/piano.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const runPianoTests = () => {
+	const results = [];
+
+	results.push(
+		test("The A-row starts on the piano's lowest C", () => {
+			assertEqual(getShortcutMidi("a"), 48, "A should be C3.");
+			assertEqual(getShortcutMidi("K"), 60, "K should be C4 regardless of case.");
+			assertEqual(getShortcutMidi("w", 4), 61, "W should be C#4 from octave 4.");
+			assertEqual(getShortcutMidi("z"), null, "Unmapped keys should be ignored.");
+		})
+	);
+
+	results.push(
+		test("Piano keys are spelled in the key signature", () => {
+			assertEqual(midiToNoteName(61, getKeyDefinition("A", "major")), "C#4", "A major spelling mismatch.");
+			assertEqual(midiToNoteName(61, getKeyDefinition("Ab", "major")), "Db4", "Ab major spelling mismatch.");
+			assertEqual(midiToNoteName(60, getKeyDefinition("C#", "major")), "B#3", "B# should stay below the octave line.");
+		})
+	);
+
+	return results;
+};
+
+export { runPianoTests };
@@ -0,0 +1,75 @@
+import { parseChordChart } from "../src/chart-import.js";
+import { normalizeProgression, progressionFromChart, replaceSymbols, spliceProgression } from "../src/progression.js";
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+// "C:2|" for a two-beat C followed by a bar line, "C:-" when it follows the Beats setting
+const describe = (progression) => progression.map(({ symbol, beats, barLine }) => `${symbol}:${beats ?? "-"}${barLine ? "|" : ""}`);
+
+const runProgressionTests = () => {
+	const results = [];
+
+	results.push(
+		test("Stored symbol lists migrate to entries", () => {
+			assertArrayEqual(describe(normalizeProgression(["C", "Am7"])), ["C:-", "Am7:-"], "String migration mismatch.");
+			assertArrayEqual(
+				describe(normalizeProgression([{ symbol: "F", beats: 2, barLine: true }, { symbol: "G", beats: 40 }, { beats: 2 }, null])),
+				["F:2|", "G:-"],
+				"Entry cleanup mismatch.",
+			);
+			assertArrayEqual(normalizeProgression("C"), [], "Non-arrays should read as empty.");
+		})
+	);
+
+	results.push(
+		test("Edits keep durations where chords are replaced", () => {
+			const progression = normalizeProgression([{ symbol: "Dm7", beats: 2 }, { symbol: "G7", beats: 2, barLine: true }, "C"]);
+			assertArrayEqual(describe(replaceSymbols(progression, ["Em7", "A7", "D"])), ["Em7:2", "A7:2|", "D:-"], "Transposed rhythm mismatch.");
+			assertArrayEqual(
+				describe(spliceProgression(progression, { start: 1, remove: 1, insert: ["Db7"] })),
+				["Dm7:2", "Db7:2|", "C:-"],
+				"Substitution should keep the replaced duration.",
+			);
+			assertArrayEqual(
+				describe(spliceProgression(progression, { start: 2, remove: 0, insert: ["Dm7", "G7"] })),
+				["Dm7:2", "G7:2|", "Dm7:-", "G7:-", "C:-"],
+				"Inserted chords should follow the Beats setting.",
+			);
+		})
+	);
+
+	results.push(
+		test("Chart bars become durations and bar lines", () => {
+			assertArrayEqual(
+				describe(progressionFromChart(parseChordChart("| C | Dm7 G7 | F G Am |"), "4/4")),
+				["C:4|", "Dm7:2", "G7:2|", "F:2", "G:1", "Am:1|"],
+				"4/4 bars mismatch.",
+			);
+			assertArrayEqual(describe(progressionFromChart(parseChordChart("1 (4 5)"), "3/4")), ["C:3|", "F:2", "G:1|"], "Nashville split bar mismatch.");
+			assertArrayEqual(describe(progressionFromChart(parseChordChart("C G Am F"), "4/4")), ["C:-", "G:-", "Am:-", "F:-"], "Charts without bars mismatch.");
+			assertArrayEqual(describe(progressionFromChart(parseChordChart("<C> G Am"), "3/4")), ["C:3|", "G:-", "Am:-"], "A diamond should hold its bar.");
+			assertArrayEqual(
+				describe(progressionFromChart(parseChordChart("| C Dm Em F G |"), "4/4")),
+				["C:2", "Dm:1", "Em:1|", "F:2", "G:2|"],
+				"A bar with more chords than beats should not run past its length.",
+			);
+		})
+	);
+
+	return results;
+};
+
+export { runProgressionTests };
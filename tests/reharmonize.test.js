@@ -0,0 +1,90 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { applyReharmonization, suggestReharmonizations } from "../src/reharmonize.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const PROGRESSION = ["Cmaj7", "Am7", "Dm7", "G7", "C"];
+
+const suggestionsFor = (index, progression = PROGRESSION, root = "C", mode = "major") =>
+	suggestReharmonizations(progression, index, getKeyDefinition(root, mode));
+
+const byType = (suggestions, type) => suggestions.filter((suggestion) => suggestion.type === type);
+
+const runReharmonizeTests = () => {
+	const results = [];
+
+	results.push(
+		test("Dominants get a tritone substitute and their related ii", () => {
+			const suggestions = suggestionsFor(3);
+			const [tritone] = byType(suggestions, "tritone");
+			assertArrayEqual(tritone.insert, ["Db7"], "Tritone substitute mismatch.");
+			assertEqual(tritone.chords[0].roman, "subV7", "Tritone substitute label mismatch.");
+			// Dm7 already precedes G7
+			assertEqual(byType(suggestions, "related-two").length, 0, "Related ii should not repeat.");
+			assertArrayEqual(byType(suggestionsFor(1, ["C", "G7"]), "related-two")[0].insert, ["Dm7"], "Related ii mismatch.");
+		})
+	);
+
+	results.push(
+		test("Dominants resolving to minor chords keep the minor key's sound", () => {
+			const suggestions = suggestionsFor(1, ["Am", "E7", "Am"], "A", "minor");
+			assertArrayEqual(byType(suggestions, "related-two")[0].insert, ["Bm7b5"], "Minor-key related ii mismatch.");
+			assertArrayEqual(byType(suggestionsFor(1, ["C", "A7", "Dm"]), "related-two")[0].insert, ["Em7b5"], "ii of a minor target mismatch.");
+			const thirds = byType(suggestions, "third");
+			assertArrayEqual(thirds.map(({ insert }) => insert[0]), ["G#dim7", "Cmaj7#5"], "Harmonic minor third substitutes mismatch.");
+			assertEqual(thirds[0].chords[0].roman, "vii°7", "Leading-tone substitute label mismatch.");
+		})
+	);
+
+	results.push(
+		test("Targets get a ii–V unless their dominant is already there", () => {
+			const [twoFive] = byType(suggestionsFor(1), "two-five");
+			assertArrayEqual(twoFive.insert, ["Bm7b5", "E7"], "Minor target ii–V mismatch.");
+			assertArrayEqual(twoFive.chords.map(({ roman }) => roman), ["viiø7", "V7/vi"], "ii–V labels mismatch.");
+			assertEqual(byType(suggestionsFor(4), "two-five").length, 0, "C after G7 should not get another ii–V.");
+		})
+	);
+
+	results.push(
+		test("Third substitutes and modal interchange stay on the chord's degree", () => {
+			const suggestions = suggestionsFor(0);
+			assertArrayEqual(byType(suggestions, "third").map(({ insert }) => insert[0]), ["Em7", "Am7"], "Third substitutes mismatch.");
+			assertArrayEqual(byType(suggestions, "interchange")[0].insert, ["Cm7"], "Interchange mismatch.");
+			assertArrayEqual(byType(suggestionsFor(0, ["F"]), "interchange")[0].insert, ["Fm"], "Borrowed iv mismatch.");
+			assertArrayEqual(byType(suggestionsFor(0, ["Dm"], "A", "minor"), "interchange")[0].insert, ["D"], "Minor-key interchange mismatch.");
+		})
+	);
+
+	results.push(
+		test("Applying a suggestion replaces or inserts chords", () => {
+			const [backdoor] = byType(suggestionsFor(4), "backdoor");
+			assertArrayEqual(applyReharmonization(PROGRESSION, backdoor), ["Cmaj7", "Am7", "Dm7", "Fm7", "Bb7", "C"], "Backdoor should replace G7.");
+			const [twoFive] = byType(suggestionsFor(2), "two-five");
+			assertArrayEqual(applyReharmonization(PROGRESSION, twoFive), ["Cmaj7", "Am7", "Em7b5", "A7", "Dm7", "G7", "C"], "ii–V should be inserted.");
+			assertArrayEqual(PROGRESSION, ["Cmaj7", "Am7", "Dm7", "G7", "C"], "The original progression should not change.");
+		})
+	);
+
+	return results;
+};
+
+export { runReharmonizeTests };
@@ -0,0 +1,129 @@
+import { Chord, Note } from "tonal";
+import { KEY_MODES, buildScaleChord, getKeyDefinition } from "../src/chord-utils.js";
+import { analyzeChordFunction } from "../src/chord-function.js";
+import { parseRomanProgression, realizeRomanNumeral } from "../src/roman-input.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const symbolsIn = (root, mode, line) => parseRomanProgression(line, getKeyDefinition(root, mode)).chords.map(({ symbol }) => symbol);
+
+// Realize a line, analyze the chords back with their neighbours and return the numerals
+const roundTrip = (root, mode, line) => {
+	const key = getKeyDefinition(root, mode);
+	const symbols = parseRomanProgression(line, key).chords.map(({ symbol }) => symbol);
+	return symbols
+		.map((symbol, index) =>
+			analyzeChordFunction(symbol, key, { previous: symbols[index - 1] ?? null, next: symbols[index + 1] ?? null })?.roman,
+		)
+		.join(" ");
+};
+
+const pitchClasses = (symbol) =>
+	Chord.get(symbol)
+		.notes.map((note) => Note.get(note).chroma)
+		.join(",");
+
+// Every triad and seventh chord of every mode on the tonic, analyzed in the key and realized back: "chord → numeral → chord" when it differs
+const roundTripFailures = (root, mode) => {
+	const key = getKeyDefinition(root, mode);
+	const symbols = KEY_MODES.flatMap(({ id }) =>
+		[1, 2, 3, 4, 5, 6, 7].flatMap((degree) => [false, true].map((withSeventh) => buildScaleChord(getKeyDefinition(root, id).scale, degree, withSeventh))),
+	);
+	return [...new Set(symbols.filter(Boolean))]
+		.map((symbol) => {
+			const roman = analyzeChordFunction(symbol, key)?.roman;
+			const realized = roman ? realizeRomanNumeral(roman, key)?.symbol : null;
+			return roman && (!realized || pitchClasses(realized) !== pitchClasses(symbol)) ? `${symbol} → ${roman} → ${realized}` : null;
+		})
+		.filter(Boolean);
+};
+
+const runRomanInputTests = () => {
+	const results = [];
+
+	results.push(
+		test("parseRomanProgression realizes a line in the key", () => {
+			assertArrayEqual(symbolsIn("C", "major", "ii7 V7 Imaj7"), ["Dm7", "G7", "Cmaj7"], "ii–V–I mismatch.");
+			assertArrayEqual(symbolsIn("Eb", "major", "I vi IV V/V V"), ["Eb", "Cm", "Ab", "F", "Bb"], "Secondary dominant line mismatch.");
+		})
+	);
+
+	results.push(
+		test("Figures, secondary targets and borrowed numerals become slash chords and chromatic roots", () => {
+			assertArrayEqual(
+				symbolsIn("C", "major", "I6 V6/5 V4/2 V6/5/V vii°7/V bVI bVII7 N6 Ger+6 subV7/ii"),
+				["C/E", "G7/B", "G7/F", "D7/F#", "F#dim7", "Ab", "Bb7", "Db/F", "Ab7", "Eb7"],
+				"Chromatic realization mismatch.",
+			);
+			assertArrayEqual(symbolsIn("A", "minor", "i iv V7 vii°7 VI"), ["Am", "Dm", "E7", "G#dim7", "F"], "Minor realization mismatch.");
+		})
+	);
+
+	results.push(
+		test("Realized chords analyze back to the same numerals", () => {
+			const major = "I vi ii7 V7 Imaj7 IV V/V V I6 viiø7 V7(b9) iv bVI bVII7 iiø7 It+6 Fr+6 Ger+6 V7sus4 IVadd6";
+			assertEqual(roundTrip("C", "major", major), major, "Major round trip mismatch.");
+			const minor = "i iv V7 i VI III VII i(maj7) vii°7 i";
+			assertEqual(roundTrip("A", "minor", minor), minor, "Minor round trip mismatch.");
+			const dorian = "i IV VII v";
+			assertEqual(roundTrip("D", "dorian", dorian), dorian, "Dorian round trip mismatch.");
+		})
+	);
+
+	results.push(
+		test("Seventh chords round-trip in modal and minor keys", () => {
+			const mixolydian = "I7 IV ii7 v7 I7";
+			assertEqual(roundTrip("G", "mixolydian", mixolydian), mixolydian, "Mixolydian round trip mismatch.");
+			const dorian = "i7 IV7 i7 ii7 viø7 VIImaj7";
+			assertEqual(roundTrip("D", "dorian", dorian), dorian, "Dorian seventh round trip mismatch.");
+			const minor = "i7 iv7 VII7 IIImaj7 III+ VImaj7 iiø7 V7(b9) i ct°7 i";
+			assertEqual(roundTrip("A", "minor", minor), minor, "Minor seventh round trip mismatch.");
+			assertArrayEqual(symbolsIn("D", "dorian", "viiø7"), ["Cm7b5"], "Modes should not raise the seventh degree.");
+			assertEqual(roundTrip("D", "dorian", "viiø7"), "viiø7", "Modal viiø7 round trip mismatch.");
+		})
+	);
+
+	results.push(
+		test("Diatonic and borrowed chords round-trip in every mode", () => {
+			KEY_MODES.forEach(({ id }) => {
+				assertArrayEqual(roundTripFailures("D", id), [], `D ${id} round trip mismatch.`);
+			});
+			assertArrayEqual(symbolsIn("D", "dorian", "#iii bVI"), ["F#m", "Bb"], "Dorian accidentals should alter the mode's own degrees.");
+			assertArrayEqual(symbolsIn("A", "minor", "#vi #iii"), ["F#m", "C#m"], "Minor accidentals should alter the mode's own degrees.");
+			assertArrayEqual(symbolsIn("C", "lydian", "bIV"), ["F"], "Lydian accidentals should alter the mode's own degrees.");
+			assertArrayEqual(symbolsIn("A", "minor", "N6 Ger+6"), ["Bb/D", "F7"], "N6 and augmented sixths keep the major-scale names.");
+		})
+	);
+
+	results.push(
+		test("Unreadable tokens are listed instead of realized", () => {
+			const { chords, unparsed } = parseRomanProgression("I - IX V", getKeyDefinition("C", "major"));
+			assertEqual(chords.length, 2, "Readable token count mismatch.");
+			assertArrayEqual(unparsed, ["IX"], "Unparsed tokens mismatch.");
+			assertEqual(realizeRomanNumeral("", getKeyDefinition("C", "major")), null, "Empty token should not realize.");
+		})
+	);
+
+	return results;
+};
+
+export { runRomanInputTests };
@@ -0,0 +1,165 @@
+import { normalizeProgression } from "../src/progression.js";
+import {
+	createSong,
+	duplicateSong,
+	filterSongs,
+	getLibraryKeys,
+	getLibraryTags,
+	migrateProgressionHistory,
+	normalizeLibrary,
+	parseTags,
+	renameSong,
+	sortSongs,
+	updateSong,
+} from "../src/song-library.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const titles = (songs) => songs.map(({ title }) => title);
+
+const buildLibrary = () => [
+	createSong(["Dm7", "G7", "Cmaj7"], { title: "Autumn sketch", keyRoot: "C", tags: ["jazz", "練習"], notes: "Slow swing", now: START }),
+	createSong(["Am", "F", "C", "G"], { title: "Pop loop", keyRoot: "A", keyMode: "minor", tags: "pop", now: START + DAY }),
+	createSong(["Bb7", "Eb7", "F7"], { title: "Blues in F", keyRoot: "F", tags: "jazz, blues", notes: "head then solos", now: START + 2 * DAY }),
+];
+
+const runSongLibraryTests = () => {
+	const results = [];
+
+	results.push(
+		test("Songs carry their details and timestamps", () => {
+			const song = createSong(["C", { symbol: "G7", beats: 2, barLine: true }], {
+				title: "  Morning  ",
+				keyRoot: "G",
+				keyMode: "dorian",
+				tempo: "120",
+				tags: "Jazz, jazz、練習",
+				notes: " Brushes ",
+				now: START,
+			});
+			assertEqual(song.title, "Morning", "Title should be trimmed.");
+			assertArrayEqual([song.keyRoot, song.keyMode, song.tempo], ["G", "dorian", 120], "Key or tempo mismatch.");
+			assertArrayEqual(song.tags, ["Jazz", "練習"], "Tags should be split and deduplicated.");
+			assertEqual(song.notes, "Brushes", "Notes should be trimmed.");
+			assertArrayEqual(song.progression, normalizeProgression(["C", { symbol: "G7", beats: 2, barLine: true }]), "Entries mismatch.");
+			assertEqual(song.createdAt, "2024-01-01T00:00:00.000Z", "Created time mismatch.");
+			assertEqual(song.updatedAt, song.createdAt, "A new song is updated when created.");
+			assertEqual(createSong(["C"], { title: " " }).title, "未命名", "Empty titles need a default.");
+			assertEqual(createSong(["C"], { tempo: "fast" }).tempo, 90, "Unreadable tempos use the default.");
+		})
+	);
+
+	results.push(
+		test("Tags accept commas, enumeration marks and hashes", () => {
+			assertArrayEqual(parseTags("#jazz, #ballad，練習"), ["jazz", "ballad", "練習"], "Tag parsing mismatch.");
+			assertArrayEqual(parseTags("C#, F#m blues、#Bb"), ["C#", "F#m blues", "Bb"], "Only a leading hash should be dropped.");
+			assertArrayEqual(parseTags(["a", " ", "A", "b"]), ["a", "b"], "Tag arrays should be cleaned.");
+		})
+	);
+
+	results.push(
+		test("Stored libraries are cleaned", () => {
+			const [song, bare] = normalizeLibrary(
+				[
+					{ id: "s1", title: "Kept", keyRoot: "Eb", keyMode: "major", progression: ["Eb", "Bb7"], createdAt: "2024-02-01T10:00:00Z" },
+					{ progression: [{ symbol: "C", beats: 3 }], updatedAt: "not a date" },
+					"C G",
+					null,
+				],
+				START,
+			);
+			assertEqual(song.id, "s1", "Ids should be kept.");
+			assertEqual(song.updatedAt, "2024-02-01T10:00:00.000Z", "A missing update time falls back to the created time.");
+			assertEqual(bare.title, "未命名", "Missing titles need a default.");
+			assertEqual(bare.createdAt, "2024-01-01T00:00:00.000Z", "Missing times fall back to now.");
+			assertEqual(bare.progression[0].beats, 3, "Entries should keep their beats.");
+			assertEqual(normalizeLibrary({}).length, 0, "Non-arrays should read as empty.");
+		})
+	);
+
+	results.push(
+		test("The old progression history becomes songs in the same order", () => {
+			const songs = migrateProgressionHistory([["F", "C7", "F"], ["Dm7"], []], { keyRoot: "G", keyMode: "major", tempo: 100, now: START });
+			assertArrayEqual(titles(songs), ["進程 1", "進程 2"], "Empty progressions should be dropped.");
+			assertArrayEqual([songs[0].keyRoot, songs[0].keyMode], ["F", "major"], "The key should be detected.");
+			assertArrayEqual([songs[1].keyRoot, songs[1].tempo], ["G", 100], "A single chord keeps the fallback key.");
+			assertArrayEqual(titles(sortSongs(songs)), ["進程 1", "進程 2"], "The newest entry should stay first.");
+		})
+	);
+
+	results.push(
+		test("Updates, renames and copies", () => {
+			const [song] = buildLibrary();
+			const renamed = renameSong(song, "  Autumn  ", { now: START + DAY });
+			assertEqual(renamed.title, "Autumn", "Rename mismatch.");
+			assertEqual(renamed.updatedAt, "2024-01-02T00:00:00.000Z", "Renaming should touch the update time.");
+			assertEqual(renamed.createdAt, song.createdAt, "Renaming should keep the created time.");
+			assertEqual(renameSong(song, "").title, "Autumn sketch", "An empty rename keeps the title.");
+
+			const updated = updateSong(song, { tempo: 140, tags: "bossa", progression: ["Cmaj7"] }, { now: START });
+			assertArrayEqual([updated.tempo, updated.tags, updated.progression.length], [140, ["bossa"], 1], "Update mismatch.");
+			assertEqual(updated.notes, "Slow swing", "Unchanged fields should stay.");
+
+			const copy = duplicateSong(song, { now: START + DAY });
+			assertEqual(copy.title, "Autumn sketch（副本）", "Copy title mismatch.");
+			assertEqual(copy.id === song.id, false, "A copy needs its own id.");
+			assertEqual(copy.createdAt, "2024-01-02T00:00:00.000Z", "A copy is created now.");
+			copy.progression[0].symbol = "Em7";
+			assertEqual(song.progression[0].symbol, "Dm7", "A copy should not share entries.");
+		})
+	);
+
+	results.push(
+		test("Library filters by text, tag, key and chord", () => {
+			const library = buildLibrary();
+			assertArrayEqual(titles(filterSongs(library, { query: "swing" })), ["Autumn sketch"], "Notes search mismatch.");
+			assertArrayEqual(titles(filterSongs(library, { query: "BLUES f" })), ["Blues in F"], "Every word should match.");
+			assertArrayEqual(titles(filterSongs(library, { tag: "JAZZ" })), ["Autumn sketch", "Blues in F"], "Tag filter mismatch.");
+			assertArrayEqual(titles(filterSongs(library, { key: "A minor" })), ["Pop loop"], "Key filter mismatch.");
+			assertArrayEqual(titles(filterSongs(library, { chord: "A#7" })), ["Blues in F"], "Chords should match by sound.");
+			assertArrayEqual(titles(filterSongs(library, { chord: "CM7" })), ["Autumn sketch"], "Chord spellings should match.");
+			assertArrayEqual(titles(filterSongs(library, { chord: "maj" })), ["Autumn sketch"], "Unreadable chords match as text.");
+			assertArrayEqual(titles(filterSongs(library, { tag: "jazz", chord: "G7" })), ["Autumn sketch"], "Filters should combine.");
+			assertArrayEqual(titles(filterSongs(library, {})), titles(library), "No filters keep every song.");
+		})
+	);
+
+	results.push(
+		test("Filter choices come from the library", () => {
+			const library = buildLibrary();
+			assertArrayEqual(getLibraryTags(library).map(({ id }) => id), ["blues", "jazz", "pop", "練習"], "Tag choices mismatch.");
+			assertArrayEqual(getLibraryKeys(library), [
+				{ id: "A minor", label: "A minor" },
+				{ id: "C major", label: "C major" },
+				{ id: "F major", label: "F major" },
+			], "Key choices mismatch.");
+			assertArrayEqual(titles(sortSongs(library)), ["Blues in F", "Pop loop", "Autumn sketch"], "Newest updates come first.");
+		})
+	);
+
+	return results;
+};
+
+export { runSongLibraryTests };
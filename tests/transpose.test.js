@@ -0,0 +1,73 @@
+import { getKeyDefinition } from "../src/chord-utils.js";
+import { analyzeChordFunction } from "../src/chord-function.js";
+import { transposeChordSymbol, transposeProgression } from "../src/transpose.js";
+
+const assertEqual = (actual, expected, message) => {
+	if (actual !== expected) {
+		throw new Error(`${message} Expected "${expected}", got "${actual}".`);
+	}
+};
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const runTransposeTests = () => {
+	const results = [];
+	const cMajor = getKeyDefinition("C", "major");
+
+	results.push(
+		test("transposeProgression moves roots and slash basses with key spelling", () => {
+			assertArrayEqual(
+				transposeProgression(["C", "Am7", "Dm7/C", "G7sus4", "Bb", "F#m7b5"], cMajor, getKeyDefinition("Eb", "major")),
+				["Eb", "Cm7", "Fm7/Eb", "Bb7sus4", "Db", "Am7b5"],
+				"Transposed progression mismatch.",
+			);
+		})
+	);
+
+	results.push(
+		test("Sharp keys spell the transposed chords with sharps", () => {
+			assertArrayEqual(
+				transposeProgression(["C", "Am7", "G7/B"], cMajor, getKeyDefinition("F#", "major")),
+				["F#", "D#m7", "C#7/E#"],
+				"Sharp-key spelling mismatch.",
+			);
+		})
+	);
+
+	results.push(
+		test("Transposed chords keep their Roman numerals in the new key", () => {
+			const progression = ["Am", "Dm7", "E7/G#", "Am"];
+			const aMinor = getKeyDefinition("A", "minor");
+			const fMinor = getKeyDefinition("F", "minor");
+			const romans = (chords, key) => chords.map((chord) => analyzeChordFunction(chord, key)?.roman);
+			assertArrayEqual(
+				romans(transposeProgression(progression, aMinor, fMinor), fMinor),
+				romans(progression, aMinor),
+				"Numerals should survive transposition.",
+			);
+		})
+	);
+
+	results.push(
+		test("transposeChordSymbol leaves unreadable symbols alone", () => {
+			assertEqual(transposeChordSymbol("N.C.", cMajor, getKeyDefinition("D", "major")), "N.C.", "Unreadable symbol changed.");
+		})
+	);
+
+	return results;
+};
+
+export { runTransposeTests };
@@ -0,0 +1,55 @@
+import { Chord } from "tonal";
+import { countParallelPerfects, leadVoices } from "../src/voice-leading.js";
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const toChord = (symbol) => {
+	const { notes, intervals } = Chord.get(symbol);
+	return { notes, intervals, bass: null };
+};
+
+const runVoiceLeadingTests = () => {
+	const results = [];
+
+	results.push(
+		test("leadVoices keeps common tones in I-IV-V-I", () => {
+			const voicings = leadVoices(["C", "F", "G", "C"].map(toChord), { type: "close", range: "mid" });
+			assertArrayEqual(
+				voicings.map(({ notes }) => notes),
+				[
+					["C4", "E4", "G4"],
+					["C4", "F4", "A4"],
+					["B3", "D4", "G4"],
+					["C4", "E4", "G4"],
+				],
+				"Voice-led progression mismatch.",
+			);
+		})
+	);
+
+	results.push(
+		test("countParallelPerfects flags parallel fifths", () => {
+			const count = countParallelPerfects(["C4", "G4"], ["D4", "A4"]);
+			if (count !== 1) {
+				throw new Error(`Expected 1 parallel fifth, got ${count}.`);
+			}
+		})
+	);
+
+	return results;
+};
+
+export { runVoiceLeadingTests };
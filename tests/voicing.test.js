@@ -0,0 +1,78 @@
+import { Chord } from "tonal";
+import { voiceChord } from "../src/voicing.js";
+
+const assertArrayEqual = (actual, expected, message) => {
+	if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+		throw new Error(`${message} Expected "${JSON.stringify(expected)}", got "${JSON.stringify(actual)}".`);
+	}
+};
+
+const test = (name, fn) => {
+	try {
+		fn();
+		return { name, status: "pass" };
+	} catch (error) {
+		return { name, status: "fail", error };
+	}
+};
+
+const toChord = (symbol, bass = null) => {
+	const { notes, intervals } = Chord.get(symbol);
+	return { notes, intervals, bass };
+};
+
+const voice = (symbol, options, bass = null) => voiceChord(toChord(symbol, bass), options);
+
+const runVoicingTests = () => {
+	const results = [];
+
+	results.push(
+		test("close voicing stacks Cmaj7 from the range floor", () => {
+			assertArrayEqual(voice("Cmaj7", { type: "close", range: "mid" }), ["C4", "E4", "G4", "B4"], "Close voicing mismatch.");
+		})
+	);
+
+	results.push(
+		test("drop 2 lowers the second voice from the top", () => {
+			assertArrayEqual(voice("Cmaj7", { type: "drop2", range: "mid" }), ["G4", "C5", "E5", "B5"], "Drop 2 voicing mismatch.");
+		})
+	);
+
+	results.push(
+		test("drop 3 lowers the third voice from the top", () => {
+			assertArrayEqual(voice("Cmaj7", { type: "drop3", range: "mid" }), ["E4", "C5", "G5", "B5"], "Drop 3 voicing mismatch.");
+		})
+	);
+
+	results.push(
+		test("shell voicing keeps root, third and seventh", () => {
+			assertArrayEqual(voice("G7", { type: "shell", range: "low" }), ["G3", "B3", "F4"], "Shell voicing mismatch.");
+		})
+	);
+
+	results.push(
+		test("rootless A and B voicings of Dm7 add the ninth", () => {
+			assertArrayEqual(voice("Dm7", { type: "rootless-a", range: "mid" }), ["F4", "A4", "C5", "E5"], "Rootless A mismatch.");
+			assertArrayEqual(voice("Dm7", { type: "rootless-b", range: "mid" }), ["C4", "E4", "F4", "A4"], "Rootless B mismatch.");
+		})
+	);
+
+	results.push(
+		test("slash bass is the lowest note", () => {
+			assertArrayEqual(voice("C", { type: "close", range: "mid" }, "E"), ["E4", "G4", "C5"], "Inversion mismatch.");
+			assertArrayEqual(voice("C", { type: "close", range: "mid" }, "Bb"), ["Bb3", "C4", "E4", "G4"], "Slash bass mismatch.");
+		})
+	);
+
+	results.push(
+		test("voices above the range ceiling fold down an octave", () => {
+			assertArrayEqual(voice("Cmaj7", { type: "open", range: "mid" }), ["C4", "G4", "E5", "B5"], "A voicing inside the range should keep its shape.");
+			assertArrayEqual(voice("Bmaj7", { type: "open", range: "low" }), ["B3", "D#4", "F#4", "A#4"], "Voices above C5 should fold down.");
+			assertArrayEqual(voice("Bmaj7", { type: "drop3", range: "high", inversion: 3 }), ["B5", "D#6", "F#6", "A#6"], "Voices above C7 should fold down.");
+		})
+	);
+
+	return results;
+};
+
+export { runVoicingTests };